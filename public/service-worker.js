@@ -0,0 +1,224 @@
+/* eslint-disable no-restricted-globals */
+// Service worker that keeps Agent Tech usable with no signal. It precaches
+// the app shell (from the build's asset-manifest.json) and the knowledge
+// assets the app loads at startup, serves them from the cache, and refreshes
+// them in the background, telling open tabs when a knowledge asset changes.
+
+const SHELL_CACHE = 'agent-tech-shell-v1';
+const KNOWLEDGE_CACHE = 'agent-tech-knowledge-v1';
+const CURRENT_CACHES = [SHELL_CACHE, KNOWLEDGE_CACHE];
+
+// Paths below are relative to the service worker's scope, so the app can be
+// served from a sub-path as well as the site root
+
+// Written by the build; lists the hashed JS and CSS bundles
+const ASSET_MANIFEST_URL = toAbsolute('asset-manifest.json');
+
+// Always part of the shell, whatever the build produced
+const SHELL_URLS = ['./', 'index.html', 'manifest.json', 'favicon.ico', 'logo192.png', 'logo512.png'];
+
+// Loaded by the app at startup; keep in step with SpecificationManager's
+// localFilePath, pdfProcessor's TECHNICAL_BIBLE_URL and PDF_WORKER_URL
+const KNOWLEDGE_URLS = ['data/specifications.json', 'docs/technical-bible.pdf', 'pdf.worker.js'].map(toAbsolute);
+
+function toAbsolute(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+/**
+ * Shell URLs for a build, from its asset manifest
+ * @param {object} assetManifest - Parsed asset-manifest.json
+ * @returns {string[]}
+ */
+function shellUrlsFor(assetManifest) {
+  const files = Object.values(assetManifest.files || {})
+    .filter(file => !file.endsWith('.map') && !file.endsWith('.LICENSE.txt'));
+  return [...new Set([...SHELL_URLS, ...files].map(toAbsolute))];
+}
+
+/**
+ * Caches each URL, skipping any that fail so one missing icon doesn't stop
+ * the rest being cached
+ * @param {Cache} cache
+ * @param {string[]} urls
+ */
+async function cacheAll(cache, urls) {
+  await Promise.all(urls.map(async url => {
+    try {
+      const response = await fetch(url, { cache: 'no-cache' });
+      if (response.ok) await cache.put(url, response);
+    } catch (error) {
+      console.warn(`Service worker could not cache ${url}:`, error);
+    }
+  }));
+}
+
+/**
+ * Caches the shell for the current build and drops files from older builds.
+ * Does nothing if the build hasn't changed since it was last cached.
+ * @returns {Promise<boolean>} Whether a new build was cached
+ */
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  const response = await fetch(ASSET_MANIFEST_URL, { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`Failed to fetch ${ASSET_MANIFEST_URL}: ${response.status}`);
+  const manifestText = await response.clone().text();
+
+  const cached = await cache.match(ASSET_MANIFEST_URL);
+  if (cached && (await cached.text()) === manifestText) return false;
+
+  const urls = shellUrlsFor(JSON.parse(manifestText));
+  await cacheAll(cache, urls);
+  const keep = new Set(urls);
+  const stale = (await cache.keys()).filter(request => !keep.has(request.url));
+  await Promise.all(stale.map(request => cache.delete(request)));
+  await cache.put(ASSET_MANIFEST_URL, response);
+  return true;
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true });
+  clients.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Whether two responses hold the same version of a file, by ETag or
+ * Last-Modified when the server sends them, otherwise by content
+ * @param {Response} a
+ * @param {Response} b
+ * @returns {Promise<boolean>}
+ */
+async function isSameVersion(a, b) {
+  for (const header of ['ETag', 'Last-Modified']) {
+    if (a.headers.get(header) && b.headers.get(header)) {
+      return a.headers.get(header) === b.headers.get(header);
+    }
+  }
+  const [bytesA, bytesB] = await Promise.all([a.clone().arrayBuffer(), b.clone().arrayBuffer()]);
+  if (bytesA.byteLength !== bytesB.byteLength) return false;
+  const viewA = new Uint8Array(bytesA);
+  const viewB = new Uint8Array(bytesB);
+  return viewA.every((byte, i) => byte === viewB[i]);
+}
+
+/**
+ * Fetches a knowledge asset and replaces the cached copy if it has changed,
+ * telling open tabs so they can reload it
+ * @param {string} url
+ * @returns {Promise<Response|null>} The fresh response, or null offline
+ */
+async function refreshKnowledgeAsset(url) {
+  const cache = await caches.open(KNOWLEDGE_CACHE);
+  try {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) return null;
+    const cached = await cache.match(url);
+    await cache.put(url, response.clone());
+    if (cached && !(await isSameVersion(cached, response))) {
+      notifyClients({ type: 'knowledge-updated', url: new URL(url).pathname });
+    }
+    return response;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Answers a Range request from a cached full response. pdf.js asks for the
+ * technical bible in ranges once it knows the file supports them.
+ * @param {Request} request
+ * @param {Response} response - Full cached response
+ * @returns {Promise<Response>}
+ */
+async function rangeResponse(request, response) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('Range') || '');
+  const blob = await response.blob();
+  if (!match) return new Response(blob, { status: 200, headers: response.headers });
+
+  const start = match[1] === '' ? Math.max(0, blob.size - Number(match[2])) : Number(match[1]);
+  const end = match[1] !== '' && match[2] !== '' ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1;
+  if (start > end || start >= blob.size) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+
+  const headers = new Headers(response.headers);
+  headers.set('Content-Range', `bytes ${start}-${end}/${blob.size}`);
+  headers.set('Content-Length', String(end - start + 1));
+  return new Response(blob.slice(start, end + 1), { status: 206, statusText: 'Partial Content', headers });
+}
+
+/**
+ * Knowledge assets: serve the cached copy straight away and refresh it in
+ * the background; go to the network only if nothing is cached yet
+ * @param {FetchEvent} event
+ */
+async function handleKnowledgeRequest(event) {
+  const url = event.request.url.split('?')[0];
+  const cache = await caches.open(KNOWLEDGE_CACHE);
+  const cached = await cache.match(url);
+
+  if (!cached) {
+    const fresh = await refreshKnowledgeAsset(url);
+    if (!fresh) return fetch(event.request);
+    return event.request.headers.has('Range') ? rangeResponse(event.request, fresh) : fresh;
+  }
+
+  // A page load fetches the PDF several times in ranges; refresh once per load
+  if (!event.request.headers.has('Range')) event.waitUntil(refreshKnowledgeAsset(url));
+  return event.request.headers.has('Range') ? rangeResponse(event.request, cached) : cached;
+}
+
+/**
+ * Pages: try the network so a new build is picked up, fall back to the
+ * cached shell offline, and check for a new build in the background
+ * @param {FetchEvent} event
+ */
+async function handleNavigation(event) {
+  event.waitUntil(precacheShell().catch(() => false));
+  try {
+    return await fetch(event.request);
+  } catch (error) {
+    const cache = await caches.open(SHELL_CACHE);
+    return (await cache.match(toAbsolute('index.html'))) || Response.error();
+  }
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    await precacheShell();
+    await cacheAll(await caches.open(KNOWLEDGE_CACHE), KNOWLEDGE_URLS);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => !CURRENT_CACHES.includes(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(event));
+    return;
+  }
+
+  if (KNOWLEDGE_URLS.includes(`${url.origin}${url.pathname}`)) {
+    event.respondWith(handleKnowledgeRequest(event));
+    return;
+  }
+
+  // Everything else in the shell is cache first; the build's file names
+  // change with their content
+  event.respondWith((async () => {
+    const cached = await caches.match(request, { cacheName: SHELL_CACHE });
+    return cached || fetch(request);
+  })());
+});
@@ -0,0 +1,125 @@
+// Mock OpenAI-compatible chat completion server for testing the optional
+// generation backend without a model.
+//
+//   node server/mockLlmServer.js            (listens on http://localhost:8089)
+//   REACT_APP_LLM_ENDPOINT=http://localhost:8089/v1 npm start
+//
+// It "answers" by repeating the first context passage it was given, streamed
+// a word at a time like a real model, so grounding and streaming can be
+// checked end to end. To exercise the retrieval fallback:
+//
+//   MOCK_LLM_FAIL=error node server/mockLlmServer.js   every completion is a 500
+//   MOCK_LLM_FAIL=stall node server/mockLlmServer.js   streams stop after a few
+//                                                      words, for the idle timeout
+//
+// "fail": true in a request body also returns a 500.
+
+const http = require('http');
+
+const PORT = Number(process.env.MOCK_LLM_PORT) || 8089;
+const TOKEN_DELAY_MS = Number(process.env.MOCK_LLM_DELAY_MS) || 30;
+// 'error' or 'stall'; any other non-empty value counts as 'error'
+const FAIL_MODE = process.env.MOCK_LLM_FAIL ? (process.env.MOCK_LLM_FAIL === 'stall' ? 'stall' : 'error') : null;
+// Words a stalled stream sends before going quiet
+const STALL_AFTER_TOKENS = 3;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+/**
+ * Builds the mock answer from the grounded prompt
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {string}
+ */
+function buildMockAnswer(messages) {
+  const userMessage = [...(messages || [])].reverse().find(message => message.role === 'user');
+  if (!userMessage) return 'I do not have that information.';
+
+  const firstPassage = userMessage.content.match(/^\[1\]\s*(?:\([^)]*\)\s*)?(.+)$/m);
+  return firstPassage
+    ? `According to the Studio 338 documentation, ${firstPassage[1]}`
+    : 'I do not have that information.';
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function streamAnswer(res, model, answer, { stall = false } = {}) {
+  res.writeHead(200, {
+    ...CORS_HEADERS,
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const tokens = answer.match(/\S+\s*/g) || [];
+  let index = 0;
+  const timer = setInterval(() => {
+    // Keep the connection open but send nothing more
+    if (stall && index >= STALL_AFTER_TOKENS) {
+      clearInterval(timer);
+      return;
+    }
+    if (index >= tokens.length) {
+      clearInterval(timer);
+      res.write(`data: ${JSON.stringify({ model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`);
+      res.write('data: [DONE]\n\n');
+      res.end();
+      return;
+    }
+    res.write(`data: ${JSON.stringify({ model, choices: [{ index: 0, delta: { content: tokens[index] } }] })}\n\n`);
+    index += 1;
+  }, TOKEN_DELAY_MS);
+
+  res.on('close', () => clearInterval(timer));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+    sendJson(res, 404, { error: { message: `No route for ${req.method} ${req.url}` } });
+    return;
+  }
+
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch (error) {
+      sendJson(res, 400, { error: { message: 'Request body must be JSON' } });
+      return;
+    }
+
+    if (body.fail || FAIL_MODE === 'error') {
+      sendJson(res, 500, { error: { message: 'Mock failure requested' } });
+      return;
+    }
+
+    const model = body.model || 'mock-model';
+    const answer = buildMockAnswer(body.messages);
+    if (body.stream) {
+      streamAnswer(res, model, answer, { stall: FAIL_MODE === 'stall' });
+    } else {
+      sendJson(res, 200, {
+        model,
+        choices: [{ index: 0, message: { role: 'assistant', content: answer }, finish_reason: 'stop' }]
+      });
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock LLM server listening on http://localhost:${PORT}/v1${FAIL_MODE ? ` (failing: ${FAIL_MODE})` : ''}`);
+});
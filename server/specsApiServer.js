@@ -0,0 +1,213 @@
+// Reference implementation of the specifications API used by
+// SpecificationManager's useApi mode, so several devices can sync from one
+// specifications file.
+//
+//   node server/specsApiServer.js            (listens on http://localhost:8090/api)
+//   REACT_APP_SPECS_API=http://localhost:8090/api npm start
+//
+// SPECS_FILE picks the file served (default src/data/specifications.json).
+// The file is re-read when it changes on disk.
+//
+//   GET /api/specifications/version        { version, timestamp, etag }
+//   GET /api/specifications                the whole document; honours If-None-Match
+//   GET /api/specifications/delta?since=V  changes from version V to the current one;
+//                                          304 if V is current, 410 if the server
+//                                          doesn't know V (fetch the whole document)
+//
+// Versions are remembered from the moment the server first sees them, so a
+// delta is only available from versions served since it started.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PORT = Number(process.env.SPECS_API_PORT) || 8090;
+const SPECS_FILE = path.resolve(process.env.SPECS_FILE || path.join(__dirname, '..', 'src', 'data', 'specifications.json'));
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag'
+};
+
+// The file as last read, and every version seen since start-up by number
+let current = null;
+let currentMtime = 0;
+const versions = new Map();
+
+/**
+ * The current specifications, re-read if the file has changed
+ * @returns {{specs: object, body: string, etag: string}}
+ */
+function loadSpecs() {
+  const { mtimeMs } = fs.statSync(SPECS_FILE);
+  if (current && mtimeMs === currentMtime) return current;
+
+  const specs = JSON.parse(fs.readFileSync(SPECS_FILE, 'utf8'));
+  if (!specs.metadata || !specs.metadata.version) {
+    throw new Error(`${SPECS_FILE} has no metadata.version`);
+  }
+  const body = JSON.stringify(specs);
+  const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+
+  current = { specs, body, etag };
+  currentMtime = mtimeMs;
+  versions.set(specs.metadata.version, current);
+  console.log(`Serving specifications version ${specs.metadata.version} (${etag})`);
+  return current;
+}
+
+/**
+ * Items by id, with where each is filed
+ * @param {object} specs
+ * @returns {Map<string, {item: object, category: string, subcategory: string}>}
+ */
+function indexItems(specs) {
+  const index = new Map();
+  Object.entries(specs.categories || {}).forEach(([category, subcategories]) => {
+    Object.entries(subcategories || {}).forEach(([subcategory, items]) => {
+      (Array.isArray(items) ? items : []).forEach(item => index.set(item.id, { item, category, subcategory }));
+    });
+  });
+  return index;
+}
+
+const listIds = (specs, category, subcategory) => (specs.categories?.[category]?.[subcategory] || []).map(item => item.id);
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Describes how to turn one version of the specifications into another.
+ * Items are matched by id and sent whole when they change. `order` gives
+ * the item ids of each subcategory that changed, or null for one that no
+ * longer exists. See src/utils/specDelta.js for how it is applied.
+ * @param {object} from
+ * @param {object} to
+ * @returns {object}
+ */
+function buildDelta(from, to) {
+  const before = indexItems(from);
+  const after = indexItems(to);
+  const upserts = [];
+  const removed = [];
+  const touched = new Set();
+
+  after.forEach((entry, id) => {
+    const old = before.get(id);
+    if (old && same(old.item, entry.item) && old.category === entry.category && old.subcategory === entry.subcategory) return;
+    upserts.push(entry);
+    touched.add(`${entry.category}\u0000${entry.subcategory}`);
+    if (old) touched.add(`${old.category}\u0000${old.subcategory}`);
+  });
+  before.forEach((entry, id) => {
+    if (after.has(id)) return;
+    removed.push(id);
+    touched.add(`${entry.category}\u0000${entry.subcategory}`);
+  });
+
+  // Reordering within a subcategory also counts as a change to it, as does
+  // adding or removing one, even when it's empty
+  const hasSubcategory = (specs, category, subcategory) => Array.isArray(specs.categories?.[category]?.[subcategory]);
+  [from, to].forEach(specs => {
+    Object.entries(specs.categories || {}).forEach(([category, subcategories]) => {
+      Object.keys(subcategories || {}).forEach(subcategory => {
+        if (hasSubcategory(from, category, subcategory) !== hasSubcategory(to, category, subcategory) ||
+            !same(listIds(from, category, subcategory), listIds(to, category, subcategory))) {
+          touched.add(`${category}\u0000${subcategory}`);
+        }
+      });
+    });
+  });
+
+  const order = [...touched].map(key => {
+    const [category, subcategory] = key.split('\u0000');
+    const exists = hasSubcategory(to, category, subcategory);
+    return { category, subcategory, ids: exists ? listIds(to, category, subcategory) : null };
+  });
+
+  // The changeLog only grows, so normally just the new entries are sent
+  const oldLog = from.changeLog || [];
+  const newLog = to.changeLog || [];
+  const appendOnly = newLog.length >= oldLog.length && same(newLog.slice(0, oldLog.length), oldLog);
+
+  return {
+    fromVersion: from.metadata.version,
+    toVersion: to.metadata.version,
+    metadata: to.metadata,
+    upserts,
+    removed,
+    order,
+    changeLog: appendOnly ? { append: newLog.slice(oldLog.length) } : { replace: newLog }
+  };
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json', 'Cache-Control': 'no-cache', ...headers });
+  res.end(body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  if (req.method !== 'GET' || !url.pathname.startsWith('/api/specifications')) {
+    send(res, 404, { error: { message: `No route for ${req.method} ${req.url}` } });
+    return;
+  }
+
+  let latest;
+  try {
+    latest = loadSpecs();
+  } catch (error) {
+    console.error('Error reading specifications:', error);
+    send(res, 500, { error: { message: `Could not read specifications: ${error.message}` } });
+    return;
+  }
+  const { specs, body, etag } = latest;
+  const notModified = req.headers['if-none-match'] === etag;
+
+  switch (url.pathname) {
+    case '/api/specifications/version':
+      send(res, 200, { version: specs.metadata.version, timestamp: specs.metadata.lastUpdated, etag });
+      return;
+
+    case '/api/specifications':
+      if (notModified) send(res, 304, undefined, { ETag: etag });
+      else send(res, 200, body, { ETag: etag });
+      return;
+
+    case '/api/specifications/delta': {
+      const since = url.searchParams.get('since');
+      if (!since) {
+        send(res, 400, { error: { message: 'The since parameter is required' } });
+        return;
+      }
+      if (notModified || (since === specs.metadata.version && !req.headers['if-none-match'])) {
+        send(res, 304, undefined, { ETag: etag });
+        return;
+      }
+      // The file was edited without a version bump, so the client's copy of
+      // this version may not be the one remembered here
+      const base = since === specs.metadata.version ? null : versions.get(since);
+      if (!base) {
+        send(res, 410, { error: { message: `No delta available from version ${since}; fetch /api/specifications` } });
+        return;
+      }
+      send(res, 200, buildDelta(base.specs, specs), { ETag: etag });
+      return;
+    }
+
+    default:
+      send(res, 404, { error: { message: `No route for ${req.method} ${req.url}` } });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Specifications API listening on http://localhost:${PORT}/api, serving ${SPECS_FILE}`);
+  loadSpecs();
+});
@@ -1,6 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import ChatInterface from './components/ChatInterface/ChatInterface';
 import BudgetCalculator, { setSpecificationManagerRetriever } from './components/BudgetCalculator/BudgetCalculator';
+import SpecEditor from './components/SpecEditor/SpecEditor';
+import EquipmentHistory from './components/EquipmentHistory/EquipmentHistory';
+import ReconciliationReport from './components/ReconciliationReport/ReconciliationReport';
+import QuotesDashboard from './components/QuotesDashboard/QuotesDashboard';
+import StorageUsage from './components/StorageUsage/StorageUsage';
 import localModel from './utils/localModel'; // Default import
 import './App.css';
 
@@ -68,17 +73,52 @@ function App() {
           >
             Equipment Budget
           </button>
+          <button 
+            className={`nav-button ${activeTab === 'specs' ? 'active' : ''}`} 
+            onClick={() => setActiveTab('specs')}
+          >
+            Specifications
+          </button>
+          <button 
+            className={`nav-button ${activeTab === 'history' ? 'active' : ''}`} 
+            onClick={() => setActiveTab('history')}
+          >
+            Equipment History
+          </button>
+          <button 
+            className={`nav-button ${activeTab === 'reconcile' ? 'active' : ''}`} 
+            onClick={() => setActiveTab('reconcile')}
+          >
+            Reconciliation
+          </button>
+          <button 
+            className={`nav-button ${activeTab === 'quotes' ? 'active' : ''}`} 
+            onClick={() => setActiveTab('quotes')}
+          >
+            Quotes
+          </button>
         </nav>
       </header>
       
       <main className="app-main">
-        {activeTab === 'chat' && <ChatInterface answerQuestion={localModel.answerQuestion} />}
+        {activeTab === 'chat' && (
+          <ChatInterface
+            answerQuestion={localModel.answerQuestion}
+            getSpecificationManager={localModel.getSpecificationManager}
+            onOpenQuote={() => setActiveTab('budget')}
+          />
+        )}
         {activeTab === 'budget' && <BudgetCalculator />}
          {/* BudgetCalculator will use setSpecificationManagerRetriever to get the manager instance */}
+        {activeTab === 'specs' && <SpecEditor specManager={localModel.getSpecificationManager()} />}
+        {activeTab === 'history' && <EquipmentHistory specManager={localModel.getSpecificationManager()} />}
+        {activeTab === 'reconcile' && <ReconciliationReport specManager={localModel.getSpecificationManager()} />}
+        {activeTab === 'quotes' && <QuotesDashboard specManager={localModel.getSpecificationManager()} onOpenQuote={() => setActiveTab('budget')} />}
       </main>
       
       <footer className="app-footer">
         <p>Studio 338 Agent Tech - Offline Technical Assistant</p>
+        <StorageUsage refreshKey={activeTab} />
       </footer>
     </div>
   );
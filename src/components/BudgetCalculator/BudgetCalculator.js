@@ -1,5 +1,39 @@
-import React, { useState, useEffect } from 'react';
-import EventIntegration from './EventIntegration'; // Assuming it's in the same directory
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import EventIntegration from '../EventIntegration/EventIntegration';
+import QuoteDocument from '../QuoteDocument/QuoteDocument';
+import PackageTemplates from '../PackageTemplates/PackageTemplates';
+import {
+  calculateQuoteTotals,
+  getUnitPrice,
+  getPricingUnit,
+  getDefaultDuration,
+  describeVatRate,
+  describeDiscount,
+  PRICING_UNITS
+} from '../../utils/quoteCalculator';
+import { formatCost } from '../../utils/specQuery';
+import { getTimeRangeHours } from '../../utils/dateParser';
+import { getDraftQuote, saveDraftQuote, addToDraftQuote, clearDraftQuote, subscribeToDraftQuote } from '../../utils/quoteDraft';
+import { expandPackageTemplate } from '../../utils/packageTemplates';
+import { nextQuoteNumber, buildQuoteDocument, renderQuotePdf } from '../../utils/quoteDocument';
+import { downloadFile, toFileName } from '../../utils/download';
+import {
+  QUOTE_STATUSES,
+  getSavedQuote,
+  getLatestRevision,
+  hasUnsavedChanges,
+  saveQuote,
+  setQuoteReservation,
+  subscribeToSavedQuotes
+} from '../../utils/savedQuotes';
+import {
+  getAvailability,
+  getReservations,
+  findOverbookings,
+  reserveQuote,
+  releaseQuote,
+  subscribeToReservations
+} from '../../utils/reservations';
 // We will get equipment data via props or a passed-in manager now
 // import equipmentData from '../../data/equipment.json'; 
 import './BudgetCalculator.css';
@@ -11,19 +45,58 @@ export const setSpecificationManagerRetriever = (retriever) => {
   getSpecManager = retriever;
 };
 
+// The selection is the draft quote's lines (shared with the chat): item
+// ids, quantities, durations and package discounts, dropping items no
+// longer in the specifications
+function selectionFromDraft(draft, allEquipment) {
+  return draft.lines
+    .filter(({ itemId }) => allEquipment.some(equipment => equipment.id === itemId))
+    .map(({ itemId, quantity, duration = null, discount = 0 }) => ({ itemId, quantity, duration, discount }));
+}
+
+// Reads a number input, or null when it's empty or not a positive number
+function readPositiveNumber(value) {
+  const number = Number(value);
+  return value === '' || !(number > 0) ? null : number;
+}
+
+function sameLines(a, b) {
+  const key = lines => lines.map(line => `${line.itemId}:${line.quantity}`).sort().join(',');
+  return key(a) === key(b);
+}
+
 function BudgetCalculator() {
   const [allEquipment, setAllEquipment] = useState([]);
   const [categories, setCategories] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState('');
   const [itemsForCategory, setItemsForCategory] = useState([]); // Renamed from 'items' for clarity
-  const [selectedItems, setSelectedItems] = useState([]);
-  const [subtotal, setSubtotal] = useState(0);
-  const [vat, setVat] = useState(0);
-  const [total, setTotal] = useState(0);
+  const [selectedLines, setSelectedLines] = useState([]);
   
   const [eventDate, setEventDate] = useState('');
   const [selectedEvent, setSelectedEvent] = useState(null);
+  // Length of the selected event; hourly lines default to it
+  const [eventHours, setEventHours] = useState(null);
+  const [client, setClient] = useState({ name: '', email: '' });
+  // Quote document being previewed for download or printing
+  const [quoteDocument, setQuoteDocument] = useState(null);
+
+  // The saved quote this draft was saved as or opened from
+  const [savedQuoteId, setSavedQuoteId] = useState(null);
+  const [savedQuote, setSavedQuote] = useState(null);
+  const [revisionNote, setRevisionNote] = useState('');
+  const [saveError, setSaveError] = useState(null);
   const [showEventIntegration, setShowEventIntegration] = useState(false);
+  // Latest event date, for comparing against draft updates from the chat
+  const eventDateRef = useRef('');
+
+  // Reservations: what's left of each item on the event date once other
+  // confirmed quotes are taken off, and this quote's own reservation if
+  // it has been confirmed
+  const [confirmedQuoteId, setConfirmedQuoteId] = useState(null);
+  const [availability, setAvailability] = useState({});
+  const [ownReservation, setOwnReservation] = useState(null);
+  const [reservationError, setReservationError] = useState(null);
+  const [isReserving, setIsReserving] = useState(false);
 
   // Initialize categories and all equipment from SpecificationManager
   useEffect(() => {
@@ -38,7 +111,7 @@ function BudgetCalculator() {
         Object.keys(subCategories).forEach(subCatKey => {
           if (Array.isArray(subCategories[subCatKey])) {
             // Add category and subcategory info for display and filtering if needed
-            const itemsWithFullCategory = subCategories[subCatKey].map(item => ({
+            const itemsWithFullCategory = subCategories[subCatKey].filter(item => !item.retired).map(item => ({
               ...item,
               fullCategory: `${catKey} > ${subCatKey}`,
               hireFee: item.cost // Adapt to new data structure
@@ -55,6 +128,171 @@ function BudgetCalculator() {
     }
   }, []); // Runs once on mount, assuming specManager is initialized by then by App.js
 
+  // Start from the draft quote (which the chat can add to) and follow its changes
+  useEffect(() => {
+    if (allEquipment.length === 0) return undefined;
+
+    const applyDraft = (draft) => {
+      setSelectedLines(selectionFromDraft(draft, allEquipment));
+      setEventHours(draft.eventHours || null);
+      setClient(draft.client || { name: '', email: '' });
+      setConfirmedQuoteId(draft.confirmedQuoteId || null);
+      setSavedQuoteId(draft.savedQuoteId || null);
+      if (draft.eventDate && draft.eventDate !== eventDateRef.current) {
+        eventDateRef.current = draft.eventDate;
+        setEventDate(draft.eventDate);
+        // Ask which event the quote is for unless the draft already says
+        setShowEventIntegration(!draft.event);
+      }
+      setSelectedEvent(draft.event || null);
+    };
+
+    applyDraft(getDraftQuote());
+    return subscribeToDraftQuote(applyDraft);
+  }, [allEquipment]);
+
+  // Write the calculator's changes back to the draft. Silent, so this
+  // component isn't notified of its own change.
+  const saveDraft = (lines, date, changes = {}) => {
+    saveDraftQuote({ ...getDraftQuote(), eventDate: date, lines, ...changes }, { silent: true });
+  };
+
+  // Follow the saved quote, e.g. its status changing on the dashboard
+  useEffect(() => {
+    if (!savedQuoteId) {
+      setSavedQuote(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    getSavedQuote(savedQuoteId).then(quote => {
+      if (!cancelled) setSavedQuote(quote);
+    });
+    const unsubscribe = subscribeToSavedQuotes(quote => {
+      if (quote.id === savedQuoteId) setSavedQuote(quote);
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [savedQuoteId]);
+
+  // Load availability for the event date, and reload it when a quote is
+  // confirmed or released on that date
+  useEffect(() => {
+    const specManager = getSpecManager();
+    if (!eventDate || !specManager || !specManager.specs) {
+      setAvailability({});
+      setOwnReservation(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const load = async () => {
+      const [dateAvailability, reservations] = await Promise.all([
+        getAvailability(eventDate, specManager, { excludeQuoteId: confirmedQuoteId }),
+        getReservations(eventDate)
+      ]);
+      if (cancelled) return;
+      setAvailability(dateAvailability);
+      setOwnReservation(reservations.find(reservation => reservation.quoteId === confirmedQuoteId) || null);
+    };
+
+    load();
+    const unsubscribe = subscribeToReservations(date => {
+      if (date === eventDate) load();
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [eventDate, confirmedQuoteId]);
+
+  const equipmentById = (itemId) => allEquipment.find(item => item.id === itemId);
+  const priced = calculateQuoteTotals(
+    selectedLines.map(line => ({ item: equipmentById(line.itemId), quantity: line.quantity, duration: line.duration, discount: line.discount })),
+    { eventHours, date: eventDate }
+  );
+  const overbookings = eventDate ? findOverbookings(selectedLines, availability) : [];
+  const itemName = (itemId) => (equipmentById(itemId) || { name: itemId }).name;
+  const reservationIsCurrent = Boolean(ownReservation) && sameLines(ownReservation.lines, selectedLines);
+
+  const handleConfirmQuote = async () => {
+    const quoteId = confirmedQuoteId || `quote-${Date.now().toString(36)}`;
+    const label = selectedEvent && selectedEvent.title ? selectedEvent.title : `Quote for ${eventDate}`;
+    setIsReserving(true);
+    setReservationError(null);
+    try {
+      await reserveQuote({ quoteId, label, eventDate, lines: selectedLines });
+      saveDraft(selectedLines, eventDate, { confirmedQuoteId: quoteId });
+      setConfirmedQuoteId(quoteId);
+      if (savedQuoteId) await setQuoteReservation(savedQuoteId, quoteId);
+    } catch (error) {
+      setReservationError(error.message);
+    } finally {
+      setIsReserving(false);
+    }
+  };
+
+  const handleReleaseQuote = async () => {
+    setIsReserving(true);
+    await releaseQuote(confirmedQuoteId);
+    saveDraft(selectedLines, eventDate, { confirmedQuoteId: null });
+    setConfirmedQuoteId(null);
+    if (savedQuoteId) await setQuoteReservation(savedQuoteId, null);
+    setIsReserving(false);
+  };
+
+  const handleClientChange = (changes) => {
+    const updated = { ...client, ...changes };
+    setClient(updated);
+    saveDraft(selectedLines, eventDate, { client: updated });
+  };
+
+  // The quote keeps its number however many times it's printed
+  const handlePrintQuote = async () => {
+    let { quoteNumber } = getDraftQuote();
+    if (!quoteNumber) {
+      quoteNumber = await nextQuoteNumber();
+      saveDraft(selectedLines, eventDate, { quoteNumber });
+    }
+    setQuoteDocument(buildQuoteDocument({ priced, quoteNumber, eventDate, event: selectedEvent, client }));
+  };
+
+  const handleDownloadQuote = () => {
+    downloadFile(`${toFileName(`quote-${quoteDocument.number}`)}.pdf`, renderQuotePdf(quoteDocument));
+  };
+
+  const closeQuoteDocument = useCallback(() => setQuoteDocument(null), []);
+
+  const latestRevision = savedQuote ? getLatestRevision(savedQuote) : null;
+  const unsaved = hasUnsavedChanges(savedQuote, { eventDate, event: selectedEvent, eventHours, client, lines: selectedLines }, priced);
+  // Edits to a quote that has been sent are saved as a new revision
+  const savesNewRevision = Boolean(latestRevision && latestRevision.sentAt);
+
+  const handleSaveQuote = async () => {
+    setSaveError(null);
+    try {
+      const { quote } = await saveQuote(getDraftQuote(), priced, { note: revisionNote.trim(), specManager: getSpecManager() });
+      saveDraft(selectedLines, eventDate, { savedQuoteId: quote.id, quoteNumber: quote.number });
+      setSavedQuoteId(quote.id);
+      setSavedQuote(quote);
+      setRevisionNote('');
+    } catch (error) {
+      setSaveError(error.message);
+    }
+  };
+
+  // Leaves the saved quote as it is and starts again with an empty draft
+  const handleNewQuote = () => {
+    eventDateRef.current = '';
+    setEventDate('');
+    setSelectedEvent(null);
+    setShowEventIntegration(false);
+    setSaveError(null);
+    clearDraftQuote();
+  };
+
   // Update available items when category changes
   useEffect(() => {
     if (selectedCategory && allEquipment.length > 0) {
@@ -68,29 +306,47 @@ function BudgetCalculator() {
     }
   }, [selectedCategory, allEquipment]);
 
-  // Calculate totals when selected items change
-  useEffect(() => {
-    const subTotal = selectedItems.reduce((sum, item) => sum + (item.hireFee || item.cost || 0), 0);
-    const vatAmount = subTotal * 0.2; // 20% VAT
-    
-    setSubtotal(subTotal);
-    setVat(vatAmount);
-    setTotal(subTotal + vatAmount);
-  }, [selectedItems]);
+  const updateLines = (lines) => {
+    setSelectedLines(lines);
+    saveDraft(lines, eventDate);
+  };
 
+  // Adding an item already on the quote adds one more of it
   const handleAddItem = (item) => {
-    setSelectedItems([...selectedItems, item]);
+    const existing = selectedLines.find(line => line.itemId === item.id);
+    updateLines(existing
+      ? selectedLines.map(line => (line === existing ? { ...line, quantity: line.quantity + 1 } : line))
+      : [...selectedLines, { itemId: item.id, quantity: 1, duration: null, discount: 0 }]);
+  };
+
+  // A package's items join the quote through the draft, which merges them
+  // with lines already on it
+  const handleAddPackage = (template) => {
+    addToDraftQuote(expandPackageTemplate(template, getSpecManager()));
+  };
+
+  const handleLineChange = (itemId, changes) => {
+    updateLines(selectedLines.map(line => (line.itemId === itemId ? { ...line, ...changes } : line)));
   };
   
-  const handleRemoveItem = (index) => {
-    const newItems = [...selectedItems];
-    newItems.splice(index, 1);
-    setSelectedItems(newItems);
+  const handleRemoveItem = (itemId) => {
+    updateLines(selectedLines.filter(line => line.itemId !== itemId));
+  };
+
+  // The event's time range sets how long hourly lines (e.g. door staff) run
+  const selectEvent = (event) => {
+    const hours = event ? getTimeRangeHours(event.time) : null;
+    setSelectedEvent(event);
+    setEventHours(hours);
+    saveDraft(selectedLines, eventDate, { event, eventHours: hours });
   };
   
   const handleDateChange = (e) => {
     const date = e.target.value;
+    eventDateRef.current = date;
     setEventDate(date);
+    setEventHours(null);
+    saveDraft(selectedLines, date, { event: null, eventHours: null });
     
     if (date) {
       setShowEventIntegration(true);
@@ -102,7 +358,7 @@ function BudgetCalculator() {
   };
   
   const handleEventConfirmed = (event) => {
-    setSelectedEvent(event);
+    selectEvent(event);
     setShowEventIntegration(false);
   };
   
@@ -112,7 +368,7 @@ function BudgetCalculator() {
   };
   
   const handleCustomEventEntered = (customEvent) => {
-    setSelectedEvent(customEvent);
+    selectEvent(customEvent);
     setShowEventIntegration(false);
   };
   
@@ -196,7 +452,16 @@ function BudgetCalculator() {
                       <strong>{item.name}</strong>
                       {item.specifications && <p className="item-spec">Specs: {item.specifications}</p>}
                       {item.description && <p className="item-desc">{item.description}</p>}
-                      <span>£{(item.hireFee || item.cost || 0).toFixed(2)} per day</span>
+                      <span>{formatCost(getUnitPrice(item), item.currency)} {PRICING_UNITS[getPricingUnit(item)].label}</span>
+                      {availability[item.id] && (() => {
+                        const onQuote = selectedLines.find(line => line.itemId === item.id);
+                        const left = availability[item.id].available - (onQuote ? onQuote.quantity : 0);
+                        return (
+                          <span className={`item-availability ${left <= 0 ? 'none-left' : ''}`}>
+                            {Math.max(0, left)} of {availability[item.id].total} left on {eventDate}
+                          </span>
+                        );
+                      })()}
                     </div>
                     <button onClick={() => handleAddItem(item)}>Add</button>
                   </li>
@@ -204,42 +469,125 @@ function BudgetCalculator() {
               </ul>
             </div>
           )}
+
+          <PackageTemplates
+            specManager={getSpecManager()}
+            selectedLines={selectedLines}
+            onAddPackage={handleAddPackage}
+            disabled={!eventDate || showEventIntegration}
+          />
         </div>
         
         <div className="selected-equipment">
           <h3>Your Equipment Selection</h3>
           
-          {selectedItems.length > 0 ? (
+          {selectedLines.length > 0 ? (
             <>
               <ul className="selection-list">
-                {selectedItems.map((item, index) => (
-                  <li key={index}>
-                    <div className="item-details">
-                      <strong>{item.name}</strong>
-                      <span>£{(item.hireFee || item.cost || 0).toFixed(2)}</span>
-                    </div>
-                    <button 
-                      className="remove"
-                      onClick={() => handleRemoveItem(index)}
-                    >
-                      Remove
-                    </button>
-                  </li>
-                ))}
+                {priced.lines.map(line => {
+                  const { item } = line;
+                  const unit = PRICING_UNITS[line.pricingUnit];
+                  const ownDuration = selectedLines.find(selected => selected.itemId === item.id).duration;
+                  return (
+                    <li key={item.id}>
+                      <div className="item-details">
+                        <strong>{item.name}</strong>
+                        <span>
+                          {formatCost(line.unitPrice, line.currency)} {unit.label}
+                          {line.vatRate === 0 && <span className="vat-exempt"> • no VAT</span>}
+                          {line.discount > 0 && <span className="line-discount"> • {describeDiscount(line)}</span>}
+                        </span>
+                        <div className="line-inputs">
+                          <label>
+                            {line.pricingUnit === 'personHour' ? 'Staff' : 'Qty'}
+                            <input
+                              type="number"
+                              min="1"
+                              step="1"
+                              value={line.quantity}
+                              onChange={(e) => {
+                                const quantity = readPositiveNumber(e.target.value);
+                                if (quantity !== null) handleLineChange(item.id, { quantity: Math.max(1, Math.round(quantity)) });
+                              }}
+                            />
+                          </label>
+                          {unit.durationUnit && (
+                            <label>
+                              {unit.durationUnit === 'hours' ? 'Hours' : 'Days'}
+                              <input
+                                type="number"
+                                min={unit.durationUnit === 'hours' ? '0.5' : '1'}
+                                step={unit.durationUnit === 'hours' ? '0.5' : '1'}
+                                value={ownDuration ?? ''}
+                                placeholder={String(getDefaultDuration(item, { eventHours }))}
+                                onChange={(e) => handleLineChange(item.id, { duration: readPositiveNumber(e.target.value) })}
+                              />
+                            </label>
+                          )}
+                          {unit.durationUnit === 'hours' && ownDuration === null && eventHours && (
+                            <span className="duration-hint">event hours</span>
+                          )}
+                        </div>
+                      </div>
+                      <span className="line-total">
+                        {formatCost(line.lineTotal, line.currency)}
+                        {line.currency !== priced.currency && (
+                          <span className="line-converted">
+                            {line.amount === null ? 'no exchange rate' : `≈ ${formatCost(line.amount, priced.currency)}`}
+                          </span>
+                        )}
+                      </span>
+                      <button 
+                        className="remove"
+                        onClick={() => handleRemoveItem(item.id)}
+                      >
+                        Remove
+                      </button>
+                    </li>
+                  );
+                })}
               </ul>
               
+              {overbookings.length > 0 && (
+                <div className="overbooking-warning">
+                  <h4>Overbooked on {eventDate}</h4>
+                  <ul>
+                    {overbookings.map(overbooking => (
+                      <li key={overbooking.itemId}>
+                        <strong>{itemName(overbooking.itemId)}</strong>: {overbooking.requested} requested,
+                        {' '}{overbooking.available} of {overbooking.total} left
+                        {overbooking.holds.length > 0 && (
+                          <span className="clashing-quotes">
+                            {' '}(held by {overbooking.holds.map(hold => `${hold.label} ×${hold.quantity}`).join(', ')})
+                          </span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {priced.unconvertedLines.length > 0 && (
+                <p className="currency-warning">
+                  Not included in the total, as there is no exchange rate from their currency to {priced.currency}:
+                  {' '}{priced.unconvertedLines.map(line => `${line.item.name} (${formatCost(line.lineTotal, line.currency)})`).join(', ')}.
+                </p>
+              )}
+
               <div className="cost-summary">
                 <div className="cost-line">
                   <span>Subtotal:</span>
-                  <span>£{subtotal.toFixed(2)}</span>
-                </div>
-                <div className="cost-line">
-                  <span>VAT (20%):</span>
-                  <span>£{vat.toFixed(2)}</span>
+                  <span>{formatCost(priced.subtotal, priced.currency)}</span>
                 </div>
+                {priced.vatBreakdown.map(entry => (
+                  <div className="cost-line vat-line" key={entry.rate}>
+                    <span>{describeVatRate(entry.rate)} on {formatCost(entry.net, priced.currency)}:</span>
+                    <span>{formatCost(entry.vat, priced.currency)}</span>
+                  </div>
+                ))}
                 <div className="cost-line total">
                   <span>Total (inc. VAT):</span>
-                  <span>£{total.toFixed(2)}</span>
+                  <span>{formatCost(priced.total, priced.currency)}</span>
                 </div>
               </div>
               
@@ -250,7 +598,73 @@ function BudgetCalculator() {
                     <p><strong>Date:</strong> {selectedEvent.rawDateText || selectedEvent.date}</p>
                   </div>
                 )}
-                <button className="print-button">Print Quote</button>
+                <div className="reservation-status">
+                  {confirmedQuoteId && reservationIsCurrent && (
+                    <p className="reserved">Confirmed: these items are reserved for {ownReservation.label}.</p>
+                  )}
+                  {confirmedQuoteId && !reservationIsCurrent && (
+                    <p className="reservation-stale">The quote has changed since it was confirmed. Update the reservation to hold the new items.</p>
+                  )}
+                  {reservationError && <p className="reservation-error">{reservationError}</p>}
+                  {(!confirmedQuoteId || !reservationIsCurrent) && (
+                    <button
+                      className="confirm-button"
+                      onClick={handleConfirmQuote}
+                      disabled={!eventDate || overbookings.length > 0 || isReserving}
+                      title={overbookings.length > 0 ? 'Remove overbooked items before confirming' : undefined}
+                    >
+                      {confirmedQuoteId ? 'Update Reservation' : 'Confirm & Reserve'}
+                    </button>
+                  )}
+                  {confirmedQuoteId && (
+                    <button className="release-button" onClick={handleReleaseQuote} disabled={isReserving}>
+                      Release Reservation
+                    </button>
+                  )}
+                </div>
+                <div className="client-details">
+                  <input
+                    type="text"
+                    value={client.name}
+                    onChange={(e) => handleClientChange({ name: e.target.value })}
+                    placeholder="Client name"
+                  />
+                  <input
+                    type="email"
+                    value={client.email}
+                    onChange={(e) => handleClientChange({ email: e.target.value })}
+                    placeholder="Client email"
+                  />
+                </div>
+                <div className="saved-quote-status">
+                  {savedQuote && (
+                    <p>
+                      Quote {savedQuote.number} • revision {latestRevision.revision} •{' '}
+                      <span className={`quote-status ${savedQuote.status}`}>
+                        {QUOTE_STATUSES.find(status => status.value === savedQuote.status).label}
+                      </span>
+                      {!unsaved && ' • saved'}
+                    </p>
+                  )}
+                  {unsaved && savesNewRevision && (
+                    <input
+                      type="text"
+                      value={revisionNote}
+                      onChange={(e) => setRevisionNote(e.target.value)}
+                      placeholder="What changed? (optional)"
+                    />
+                  )}
+                  {saveError && <p className="save-quote-error">{saveError}</p>}
+                  <div className="saved-quote-actions">
+                    {unsaved && (
+                      <button className="save-quote-button" onClick={handleSaveQuote}>
+                        {!savedQuote ? 'Save Quote' : savesNewRevision ? `Save as Revision ${latestRevision.revision + 1}` : 'Save Changes'}
+                      </button>
+                    )}
+                    {savedQuote && <button className="new-quote-button" onClick={handleNewQuote}>New Quote</button>}
+                  </div>
+                </div>
+                <button className="print-button" onClick={handlePrintQuote}>Print Quote</button>
               </div>
             </>
           ) : (
@@ -260,6 +674,10 @@ function BudgetCalculator() {
           )}
         </div>
       </div>
+
+      {quoteDocument && (
+        <QuoteDocument quote={quoteDocument} onDownload={handleDownloadQuote} onClose={closeQuoteDocument} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import {
+  CATALOGUE_FIELDS,
+  readSpreadsheetFile,
+  guessColumnMapping,
+  rowsToCatalogueEntries,
+  planCatalogueImport
+} from '../../utils/catalogueSpreadsheet';
+import { applySpecEdits } from '../../utils/specEditor';
+import { getFieldLabel } from '../../utils/specQuery';
+import SpecChanges from '../SpecChanges/SpecChanges';
+import './CatalogueImport.css';
+
+// Author used only to build the preview; applying needs a real name
+const PREVIEW_AUTHOR = 'preview';
+
+/**
+ * Works out what importing the rows with a mapping would do
+ * @returns {{edits: Array<object>, problems: Array<object>, diff: object|null, error: string|null}}
+ */
+function previewImport(specManager, rows, mapping, fileName) {
+  const { entries, problems: rowProblems } = rowsToCatalogueEntries(rows, mapping);
+  const { edits, problems: planProblems } = planCatalogueImport(specManager.specs, entries, { note: `Imported from ${fileName}` });
+  const problems = [...rowProblems, ...planProblems].sort((a, b) => a.row - b.row);
+  if (edits.length === 0) return { edits, problems, diff: null, error: null };
+
+  try {
+    const { specs } = applySpecEdits(specManager.specs, edits, { author: PREVIEW_AUTHOR });
+    return { edits, problems, diff: specManager.diffSpecifications(specManager.specs, specs), error: null };
+  } catch (err) {
+    return { edits, problems, diff: null, error: err.message };
+  }
+}
+
+/**
+ * Imports the equipment catalogue from a CSV or XLSX file: map the
+ * spreadsheet's columns to catalogue fields, preview what would change and
+ * apply it as a new specifications version.
+ */
+function CatalogueImport({ specManager, onImported, onClose }) {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState(null);
+  const [mapping, setMapping] = useState([]);
+  const [author, setAuthor] = useState('');
+  const [error, setError] = useState(null);
+  const [issues, setIssues] = useState([]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    setIssues([]);
+    try {
+      const fileRows = await readSpreadsheetFile(file);
+      if (fileRows.length < 2) throw new Error(`${file.name} has no rows below its headings`);
+      setFileName(file.name);
+      setRows(fileRows);
+      setMapping(guessColumnMapping(fileRows[0]));
+    } catch (err) {
+      setRows(null);
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const mapColumn = (column, field) => {
+    // Each field comes from one column at most
+    setMapping(mapping.map((current, i) => {
+      if (i === column) return field;
+      return field && current === field ? '' : current;
+    }));
+  };
+
+  const preview = rows ? previewImport(specManager, rows, mapping, fileName) : null;
+  const hasKey = mapping.includes('id') || mapping.includes('name');
+
+  const handleApply = () => {
+    setError(null);
+    setIssues([]);
+    try {
+      const result = applySpecEdits(specManager.specs, preview.edits, { author, notes: `Catalogue import from ${fileName}` });
+      const { saved, issues: problems, diff } = specManager.saveSpecifications(result.specs);
+      if (!saved) {
+        setError(`The import would leave the specifications invalid, so version ${result.entry.version} was not saved:`);
+        setIssues(problems);
+        return;
+      }
+      onImported(
+        result.specs,
+        diff,
+        `Imported ${result.entry.changes.length} change${result.entry.changes.length === 1 ? '' : 's'} from ${fileName} as version ${result.entry.version}.`,
+        [...new Set(result.entry.changes.map(change => change.itemId))]
+      );
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="catalogue-import">
+      <div className="catalogue-import-header">
+        <h3>Import catalogue from a spreadsheet</h3>
+        <label className="import-button">
+          {rows ? 'Choose another file' : 'Choose CSV or XLSX file'}
+          <input type="file" accept=".csv,.xlsx,text/csv" onChange={handleFile} />
+        </label>
+        <button onClick={onClose}>Close</button>
+      </div>
+      <p className="catalogue-import-help">
+        One row per item, with headings in the first row. Rows are matched to items by id, or by name when there is
+        no id column; new items need a category and subcategory. Empty cells leave a field unchanged.
+      </p>
+
+      {rows && (
+        <>
+          <table className="column-mapping">
+            <thead>
+              <tr>
+                <th>Column in {fileName}</th>
+                <th>First value</th>
+                <th>Imports as</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows[0].map((heading, column) => (
+                <tr key={column}>
+                  <td>{String(heading) || `Column ${column + 1}`}</td>
+                  <td className="sample-value">{String(rows[1][column] ?? '')}</td>
+                  <td>
+                    <select value={mapping[column] || ''} onChange={(e) => mapColumn(column, e.target.value)}>
+                      <option value="">(ignore)</option>
+                      {CATALOGUE_FIELDS.map(field => (
+                        <option key={field} value={field}>{getFieldLabel(field)}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {!hasKey && <p className="spec-editor-error">Map a column to Id or Name so rows can be matched to items.</p>}
+
+          {hasKey && preview && (
+            <>
+              {preview.problems.length > 0 && (
+                <ul className="import-problems">
+                  {preview.problems.map((problem, i) => (
+                    <li key={i}>Row {problem.row}: {problem.message}</li>
+                  ))}
+                </ul>
+              )}
+              {preview.error && <p className="spec-editor-error">{preview.error}</p>}
+              {preview.diff ? (
+                <SpecChanges diff={preview.diff} title={`Preview: changes from ${fileName}`} />
+              ) : (
+                !preview.error && <p className="empty-form">The file matches the current catalogue; there is nothing to import.</p>
+              )}
+
+              <div className="save-fields">
+                <input value={author} onChange={(e) => setAuthor(e.target.value)} placeholder="Your name" />
+                <button className="primary" onClick={handleApply} disabled={!preview.diff}>
+                  Apply {preview.edits.length} change{preview.edits.length === 1 ? '' : 's'}
+                </button>
+              </div>
+            </>
+          )}
+        </>
+      )}
+
+      {error && <p className="spec-editor-error">{error}</p>}
+      {issues.length > 0 && (
+        <ul className="validation-issues">
+          {issues.map((issue, i) => (
+            <li key={i}><code>{issue.path}</code> {issue.message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default CatalogueImport;
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { searchChatHistory } from '../../utils/chatHistory';
+import './ChatHistory.css';
+
+/**
+ * Side panel listing saved chat sessions, with search across all of them
+ * and export of the open session.
+ */
+function ChatHistory({
+  sessions,
+  activeSessionId,
+  onSelectSession,
+  onNewSession,
+  onRenameSession,
+  onDeleteSession,
+  onExportSession
+}) {
+  const [searchText, setSearchText] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameText, setRenameText] = useState('');
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearchResults(searchText.trim() ? searchChatHistory(searchText) : null);
+  };
+
+  const handleClearSearch = () => {
+    setSearchText('');
+    setSearchResults(null);
+  };
+
+  const startRename = (session) => {
+    setRenamingId(session.id);
+    setRenameText(session.name);
+  };
+
+  const handleRenameSubmit = (e) => {
+    e.preventDefault();
+    if (renameText.trim()) onRenameSession(renamingId, renameText.trim());
+    setRenamingId(null);
+  };
+
+  return (
+    <div className="chat-history">
+      <div className="chat-history-actions">
+        <button className="new-session-button" onClick={onNewSession}>New chat</button>
+        <button onClick={() => onExportSession('markdown')} disabled={!activeSessionId}>Export .md</button>
+        <button onClick={() => onExportSession('json')} disabled={!activeSessionId}>Export .json</button>
+      </div>
+
+      <form className="chat-history-search" onSubmit={handleSearch}>
+        <input
+          type="text"
+          value={searchText}
+          onChange={(e) => setSearchText(e.target.value)}
+          placeholder="Search past questions and answers..."
+        />
+        <button type="submit">Search</button>
+      </form>
+
+      {searchResults ? (
+        <div className="chat-history-results">
+          <div className="results-header">
+            <span>{searchResults.length} result{searchResults.length === 1 ? '' : 's'}</span>
+            <button className="link-button" onClick={handleClearSearch}>Clear</button>
+          </div>
+          <ul>
+            {searchResults.map(result => (
+              <li key={`${result.sessionId}:${result.messageIndex}`} onClick={() => onSelectSession(result.sessionId)}>
+                <span className="result-session">{result.sessionName || 'Untitled chat'}</span>
+                <span className="result-snippet">
+                  <strong>{result.sender === 'user' ? 'Q: ' : 'A: '}</strong>{result.snippet}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : (
+        <ul className="chat-session-list">
+          {sessions.map(session => (
+            <li key={session.id} className={session.id === activeSessionId ? 'active' : ''}>
+              {renamingId === session.id ? (
+                <form onSubmit={handleRenameSubmit}>
+                  <input
+                    type="text"
+                    value={renameText}
+                    onChange={(e) => setRenameText(e.target.value)}
+                    autoFocus
+                  />
+                  <button type="submit">Save</button>
+                </form>
+              ) : (
+                <>
+                  <button className="session-open" onClick={() => onSelectSession(session.id)}>
+                    <span className="session-name">{session.name || 'Untitled chat'}</span>
+                    <span className="session-meta">
+                      {new Date(session.updatedAt).toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' })}
+                      {` • ${session.messageCount} messages`}
+                    </span>
+                  </button>
+                  <button className="link-button" onClick={() => startRename(session)}>Rename</button>
+                  <button className="link-button delete" onClick={() => onDeleteSession(session.id)}>Delete</button>
+                </>
+              )}
+            </li>
+          ))}
+          {sessions.length === 0 && <li className="empty-history">No saved chats yet.</li>}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ChatHistory;
@@ -1,17 +1,82 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import MessageBlocks from '../MessageBlocks/MessageBlocks';
+import ChatHistory from '../ChatHistory/ChatHistory';
+import SourceViewer from '../SourceViewer/SourceViewer';
+import {
+  createConversationContext,
+  resetConversationContext,
+  describeConversationContext
+} from '../../utils/conversationContext';
+import {
+  listChatSessions,
+  getChatSession,
+  createChatSession,
+  saveChatSession,
+  deleteChatSession,
+  getActiveChatSessionId,
+  setActiveChatSessionId,
+  exportChatSessionAsMarkdown,
+  exportChatSessionAsJson
+} from '../../utils/chatHistory';
+import { downloadFile, toFileName } from '../../utils/download';
 import './ChatInterface.css';
 
-function ChatInterface({ answerQuestion }) {
+function ChatInterface({ answerQuestion, getSpecificationManager, onOpenQuote }) {
   const [messages, setMessages] = useState([]);
   const [inputText, setInputText] = useState('');
-  const [isTyping, setIsTyping] = useState(false);
+  // Session a question is being answered for; one question at a time
+  const [answeringSessionId, setAnsweringSessionId] = useState(null);
+  const isTyping = answeringSessionId !== null;
+  // Partial answer while a generation backend streams its reply
+  const [streamingText, setStreamingText] = useState('');
   const messagesEndRef = useRef(null);
+  // What this chat session has been talking about, for follow-up questions
+  const conversationRef = useRef(createConversationContext());
+  const [contextSummary, setContextSummary] = useState(null);
+  // Saved sessions, so the conversation survives tab switches and reloads
+  const [sessionId, setSessionId] = useState(null);
+  // The open session as of now, for answers that finish after a switch
+  const sessionIdRef = useRef(null);
+  const [sessions, setSessions] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+
+  // Citation being checked in the source viewer
+  const [viewedSource, setViewedSource] = useState(null);
+
+  // Actions from interactive answer blocks
+  const handleBlockAction = (action) => {
+    if (action.type === 'openQuote' && onOpenQuote) onOpenQuote();
+    if (action.type === 'openSource') setViewedSource(action.source);
+  };
+
+  const closeSourceViewer = useCallback(() => setViewedSource(null), []);
+
+  // Reopen the session that was open last time, or start a new one
+  useEffect(() => {
+    const lastSession = getActiveChatSessionId() && getChatSession(getActiveChatSessionId());
+    openSession(lastSession || createChatSession());
+    setSessions(listChatSessions());
+  }, []);
 
   // Scroll to bottom of chat when messages change
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
+  const openSession = (session) => {
+    sessionIdRef.current = session.id;
+    setSessionId(session.id);
+    setActiveChatSessionId(session.id);
+    setMessages(session.messages);
+    conversationRef.current = { ...createConversationContext(), ...(session.context || {}) };
+    setContextSummary(describeConversationContext(conversationRef.current));
+  };
+
+  const persistMessages = (id, updatedMessages, context) => {
+    saveChatSession(id, { messages: updatedMessages, context });
+    setSessions(listChatSessions());
+  };
+
   const handleSendMessage = async () => {
     if (inputText.trim() === '') return;
     
@@ -23,23 +88,43 @@ function ChatInterface({ answerQuestion }) {
       timestamp: new Date().toISOString()
     };
     
-    setMessages(prev => [...prev, userMessage]);
+    // Input is disabled while waiting, so this session's messages can't
+    // change under us. Another session may be open by the time the answer
+    // arrives, so it is saved to this one and only shown if it's still open.
+    const requestSessionId = sessionId;
+    const context = conversationRef.current;
+    const withQuestion = [...messages, userMessage];
+    setMessages(withQuestion);
+    persistMessages(requestSessionId, withQuestion, context);
     setInputText('');
-    setIsTyping(true);
+    setAnsweringSessionId(requestSessionId);
+    const showIfOpen = (updatedMessages) => {
+      if (sessionIdRef.current !== requestSessionId) return;
+      // Reopening the session mid-answer loaded a copy of its context
+      conversationRef.current = context;
+      setMessages(updatedMessages);
+      setContextSummary(describeConversationContext(context));
+    };
     
     // Get response from knowledge base
     try {
-      // The answerQuestion function is expected to be passed as a prop
-      const responseText = await answerQuestion(userMessageText);
+      // The answerQuestion function is expected to be passed as a prop.
+      // It resolves to { text, blocks }; a bare string is treated as text.
+      const response = await answerQuestion(userMessageText, context, {
+        onToken: setStreamingText
+      });
       
       // Add bot response
       const botMessage = {
-        text: responseText, // This should be the already formatted response from localModel.js
+        text: typeof response === 'string' ? response : response.text,
+        blocks: typeof response === 'string' ? null : response.blocks,
         sender: 'bot',
         timestamp: new Date().toISOString()
       };
       
-      setMessages(prev => [...prev, botMessage]);
+      const withAnswer = [...withQuestion, botMessage];
+      persistMessages(requestSessionId, withAnswer, context);
+      showIfOpen(withAnswer);
     } catch (error) {
       console.error('Error getting response:', error);
       
@@ -51,9 +136,53 @@ function ChatInterface({ answerQuestion }) {
         isError: true
       };
       
-      setMessages(prev => [...prev, errorMessage]);
+      const withError = [...withQuestion, errorMessage];
+      persistMessages(requestSessionId, withError, context);
+      showIfOpen(withError);
     } finally {
-      setIsTyping(false);
+      setAnsweringSessionId(null);
+      setStreamingText('');
+    }
+  };
+
+  const handleResetContext = () => {
+    resetConversationContext(conversationRef.current);
+    setContextSummary(null);
+    saveChatSession(sessionId, { context: conversationRef.current });
+  };
+
+  const handleSelectSession = (id) => {
+    const session = getChatSession(id);
+    if (session) openSession(session);
+  };
+
+  const handleNewSession = () => {
+    openSession(createChatSession());
+    setSessions(listChatSessions());
+  };
+
+  const handleRenameSession = (id, name) => {
+    saveChatSession(id, { name });
+    setSessions(listChatSessions());
+  };
+
+  const handleDeleteSession = (id) => {
+    deleteChatSession(id);
+    const remaining = listChatSessions();
+    if (id === sessionId) {
+      openSession(remaining.length > 0 ? getChatSession(remaining[0].id) : createChatSession());
+    }
+    setSessions(listChatSessions());
+  };
+
+  const handleExportSession = (format) => {
+    const session = getChatSession(sessionId);
+    if (!session) return;
+    const baseName = `studio338-chat-${toFileName(session.name || session.createdAt)}`;
+    if (format === 'json') {
+      downloadFile(`${baseName}.json`, exportChatSessionAsJson(session), 'application/json');
+    } else {
+      downloadFile(`${baseName}.md`, exportChatSessionAsMarkdown(session), 'text/markdown');
     }
   };
 
@@ -61,7 +190,30 @@ function ChatInterface({ answerQuestion }) {
     <div className="chat-container">
       <div className="chat-header">
         <h2>Agent Tech - Studio 338 Assistant</h2>
+        <button className="history-toggle-button" onClick={() => setShowHistory(!showHistory)}>
+          {showHistory ? 'Hide chats' : 'Saved chats'}
+        </button>
+        {contextSummary && (
+          <div className="conversation-context">
+            <span>Talking about: {contextSummary}</span>
+            <button className="reset-context-button" onClick={handleResetContext}>
+              New topic
+            </button>
+          </div>
+        )}
       </div>
+
+      {showHistory && (
+        <ChatHistory
+          sessions={sessions}
+          activeSessionId={sessionId}
+          onSelectSession={handleSelectSession}
+          onNewSession={handleNewSession}
+          onRenameSession={handleRenameSession}
+          onDeleteSession={handleDeleteSession}
+          onExportSession={handleExportSession}
+        />
+      )}
       
       <div className="messages-container">
         {messages.map((msg, index) => (
@@ -69,16 +221,25 @@ function ChatInterface({ answerQuestion }) {
             key={index} 
             className={`message ${msg.sender} ${msg.isError ? 'error' : ''}`}
           >
-            {/* Render text directly, assuming it's a string. 
-                If it can be JSX (like your spec update notification example),
-                this part would need adjustment or the response formatted accordingly. */}
-            {typeof msg.text === 'string' ? msg.text.split('\n').map((line, i) => (
+            {/* Bot answers carry typed content blocks; user and error
+                messages are plain text. */}
+            {msg.blocks ? (
+              <MessageBlocks blocks={msg.blocks} onAction={handleBlockAction} />
+            ) : typeof msg.text === 'string' ? msg.text.split('\n').map((line, i) => (
               <React.Fragment key={i}>{line}<br/></React.Fragment>
             )) : msg.text}
           </div>
         ))}
         
-        {isTyping && (
+        {answeringSessionId === sessionId && streamingText && (
+          <div className="message bot streaming">
+            {streamingText.split('\n').map((line, i) => (
+              <React.Fragment key={i}>{line}<br/></React.Fragment>
+            ))}
+          </div>
+        )}
+
+        {answeringSessionId === sessionId && !streamingText && (
           <div className="message bot typing">
             <span className="dot"></span>
             <span className="dot"></span>
@@ -102,6 +263,14 @@ function ChatInterface({ answerQuestion }) {
           Send
         </button>
       </div>
+
+      {viewedSource && (
+        <SourceViewer
+          source={viewedSource}
+          specManager={getSpecificationManager ? getSpecificationManager() : null}
+          onClose={closeSourceViewer}
+        />
+      )}
     </div>
   );
 }
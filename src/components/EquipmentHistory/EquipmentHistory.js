@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { buildItemTimeline, getChangeFeed } from '../../utils/specHistory';
+import { getSpecFieldRows, getFieldLabel } from '../../utils/specQuery';
+import { formatFieldValue } from '../../utils/specEditor';
+import './EquipmentHistory.css';
+
+const PERIODS = [
+  { label: 'Last 7 days', days: 7 },
+  { label: 'Last 30 days', days: 30 },
+  { label: 'Last 90 days', days: 90 },
+  { label: 'Last year', days: 365 },
+  { label: 'All time', days: null }
+];
+
+const KIND_LABELS = { added: 'Added', changed: 'Changed', retired: 'Retired' };
+
+function formatValue(value) {
+  return value === null || value === undefined ? '(none)' : formatFieldValue(value);
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+/**
+ * One item's versions, oldest first, with the fields that changed and why
+ */
+function ItemTimeline({ specManager, entry }) {
+  const { item, category, subcategory } = entry;
+  const timeline = buildItemTimeline(specManager, item.id);
+
+  return (
+    <div className="item-history">
+      <h3>
+        {item.name}
+        {item.retired && <span className="retired-label">retired</span>}
+      </h3>
+      <p className="item-history-place">{category} &gt; {subcategory.replace(/_/g, ' ')}</p>
+
+      <table className="item-current">
+        <tbody>
+          {getSpecFieldRows(item).map(row => (
+            <tr key={row.field}>
+              <th>{row.label}</th>
+              <td>{row.value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h4>Timeline</h4>
+      {timeline.length === 0 ? (
+        <p className="history-empty">No history recorded for this item.</p>
+      ) : (
+        <ol className="timeline">
+          {timeline.map((event, i) => (
+            <li key={i} className={`timeline-event ${event.kind}`}>
+              <div className="timeline-date">{formatDate(event.date)}</div>
+              <div className="timeline-body">
+                <strong>{KIND_LABELS[event.kind]}</strong>
+                {event.version && <span className="timeline-version"> in v{event.version}</span>}
+                {event.author && <span className="timeline-author"> by {event.author}</span>}
+                {event.fields.length > 0 && (
+                  <ul className="timeline-fields">
+                    {event.fields.filter(change => change.field !== 'retired').map(change => (
+                      <li key={change.field}>
+                        {getFieldLabel(change.field)}: {formatValue(change.oldValue)} → {formatValue(change.newValue)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {event.notes.map((note, j) => <p key={j} className="timeline-note">{note}</p>)}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Venue-wide list of documented changes, filterable by category and period
+ */
+function ChangeFeed({ specManager, categories, onSelectItem }) {
+  const [category, setCategory] = useState('');
+  const [days, setDays] = useState(null);
+  const changes = getChangeFeed(specManager, { days, category });
+
+  return (
+    <div className="change-feed">
+      <div className="change-feed-filters">
+        <select value={category} onChange={(e) => setCategory(e.target.value)}>
+          <option value="">All categories</option>
+          {categories.map(cat => <option key={cat} value={cat}>{cat.replace(/_/g, ' ')}</option>)}
+        </select>
+        <select
+          value={days === null ? '' : String(days)}
+          onChange={(e) => setDays(e.target.value === '' ? null : Number(e.target.value))}
+        >
+          {PERIODS.map(period => (
+            <option key={period.label} value={period.days === null ? '' : String(period.days)}>{period.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {changes.length === 0 ? (
+        <p className="history-empty">No changes recorded for this period.</p>
+      ) : (
+        <ul className="change-feed-list">
+          {changes.map((change, i) => (
+            <li key={i}>
+              <span className="feed-date">{formatDate(change.date)}</span>
+              <span className="feed-body">
+                {change.itemId ? (
+                  <button className="link-button" onClick={() => onSelectItem(change.itemId)}>{change.item}</button>
+                ) : change.item}
+                {change.action === 'added' && ' added'}
+                {change.action === 'retired' && ' retired'}
+                {change.action === 'updated' && change.field && (
+                  <>: {getFieldLabel(change.field)} {formatValue(change.oldValue)} → {formatValue(change.newValue)}</>
+                )}
+                {change.notes && <span className="feed-note"> – {change.notes}</span>}
+                <span className="feed-meta"> v{change.version}{change.author && `, ${change.author}`}</span>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Equipment history: a timeline per item built from its previous versions
+ * and the changeLog, and a feed of recent changes across the venue.
+ */
+function EquipmentHistory({ specManager }) {
+  const [view, setView] = useState('feed');
+  const [selectedId, setSelectedId] = useState(null);
+  const [filterText, setFilterText] = useState('');
+
+  if (!specManager || !specManager.specs) {
+    return <div className="equipment-history"><p>Specifications are not loaded yet.</p></div>;
+  }
+
+  const entries = specManager.getAllItems({ includeRetired: true });
+  const categories = Object.keys(specManager.specs.categories || {});
+  const selectedEntry = entries.find(({ item }) => item.id === selectedId);
+  const visibleEntries = entries.filter(({ item }) =>
+    item.name.toLowerCase().includes(filterText.trim().toLowerCase())
+  );
+
+  const selectItem = (id) => {
+    setSelectedId(id);
+    setView('item');
+  };
+
+  return (
+    <div className="equipment-history">
+      <div className="equipment-history-list">
+        <button
+          className={`recent-changes-button ${view === 'feed' ? 'active' : ''}`}
+          onClick={() => setView('feed')}
+        >
+          Recent changes
+        </button>
+        <input
+          type="text"
+          value={filterText}
+          onChange={(e) => setFilterText(e.target.value)}
+          placeholder="Find equipment..."
+        />
+        <ul>
+          {visibleEntries.map(({ item, category }) => (
+            <li
+              key={item.id}
+              className={`${view === 'item' && item.id === selectedId ? 'selected' : ''} ${item.retired ? 'retired' : ''}`}
+              onClick={() => selectItem(item.id)}
+            >
+              {item.name}
+              <span className="list-category">{category}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="equipment-history-detail">
+        {view === 'item' && selectedEntry ? (
+          <ItemTimeline specManager={specManager} entry={selectedEntry} />
+        ) : (
+          <>
+            <h3>Recent changes</h3>
+            <ChangeFeed specManager={specManager} categories={categories} onSelectItem={selectItem} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default EquipmentHistory;
@@ -0,0 +1,215 @@
+import React from 'react';
+import { describeSource, isViewableSource } from '../../utils/citations';
+import { formatCost } from '../../utils/specQuery';
+import { formatDisplayDate } from '../../utils/dateParser';
+import { describeVatRate } from '../../utils/quoteCalculator';
+import './MessageBlocks.css';
+
+/**
+ * Plain text, one line per newline
+ */
+function TextBlock({ block }) {
+  return (
+    <p className="block-text">
+      {block.text.split('\n').map((line, i) => (
+        <React.Fragment key={i}>{line}<br/></React.Fragment>
+      ))}
+    </p>
+  );
+}
+
+/**
+ * Key/value table of a specification item's fields
+ */
+function SpecTableBlock({ block }) {
+  const highlight = new Set(block.highlight || []);
+  return (
+    <div className="block-spec-table">
+      {block.title && <h4>{block.title}</h4>}
+      <table>
+        <tbody>
+          {block.rows.map(row => (
+            <tr key={row.field} className={highlight.has(row.field) ? 'highlight' : ''}>
+              <th>{row.label}</th>
+              <td>{row.value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Calendar event card with date, time and ticket status
+ */
+function EventCardBlock({ block }) {
+  return (
+    <div className={`block-event ${block.nearby ? 'nearby' : ''}`}>
+      {block.nearby && <p className="event-nearby-note">Nearest event to that date</p>}
+      <h4>{block.title}</h4>
+      <p className="event-when">
+        {block.dateText}{block.time && ` • ${block.time}`}
+      </p>
+      {block.description && <p className="event-description">{block.description}</p>}
+      <p className={`event-tickets ${block.ticketsAvailable ? 'available' : ''}`}>
+        {block.ticketsAvailable ? 'Tickets available' : 'No ticket information'}
+        {block.url && (
+          <> • <a href={block.url} target="_blank" rel="noopener noreferrer">Event page</a></>
+        )}
+      </p>
+    </div>
+  );
+}
+
+/**
+ * List of equipment items with quantities
+ */
+function EquipmentListBlock({ block }) {
+  return (
+    <div className="block-equipment-list">
+      {block.title && <h4>{block.title}</h4>}
+      <ul>
+        {block.items.map(item => (
+          <li key={item.id || item.name}>
+            {item.quantity !== undefined && <span className="equipment-quantity">{item.quantity} x</span>}
+            <span className="equipment-name">{item.name}</span>
+            {item.location && <span className="equipment-location">{item.location}</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * Citations for the sources an answer used. PDF pages and specification
+ * records open in the source viewer.
+ */
+function SourcesBlock({ block, onAction }) {
+  return (
+    <div className="block-sources">
+      <span className="sources-label">Sources:</span>
+      {block.sources.map((source, i) => (
+        isViewableSource(source) && onAction ? (
+          <button
+            key={i}
+            className={`source-chip ${source.type} viewable`}
+            onClick={() => onAction({ type: 'openSource', source })}
+          >
+            [{i + 1}] {describeSource(source)}
+          </button>
+        ) : (
+          <span key={i} className={`source-chip ${source.type}`}>[{i + 1}] {describeSource(source)}</span>
+        )
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Running draft quote: lines, totals and a link to the Equipment Budget tab
+ */
+function QuoteSummaryBlock({ block, onAction }) {
+  return (
+    <div className="block-quote-summary">
+      <h4>Draft quote{block.eventDate && ` • ${formatDisplayDate(block.eventDate)}`}</h4>
+      {block.lines.length > 0 ? (
+        <table>
+          <tbody>
+            {block.lines.map(line => (
+              <tr key={line.itemId}>
+                <td>{line.quantity} x {line.name}{line.duration && `, ${line.duration}`}{line.discount && ` (${line.discount})`}</td>
+                <td className="quote-amount">
+                  {formatCost(line.lineTotal, line.currency)}
+                  {line.converted === false && <span className="quote-unconverted"> not in total</span>}
+                </td>
+              </tr>
+            ))}
+            <tr className="quote-subtotal">
+              <td>Subtotal</td>
+              <td className="quote-amount">{formatCost(block.subtotal, block.currency)}</td>
+            </tr>
+            {/* Older summaries have a single VAT amount */}
+            {(block.vatBreakdown || [{ rate: null, vat: block.vat }]).map(entry => (
+              <tr key={String(entry.rate)}>
+                <td>{entry.rate === null ? 'VAT' : describeVatRate(entry.rate)}</td>
+                <td className="quote-amount">{formatCost(entry.vat, block.currency)}</td>
+              </tr>
+            ))}
+            <tr className="quote-total">
+              <td>Total</td>
+              <td className="quote-amount">{formatCost(block.total, block.currency)}</td>
+            </tr>
+          </tbody>
+        </table>
+      ) : (
+        <p className="quote-empty">No items yet.</p>
+      )}
+      {onAction && (
+        <button className="quote-open-button" onClick={() => onAction({ type: 'openQuote' })}>
+          Open in Equipment Budget
+        </button>
+      )}
+    </div>
+  );
+}
+
+const BLOCK_COMPONENTS = {
+  text: TextBlock,
+  specTable: SpecTableBlock,
+  event: EventCardBlock,
+  equipmentList: EquipmentListBlock,
+  quoteSummary: QuoteSummaryBlock,
+  sources: SourcesBlock
+};
+
+/**
+ * Renders a bot message's typed content blocks. Unknown block types are
+ * skipped rather than breaking the whole message.
+ * onAction receives actions from interactive blocks, e.g. { type: 'openQuote' }
+ * or { type: 'openSource', source }.
+ */
+function MessageBlocks({ blocks, onAction }) {
+  const sourcesBlock = blocks.find(block => block.type === 'sources');
+
+  // Blocks that start an answer carry the number of its source
+  const renderCitation = (block) => {
+    const source = sourcesBlock && sourcesBlock.sources[block.citation - 1];
+    if (!source) return null;
+    return isViewableSource(source) && onAction ? (
+      <button
+        className="citation-marker"
+        title={describeSource(source)}
+        onClick={() => onAction({ type: 'openSource', source })}
+      >
+        [{block.citation}]
+      </button>
+    ) : (
+      <span className="citation-marker" title={describeSource(source)}>[{block.citation}]</span>
+    );
+  };
+
+  return (
+    <div className="message-blocks">
+      {blocks.map((block, index) => {
+        const BlockComponent = BLOCK_COMPONENTS[block.type];
+        if (!BlockComponent) {
+          console.warn(`MessageBlocks: no renderer for block type "${block.type}"`);
+          return null;
+        }
+        if (!block.citation) {
+          return <BlockComponent key={index} block={block} onAction={onAction} />;
+        }
+        return (
+          <div key={index} className="cited-block">
+            <BlockComponent block={block} onAction={onAction} />
+            {renderCitation(block)}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default MessageBlocks;
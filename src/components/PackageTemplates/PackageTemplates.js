@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import {
+  listPackageTemplates,
+  savePackageTemplate,
+  deletePackageTemplate,
+  checkPackageTemplate,
+  refreshPackageTemplate,
+  subscribeToPackageTemplates
+} from '../../utils/packageTemplates';
+import { formatCost } from '../../utils/specQuery';
+import './PackageTemplates.css';
+
+function describeIssue(issue) {
+  if (issue.problem === 'removed') return `${issue.name} has been removed from the specifications`;
+  return `${issue.name} repriced from ${formatCost(issue.before, issue.currency)} to ${formatCost(issue.after, issue.currency)}`;
+}
+
+/**
+ * Package templates in the budget calculator: adding one puts its items on
+ * the quote, and the current selection can be saved as a new one. Templates
+ * whose items have since been removed or repriced are flagged.
+ */
+function PackageTemplates({ specManager, selectedLines, onAddPackage, disabled }) {
+  const [templates, setTemplates] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [name, setName] = useState('');
+  const [discountPercent, setDiscountPercent] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = () => listPackageTemplates().then(list => {
+      if (!cancelled) setTemplates(list);
+    });
+    load();
+    const unsubscribe = subscribeToPackageTemplates(load);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  const runAction = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (actionError) {
+      setError(actionError.message);
+    }
+  };
+
+  const handleSave = () => runAction(async () => {
+    await savePackageTemplate({
+      name,
+      discountPercent: discountPercent === '' ? 0 : Number(discountPercent),
+      lines: selectedLines.map(({ itemId, quantity }) => ({ itemId, quantity }))
+    }, specManager);
+    setIsSaving(false);
+    setName('');
+    setDiscountPercent('');
+  });
+
+  if (!specManager) return null;
+
+  return (
+    <div className="package-templates">
+      <h4>Packages</h4>
+      {templates.length === 0 && <p className="package-empty">No packages yet. Select equipment and save it as a package.</p>}
+      <ul>
+        {templates.map(template => {
+          const check = checkPackageTemplate(template, specManager);
+          return (
+            <li key={template.id} className={check.outOfDate ? 'out-of-date' : ''}>
+              <div className="package-details">
+                <strong>{template.name}</strong>
+                {template.discountPercent > 0 && <span className="package-discount">{template.discountPercent}% off</span>}
+                <p className="package-items">
+                  {template.lines.map(line => `${line.quantity} × ${line.name}`).join(', ')}
+                </p>
+                {check.outOfDate && (
+                  <div className="package-warning">
+                    Built against specifications {template.specsVersion || '(unknown)'}; in {check.specsVersion || 'the current version'}:
+                    <ul>
+                      {check.issues.map(issue => <li key={issue.itemId}>{describeIssue(issue)}</li>)}
+                    </ul>
+                    <button onClick={() => runAction(() => refreshPackageTemplate(template, specManager))}>
+                      Update to current specifications
+                    </button>
+                  </div>
+                )}
+              </div>
+              <div className="package-actions">
+                <button onClick={() => onAddPackage(template)} disabled={disabled}>Add</button>
+                <button className="remove" onClick={() => runAction(() => deletePackageTemplate(template.id))}>Delete</button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {error && <p className="package-error">{error}</p>}
+
+      {isSaving ? (
+        <div className="package-form">
+          <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Package name, e.g. Terrace DJ setup" />
+          <label>
+            Discount %
+            <input type="number" min="0" max="99" step="0.5" value={discountPercent} onChange={(e) => setDiscountPercent(e.target.value)} placeholder="0" />
+          </label>
+          <button onClick={handleSave}>Save</button>
+          <button onClick={() => setIsSaving(false)}>Cancel</button>
+        </div>
+      ) : (
+        <button className="package-save-button" onClick={() => setIsSaving(true)} disabled={selectedLines.length === 0}>
+          Save selection as package
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default PackageTemplates;
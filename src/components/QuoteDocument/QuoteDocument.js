@@ -0,0 +1,127 @@
+import React, { useEffect } from 'react';
+import './QuoteDocument.css';
+
+/**
+ * A quote as sent to the client, shown over the app with buttons to
+ * download it as a PDF or print it. Printing prints only the document.
+ */
+function QuoteDocument({ quote, onDownload, onClose }) {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const venueLines = [...quote.venue.addressLines, quote.venue.phone, quote.venue.email].filter(Boolean);
+
+  return (
+    <div className="quote-document-overlay" onClick={onClose}>
+      <div className="quote-document-frame" onClick={(e) => e.stopPropagation()}>
+        <div className="quote-document-toolbar">
+          <h3>Quote {quote.number}</h3>
+          <button className="primary" onClick={onDownload}>Download PDF</button>
+          <button onClick={() => window.print()}>Print</button>
+          <button onClick={onClose}>Close</button>
+        </div>
+
+        <article className="quote-document">
+          <header className="quote-document-header">
+            <div>
+              <h1>{quote.venue.name}</h1>
+              {venueLines.map((line, i) => <p key={i} className="quote-venue-line">{line}</p>)}
+            </div>
+            <div className="quote-reference">
+              <h2>Quote</h2>
+              <p>Quote no. {quote.number}</p>
+              <p>Issued {quote.issuedOn}</p>
+              <p>Valid until {quote.validUntil}</p>
+            </div>
+          </header>
+
+          <section className="quote-parties">
+            <div>
+              <h4>Client</h4>
+              {quote.client.name || quote.client.email ? (
+                <>
+                  {quote.client.name && <p className="quote-party-name">{quote.client.name}</p>}
+                  {quote.client.email && <p>{quote.client.email}</p>}
+                </>
+              ) : <p className="quote-muted">(not given)</p>}
+            </div>
+            <div>
+              <h4>Event</h4>
+              {quote.event.title && <p className="quote-party-name">{quote.event.title}</p>}
+              {quote.event.date && <p>{quote.event.date}</p>}
+              {quote.event.time && <p>{quote.event.time}</p>}
+              {quote.event.description && <p className="quote-muted">{quote.event.description}</p>}
+            </div>
+          </section>
+
+          <table className="quote-lines">
+            <thead>
+              <tr>
+                <th>Description</th>
+                <th className="number">Qty</th>
+                <th>Duration</th>
+                <th className="number">Unit price</th>
+                <th className="number">VAT</th>
+                <th className="number">Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {quote.lines.map(line => (
+                <tr key={line.itemId}>
+                  <td>
+                    {line.description}
+                    <span className="quote-line-note">{line.unit}</span>
+                    {line.discount && <span className="quote-line-note">{line.discount}</span>}
+                    {line.converted && <span className="quote-line-note">{line.converted}</span>}
+                  </td>
+                  <td className="number">{line.quantity}</td>
+                  <td>{line.duration || '–'}</td>
+                  <td className="number">{line.unitPrice}</td>
+                  <td className="number">{line.vatRate}</td>
+                  <td className="number">{line.amount}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td colSpan="5" className="number">Subtotal</td>
+                <td className="number">{quote.subtotal}</td>
+              </tr>
+              {quote.vatBreakdown.map(entry => (
+                <tr key={entry.label}>
+                  <td colSpan="5" className="number">{entry.label}</td>
+                  <td className="number">{entry.vat}</td>
+                </tr>
+              ))}
+              <tr className="quote-lines-total">
+                <td colSpan="5" className="number">Total</td>
+                <td className="number">{quote.total}</td>
+              </tr>
+            </tfoot>
+          </table>
+
+          {quote.terms.length > 0 && (
+            <section className="quote-terms">
+              <h4>Terms</h4>
+              <ul>
+                {quote.terms.map((term, i) => <li key={i}>{term}</li>)}
+              </ul>
+            </section>
+          )}
+
+          <footer className="quote-document-footer">
+            {quote.venue.name} • Quote {quote.number}
+            {quote.venue.vatNumber && ` • VAT no. ${quote.venue.vatNumber}`}
+          </footer>
+        </article>
+      </div>
+    </div>
+  );
+}
+
+export default QuoteDocument;
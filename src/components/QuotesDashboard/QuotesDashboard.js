@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import {
+  QUOTE_STATUSES,
+  listSavedQuotes,
+  getLatestRevision,
+  setQuoteStatus,
+  duplicateQuote,
+  draftFromSavedQuote,
+  compareRevisions,
+  subscribeToSavedQuotes
+} from '../../utils/savedQuotes';
+import { getDraftQuote, saveDraftQuote } from '../../utils/quoteDraft';
+import { formatDisplayDate } from '../../utils/dateParser';
+import { formatCost } from '../../utils/specQuery';
+import './QuotesDashboard.css';
+
+const CHANGE_LABELS = { added: 'Added', removed: 'Removed', changed: 'Changed' };
+
+function formatTimestamp(timestamp) {
+  return new Date(timestamp).toLocaleString('en-GB', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+function describeLine(line) {
+  if (!line) return '–';
+  const parts = [`${line.quantity} ×`];
+  if (line.duration) parts.push(line.duration);
+  parts.push(`@ ${formatCost(line.unitPrice, line.currency)}`);
+  return `${parts.join(' ')} = ${formatCost(line.lineTotal, line.currency)}`;
+}
+
+/**
+ * What changed between two revisions of a saved quote
+ */
+function RevisionComparison({ quote, onClose }) {
+  const latest = getLatestRevision(quote).revision;
+  const [fromRevision, setFromRevision] = useState(latest - 1);
+  const [toRevision, setToRevision] = useState(latest);
+  const comparison = compareRevisions(quote, fromRevision, toRevision);
+  const { before, after } = comparison.totals;
+
+  const revisionSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(Number(e.target.value))}>
+      {quote.revisions.map(revision => (
+        <option key={revision.revision} value={revision.revision}>
+          Revision {revision.revision} ({formatTimestamp(revision.savedAt)}{revision.sentAt ? ', sent' : ''})
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <section className="revision-comparison">
+      <div className="revision-comparison-header">
+        <h3>Compare revisions of {quote.number}</h3>
+        <button onClick={onClose}>Close</button>
+      </div>
+      <div className="revision-comparison-pickers">
+        {revisionSelect(fromRevision, setFromRevision)}
+        <span>→</span>
+        {revisionSelect(toRevision, setToRevision)}
+      </div>
+      {[fromRevision, toRevision].map(number => {
+        const note = quote.revisions.find(revision => revision.revision === number).note;
+        return note ? <p key={number} className="revision-note">Revision {number}: {note}</p> : null;
+      })}
+
+      {comparison.details.length === 0 && comparison.lines.length === 0 ? (
+        <p className="quotes-empty">These revisions are the same.</p>
+      ) : (
+        <table className="quotes-table">
+          <thead>
+            <tr>
+              <th>Change</th>
+              <th>What</th>
+              <th>Revision {fromRevision}</th>
+              <th>Revision {toRevision}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {comparison.details.map(detail => (
+              <tr key={detail.field}>
+                <td>Changed</td>
+                <td>{detail.field}</td>
+                <td>{detail.before || '–'}</td>
+                <td>{detail.after || '–'}</td>
+              </tr>
+            ))}
+            {comparison.lines.map(line => (
+              <tr key={line.itemId} className={`revision-${line.change}`}>
+                <td>{CHANGE_LABELS[line.change]}</td>
+                <td>{line.name}</td>
+                <td>{describeLine(line.before)}</td>
+                <td>{describeLine(line.after)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p className="revision-totals">
+        Total {formatCost(before.total, before.currency)} → {formatCost(after.total, after.currency)}
+      </p>
+    </section>
+  );
+}
+
+/**
+ * Saved quotes by event date and status, with actions to reopen a quote
+ * in the budget calculator, duplicate it, or compare its revisions.
+ */
+function QuotesDashboard({ specManager, onOpenQuote }) {
+  const [quotes, setQuotes] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [comparingId, setComparingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = () => listSavedQuotes().then(list => {
+      if (!cancelled) setQuotes(list);
+    });
+    load();
+    const unsubscribe = subscribeToSavedQuotes(load);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  const runAction = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (actionError) {
+      setError(actionError.message);
+    }
+  };
+
+  const handleOpen = (quote) => {
+    const current = getDraftQuote();
+    if (current.lines.length > 0 && current.savedQuoteId !== quote.id &&
+        !window.confirm('Replace the quote currently in the budget calculator?')) {
+      return;
+    }
+    saveDraftQuote(draftFromSavedQuote(quote));
+    if (onOpenQuote) onOpenQuote();
+  };
+
+  const comparing = quotes.find(quote => quote.id === comparingId);
+  const shown = statusFilter === 'all' ? quotes : quotes.filter(quote => quote.status === statusFilter);
+
+  return (
+    <div className="quotes-dashboard">
+      <h2>Quotes</h2>
+
+      <div className="quotes-filter">
+        {[{ value: 'all', label: 'All' }, ...QUOTE_STATUSES].map(status => (
+          <button
+            key={status.value}
+            className={statusFilter === status.value ? 'active' : ''}
+            onClick={() => setStatusFilter(status.value)}
+          >
+            {status.label} ({status.value === 'all' ? quotes.length : quotes.filter(quote => quote.status === status.value).length})
+          </button>
+        ))}
+      </div>
+
+      {error && <p className="quotes-error">{error}</p>}
+
+      {shown.length === 0 ? (
+        <p className="quotes-empty">
+          {quotes.length === 0 ? 'No saved quotes yet. Save one from the budget calculator.' : 'No quotes with this status.'}
+        </p>
+      ) : (
+        <table className="quotes-table">
+          <thead>
+            <tr>
+              <th>Event date</th>
+              <th>Quote</th>
+              <th>Event</th>
+              <th>Client</th>
+              <th className="number">Total</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map(quote => {
+              const latest = getLatestRevision(quote);
+              // A revision made after sending keeps the quote's status until it goes out too
+              const unsentRevision = !latest.sentAt && (quote.status === 'sent' || quote.status === 'accepted');
+              return (
+                <tr key={quote.id} className={`quote-row ${quote.status}`}>
+                  <td>{quote.eventDate ? formatDisplayDate(quote.eventDate) : '–'}</td>
+                  <td>
+                    {quote.number}
+                    <span className="quote-revision">
+                      revision {latest.revision}{unsentRevision && ' • not sent yet'}
+                    </span>
+                  </td>
+                  <td>{quote.eventTitle || '–'}</td>
+                  <td>{quote.clientName || '–'}</td>
+                  <td className="number">{formatCost(latest.totals.total, latest.totals.currency)}</td>
+                  <td>
+                    <select
+                      value={quote.status}
+                      onChange={(e) => runAction(() => setQuoteStatus(quote.id, e.target.value, { specManager }))}
+                    >
+                      {QUOTE_STATUSES.map(status => <option key={status.value} value={status.value}>{status.label}</option>)}
+                    </select>
+                  </td>
+                  <td className="quote-actions">
+                    {unsentRevision && (
+                      <button onClick={() => runAction(() => setQuoteStatus(quote.id, quote.status, { specManager }))}>Mark sent</button>
+                    )}
+                    {quote.status !== 'cancelled' && <button onClick={() => handleOpen(quote)}>Open</button>}
+                    <button onClick={() => runAction(() => duplicateQuote(quote.id))}>Duplicate</button>
+                    {quote.revisions.length > 1 && (
+                      <button onClick={() => setComparingId(comparingId === quote.id ? null : quote.id)}>Compare</button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {comparing && <RevisionComparison key={comparing.id} quote={comparing} onClose={() => setComparingId(null)} />}
+    </div>
+  );
+}
+
+export default QuotesDashboard;
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { getExtractedEquipment } from '../../utils/pdfProcessor';
+import { buildReconciliationReport } from '../../utils/reconciliation';
+import { formatCost } from '../../utils/specQuery';
+import SourceViewer from '../SourceViewer/SourceViewer';
+import './ReconciliationReport.css';
+
+const OUT_OF_DATE_LABELS = {
+  pdf: 'PDF shows an earlier value',
+  specifications: 'Missing from specifications'
+};
+
+function formatDate(date) {
+  return date ? new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' }) : '–';
+}
+
+function formatValue(field, value, currency) {
+  if (value === null || value === undefined) return '(none)';
+  return field === 'cost' ? formatCost(value, currency) : String(value);
+}
+
+/**
+ * Table of values the PDF and specifications disagree on
+ */
+function MismatchTable({ title, rows, specManager, onOpenSource }) {
+  if (rows.length === 0) return null;
+  const currencyOf = itemId => specManager.getAllItems().find(({ item }) => item.id === itemId)?.item.currency;
+
+  return (
+    <section className="reconcile-section">
+      <h3>{title} <span className="reconcile-count">{rows.length}</span></h3>
+      <table className="reconcile-table">
+        <thead>
+          <tr>
+            <th>Item</th>
+            <th>Specifications</th>
+            <th>Technical bible</th>
+            <th>Spec last updated</th>
+            <th>Likely out of date</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, i) => (
+            <tr key={i}>
+              <td>
+                <button className="reconcile-link" onClick={() => onOpenSource({ type: 'spec', itemId: row.itemId })}>
+                  {row.name}
+                </button>
+                {row.pdfName !== row.name && <div className="reconcile-pdf-name">“{row.pdfName}” in the PDF</div>}
+              </td>
+              <td>{formatValue(row.field, row.specValue, currencyOf(row.itemId))}</td>
+              <td>
+                {formatValue(row.field, row.pdfValue)}{' '}
+                <button className="reconcile-link" onClick={() => onOpenSource(row.source)}>p. {row.page}</button>
+              </td>
+              <td>{formatDate(row.lastUpdated)}</td>
+              <td className="reconcile-hint">{OUT_OF_DATE_LABELS[row.likelyOutOfDate] || 'Check both'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+}
+
+/**
+ * Reconciliation between the technical bible and the specifications: which
+ * quantities and prices disagree, and which items only one of them lists.
+ */
+function ReconciliationReport({ specManager }) {
+  const [viewedSource, setViewedSource] = useState(null);
+  // Bumped to re-read the extracted PDF content, e.g. after it is reloaded
+  const [, setRefreshCount] = useState(0);
+
+  if (!specManager || !specManager.specs) {
+    return <div className="reconciliation-report"><p>Specifications are not loaded yet.</p></div>;
+  }
+
+  const extracted = getExtractedEquipment();
+  const report = buildReconciliationReport(specManager, extracted);
+  const pdfIsEmpty = Object.keys(extracted.equipment).length === 0 && Object.keys(extracted.pricing).length === 0;
+  const differences = report.quantityMismatches.length + report.priceMismatches.length +
+    report.pdfOnly.length + report.specsOnly.length;
+
+  return (
+    <div className="reconciliation-report">
+      <div className="reconcile-header">
+        <h2>Technical bible vs specifications v{report.specsVersion}</h2>
+        <button onClick={() => setRefreshCount(count => count + 1)}>Refresh</button>
+      </div>
+
+      {pdfIsEmpty ? (
+        <p className="reconcile-empty">No equipment or prices were extracted from the technical bible, so there is nothing to compare.</p>
+      ) : (
+        <p className="reconcile-summary">
+          {differences === 0 ? 'The two documents agree.' : `${differences} difference${differences === 1 ? '' : 's'} found.`}
+          {report.agreed.length > 0 && ` ${report.agreed.length} item${report.agreed.length === 1 ? '' : 's'} match.`}
+        </p>
+      )}
+
+      <MismatchTable title="Quantities that differ" rows={report.quantityMismatches} specManager={specManager} onOpenSource={setViewedSource} />
+      <MismatchTable title="Prices that differ" rows={report.priceMismatches} specManager={specManager} onOpenSource={setViewedSource} />
+
+      {report.pdfOnly.length > 0 && (
+        <section className="reconcile-section">
+          <h3>Only in the technical bible <span className="reconcile-count">{report.pdfOnly.length}</span></h3>
+          <ul className="reconcile-list">
+            {report.pdfOnly.map((entry, i) => (
+              <li key={i}>
+                {entry.kind === 'equipment' ? `${entry.value} x ${entry.name}` : `${entry.name.replace(/\s*-$/, '')} – ${formatCost(entry.value)}`}{' '}
+                <button className="reconcile-link" onClick={() => setViewedSource(entry.source)}>p. {entry.page}</button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {report.specsOnly.length > 0 && (
+        <section className="reconcile-section">
+          <h3>Only in the specifications <span className="reconcile-count">{report.specsOnly.length}</span></h3>
+          <ul className="reconcile-list">
+            {report.specsOnly.map(entry => (
+              <li key={entry.itemId}>
+                <button className="reconcile-link" onClick={() => setViewedSource({ type: 'spec', itemId: entry.itemId })}>
+                  {entry.name}
+                </button>
+                <span className="reconcile-meta"> {entry.category} &gt; {entry.subcategory.replace(/_/g, ' ')}, updated {formatDate(entry.lastUpdated)}</span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {viewedSource && (
+        <SourceViewer source={viewedSource} specManager={specManager} onClose={() => setViewedSource(null)} />
+      )}
+    </div>
+  );
+}
+
+export default ReconciliationReport;
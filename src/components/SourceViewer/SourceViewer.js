@@ -0,0 +1,209 @@
+import React, { useState, useEffect, useRef } from 'react';
+import * as pdfjs from 'pdfjs-dist';
+import { getPdfDocument, getPageText } from '../../utils/pdfProcessor';
+import { getSpecFieldRows } from '../../utils/specQuery';
+import { describeSource } from '../../utils/citations';
+import './SourceViewer.css';
+
+const PAGE_SCALE = 1.3;
+
+/**
+ * Works out which rectangles of a rendered page to highlight. The page text
+ * was extracted by joining its text items with single spaces, so a citation
+ * offset maps onto the items it overlaps.
+ * @param {Array<object>} items - pdf.js text content items for the page
+ * @param {object} viewport - pdf.js viewport the page was rendered with
+ * @param {number} offset - Start of the cited passage in the page text
+ * @param {number} length - Length of the cited passage
+ * @returns {Array<{left: number, top: number, width: number, height: number}>}
+ */
+function getHighlightRects(items, viewport, offset, length) {
+  const rects = [];
+  let position = 0;
+
+  items.forEach(item => {
+    const start = position;
+    const end = start + item.str.length;
+    position = end + 1; // the joining space
+
+    if (end <= offset || start >= offset + length || !item.str.trim()) return;
+
+    const transform = pdfjs.Util.transform(viewport.transform, item.transform);
+    const height = Math.hypot(transform[2], transform[3]);
+    rects.push({
+      left: transform[4],
+      top: transform[5] - height,
+      width: item.width * viewport.scale,
+      height
+    });
+  });
+
+  return rects;
+}
+
+/**
+ * A page of the technical bible with the cited passage highlighted
+ */
+function PdfPageView({ source }) {
+  const canvasRef = useRef(null);
+  const [pageNum, setPageNum] = useState(source.page);
+  const [numPages, setNumPages] = useState(null);
+  const [highlights, setHighlights] = useState([]);
+  const [size, setSize] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setPageNum(source.page);
+  }, [source]);
+
+  useEffect(() => {
+    let cancelled = false;
+    let renderTask = null;
+
+    async function renderPage() {
+      try {
+        setError(null);
+        const pdf = await getPdfDocument();
+        const page = await pdf.getPage(pageNum);
+        if (cancelled) return;
+
+        const viewport = page.getViewport({ scale: PAGE_SCALE });
+        const canvas = canvasRef.current;
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+        await renderTask.promise;
+        if (cancelled) return;
+
+        setNumPages(pdf.numPages);
+        setSize({ width: viewport.width, height: viewport.height });
+
+        if (pageNum === source.page && source.offset !== undefined && source.length) {
+          const textContent = await page.getTextContent();
+          if (!cancelled) setHighlights(getHighlightRects(textContent.items, viewport, source.offset, source.length));
+        } else {
+          setHighlights([]);
+        }
+      } catch (err) {
+        if (!cancelled && err.name !== 'RenderingCancelledException') {
+          console.error('SourceViewer: error rendering PDF page:', err);
+          setError('Could not load this page of the technical bible.');
+        }
+      }
+    }
+
+    renderPage();
+    return () => {
+      cancelled = true;
+      if (renderTask) renderTask.cancel();
+    };
+  }, [pageNum, source]);
+
+  const pageText = getPageText(source.page);
+  const quote = pageText && source.offset !== undefined && source.length
+    ? pageText.substr(source.offset, source.length)
+    : null;
+
+  return (
+    <div className="pdf-page-view">
+      {quote && <blockquote className="cited-passage">{quote}</blockquote>}
+
+      <div className="pdf-page-nav">
+        <button onClick={() => setPageNum(pageNum - 1)} disabled={pageNum <= 1}>Previous page</button>
+        <span>Page {pageNum}{numPages && ` of ${numPages}`}</span>
+        <button onClick={() => setPageNum(pageNum + 1)} disabled={!numPages || pageNum >= numPages}>Next page</button>
+        {pageNum !== source.page && (
+          <button onClick={() => setPageNum(source.page)}>Back to cited page</button>
+        )}
+      </div>
+
+      {error ? (
+        <p className="source-viewer-error">{error}</p>
+      ) : (
+        <div className="pdf-page" style={size ? { width: size.width, height: size.height } : undefined}>
+          <canvas ref={canvasRef} />
+          {highlights.map((rect, i) => (
+            <div key={i} className="pdf-highlight" style={rect} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * A specification item's current record and its earlier versions
+ */
+function SpecRecordView({ item, specManager }) {
+  const history = specManager.getChangeHistory(item.id).slice(1);
+
+  return (
+    <div className="spec-record">
+      <h4>{item.name}</h4>
+      <table>
+        <tbody>
+          {getSpecFieldRows(item).map(row => (
+            <tr key={row.field}>
+              <th>{row.label}</th>
+              <td>{row.value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {history.length > 0 && (
+        <div className="spec-record-history">
+          <h5>Earlier versions</h5>
+          <ul>
+            {history.map((version, i) => (
+              <li key={i}>
+                <span className="history-date">{version.lastUpdated}</span>
+                {version.changeNote && ` – ${version.changeNote}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Modal for checking where an answer came from: the cited page of the
+ * technical bible, or the specification records an answer was built from.
+ */
+function SourceViewer({ source, specManager, onClose }) {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  let content;
+  if (source.type === 'pdf') {
+    content = <PdfPageView source={source} />;
+  } else if (source.type === 'spec' && specManager) {
+    const itemIds = source.itemId ? [source.itemId] : source.itemIds || [];
+    const items = itemIds.map(id => specManager.getItemById(id)).filter(Boolean);
+    content = items.length > 0
+      ? items.map(item => <SpecRecordView key={item.id} item={item} specManager={specManager} />)
+      : <p className="source-viewer-error">This item is no longer in the specifications.</p>;
+  } else {
+    content = <p className="source-viewer-error">This source can't be opened.</p>;
+  }
+
+  return (
+    <div className="source-viewer-overlay" onClick={onClose}>
+      <div className="source-viewer" onClick={(e) => e.stopPropagation()}>
+        <div className="source-viewer-header">
+          <h3>{describeSource(source)}</h3>
+          <button className="source-viewer-close" onClick={onClose}>Close</button>
+        </div>
+        <div className="source-viewer-body">{content}</div>
+      </div>
+    </div>
+  );
+}
+
+export default SourceViewer;
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { getFieldLabel } from '../../utils/specQuery';
+import { formatFieldValue } from '../../utils/specEditor';
+import './SpecChanges.css';
+
+function formatValue(value) {
+  return value === null ? '(none)' : formatFieldValue(value);
+}
+
+/**
+ * Marks changes the publisher didn't write a changeLog entry for
+ */
+function UndocumentedBadge({ documented }) {
+  return documented ? null : <span className="undocumented-badge" title="Not in the changeLog">undocumented</span>;
+}
+
+/**
+ * "What changed in v7.3": the items added, removed and changed between two
+ * versions of the specifications, worked out by comparing them rather than
+ * relying on the changeLog. `title` replaces the heading, e.g. for a preview.
+ */
+function SpecChanges({ diff, onDismiss, title }) {
+  const [expanded, setExpanded] = useState(true);
+  if (!diff) return null;
+
+  const undocumentedCount = [
+    ...diff.added,
+    ...diff.removed,
+    ...diff.changed.flatMap(change => change.fields)
+  ].filter(change => !change.documented).length;
+
+  return (
+    <div className="spec-changes">
+      <div className="spec-changes-header">
+        <h3>
+          {title || `What changed in v${diff.toVersion}`}
+          {diff.fromVersion && <span className="spec-changes-from"> (since v{diff.fromVersion})</span>}
+        </h3>
+        <span className="spec-changes-summary">
+          {diff.total === 0
+            ? 'No item changes'
+            : `${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`}
+          {undocumentedCount > 0 && ` • ${undocumentedCount} not in the changeLog`}
+        </span>
+        {diff.total > 0 && (
+          <button onClick={() => setExpanded(!expanded)}>{expanded ? 'Hide' : 'Show'}</button>
+        )}
+        {onDismiss && <button onClick={onDismiss}>Dismiss</button>}
+      </div>
+
+      {expanded && diff.total > 0 && (
+        <ul className="spec-changes-list">
+          {diff.added.map(entry => (
+            <li key={`added:${entry.id || entry.name}`} className="change-added">
+              <span className="change-kind">Added</span> {entry.name}
+              <span className="change-place"> in {entry.category} &gt; {entry.subcategory}</span>
+              <UndocumentedBadge documented={entry.documented} />
+            </li>
+          ))}
+          {diff.removed.map(entry => (
+            <li key={`removed:${entry.id || entry.name}`} className="change-removed">
+              <span className="change-kind">Removed</span> {entry.name}
+              <span className="change-place"> from {entry.category} &gt; {entry.subcategory}</span>
+              <UndocumentedBadge documented={entry.documented} />
+            </li>
+          ))}
+          {diff.changed.map(entry => (
+            <li key={`changed:${entry.id || entry.name}`} className="change-changed">
+              <span className="change-kind">Changed</span> {entry.name}
+              {entry.moved && <span className="change-place"> moved from {entry.moved.from} to {entry.moved.to}</span>}
+              <ul className="field-changes">
+                {entry.fields.map(change => (
+                  <li key={change.field}>
+                    {getFieldLabel(change.field)}: <del>{formatValue(change.oldValue)}</del> → <ins>{formatValue(change.newValue)}</ins>
+                    <UndocumentedBadge documented={change.documented} />
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SpecChanges;
@@ -0,0 +1,472 @@
+import React, { useState } from 'react';
+import {
+  applySpecEdits,
+  bumpVersion,
+  exportSpecifications,
+  isEditableField,
+  parseFieldValue,
+  formatFieldValue,
+  toItemId
+} from '../../utils/specEditor';
+import { getFieldLabel } from '../../utils/specQuery';
+import { exportCatalogueCsv } from '../../utils/catalogueSpreadsheet';
+import { downloadFile, toFileName } from '../../utils/download';
+import SpecChanges from '../SpecChanges/SpecChanges';
+import CatalogueImport from '../CatalogueImport/CatalogueImport';
+import './SpecEditor.css';
+
+/**
+ * Editor form rows for an item: one per hand-edited field
+ * @param {object} item
+ * @returns {Array<{field: string, input: string|boolean, isNew: boolean}>}
+ */
+function toFormRows(item) {
+  return Object.entries(item)
+    .filter(([field, value]) => isEditableField(field) && value !== undefined)
+    .map(([field, value]) => ({
+      field,
+      input: typeof value === 'boolean' ? value : formatFieldValue(value),
+      isNew: false
+    }));
+}
+
+/**
+ * Describes a staged edit for the unsaved changes list
+ * @param {object} edit
+ * @param {object} specs
+ * @returns {string}
+ */
+function describeEdit(edit, specs) {
+  const name = edit.type === 'add' ? edit.item.name : findItem(specs, edit.itemId)?.name || edit.itemId;
+  switch (edit.type) {
+    case 'add':
+      return `Add ${name} to ${edit.category} > ${edit.subcategory}`;
+    case 'retire':
+      return `Retire ${name}`;
+    default:
+      return `Update ${name}: ${Object.keys(edit.changes).map(getFieldLabel).join(', ')}`;
+  }
+}
+
+function findItem(specs, id) {
+  for (const subcategories of Object.values(specs.categories || {})) {
+    for (const items of Object.values(subcategories)) {
+      const item = Array.isArray(items) && items.find(candidate => candidate.id === id);
+      if (item) return item;
+    }
+  }
+  return null;
+}
+
+/**
+ * Readable list of schema validation problems
+ */
+function ValidationIssues({ issues }) {
+  return (
+    <ul className="validation-issues">
+      {issues.map((issue, i) => (
+        <li key={i}><code>{issue.path}</code> {issue.message}</li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * In-app editor for the specifications: add, edit and retire items, then
+ * save the staged changes as a new version with changeLog entries written
+ * automatically. The result can be exported as a new specifications.json,
+ * and the catalogue imported from or exported to a spreadsheet.
+ */
+function SpecEditor({ specManager }) {
+  const [specs, setSpecs] = useState(specManager ? specManager.specs : null);
+  const [selected, setSelected] = useState(null); // { itemId } or { isNew: true }
+  const [rows, setRows] = useState([]);
+  const [newItemPlace, setNewItemPlace] = useState({ category: '', subcategory: '' });
+  const [editNote, setEditNote] = useState('');
+  const [pendingEdits, setPendingEdits] = useState([]);
+  const [author, setAuthor] = useState('');
+  const [notes, setNotes] = useState('');
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  // Validation problems with the last save or import
+  const [issues, setIssues] = useState([]);
+  // What changed in the latest version, whether synced, imported or saved here
+  const [diff, setDiff] = useState(specManager ? specManager.getLastDiff() : null);
+  const [showCatalogueImport, setShowCatalogueImport] = useState(false);
+  const [exportCategory, setExportCategory] = useState('');
+
+  if (!specs) {
+    return <div className="spec-editor"><p>Specifications are not loaded yet.</p></div>;
+  }
+
+  const selectedItem = selected && selected.itemId ? findItem(specs, selected.itemId) : null;
+
+  const selectItem = (item) => {
+    // Start from the saved item with any staged changes on top
+    const staged = pendingEdits.find(edit => edit.type === 'update' && edit.itemId === item.id);
+    setSelected({ itemId: item.id });
+    setRows(toFormRows({ ...item, ...(staged ? staged.changes : {}) }));
+    setEditNote(staged ? staged.note : '');
+    setError(null);
+  };
+
+  const startNewItem = (category = '', subcategory = '') => {
+    setSelected({ isNew: true });
+    setNewItemPlace({ category, subcategory });
+    setRows([{ field: 'name', input: '', isNew: true }]);
+    setEditNote('');
+    setError(null);
+  };
+
+  const updateRow = (index, changes) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const removeRow = (index) => {
+    setRows(rows.filter((_, i) => i !== index));
+  };
+
+  const addRow = () => {
+    setRows([...rows, { field: '', input: '', isNew: true }]);
+  };
+
+  const stageEdit = () => {
+    setError(null);
+    const namedRows = rows.filter(row => row.field.trim());
+    const duplicate = namedRows.find((row, i) => namedRows.findIndex(other => other.field.trim() === row.field.trim()) !== i);
+    if (duplicate) {
+      setError(`The field "${duplicate.field}" appears twice.`);
+      return;
+    }
+    const invalid = namedRows.find(row => !isEditableField(row.field.trim()));
+    if (invalid) {
+      setError(`"${invalid.field}" is kept up to date automatically and can't be edited.`);
+      return;
+    }
+
+    if (selected.isNew) {
+      const item = {};
+      namedRows.forEach(row => {
+        const value = parseFieldValue(row.input);
+        if (value !== undefined) item[row.field.trim()] = value;
+      });
+      if (!item.name) {
+        setError('A new item needs a name.');
+        return;
+      }
+      if (!newItemPlace.category.trim() || !newItemPlace.subcategory.trim()) {
+        setError('Choose a category and subcategory for the new item.');
+        return;
+      }
+      const id = toItemId(item.name);
+      if (findItem(specs, id) || pendingEdits.some(edit => edit.type === 'add' && toItemId(edit.item.name) === id)) {
+        setError(`An item with id "${id}" already exists.`);
+        return;
+      }
+      setPendingEdits([...pendingEdits, { type: 'add', ...newItemPlace, item, note: editNote }]);
+      setSelected(null);
+      return;
+    }
+
+    // Only record fields whose value actually changed
+    const changes = {};
+    namedRows.forEach(row => {
+      const field = row.field.trim();
+      const value = parseFieldValue(row.input, selectedItem[field]);
+      if (JSON.stringify(value) !== JSON.stringify(selectedItem[field])) changes[field] = value;
+    });
+    Object.keys(selectedItem)
+      .filter(field => isEditableField(field) && !namedRows.some(row => row.field.trim() === field))
+      .forEach(field => { changes[field] = undefined; });
+
+    const otherEdits = pendingEdits.filter(edit => !(edit.type === 'update' && edit.itemId === selectedItem.id));
+    if (Object.keys(changes).length === 0) {
+      setPendingEdits(otherEdits);
+    } else {
+      setPendingEdits([...otherEdits, { type: 'update', itemId: selectedItem.id, changes, note: editNote }]);
+    }
+    setSelected(null);
+  };
+
+  const stageRetire = () => {
+    const otherEdits = pendingEdits.filter(edit => edit.itemId !== selectedItem.id);
+    setPendingEdits([...otherEdits, { type: 'retire', itemId: selectedItem.id, note: editNote }]);
+    setSelected(null);
+  };
+
+  const discardEdit = (index) => {
+    setPendingEdits(pendingEdits.filter((_, i) => i !== index));
+  };
+
+  const handleSave = () => {
+    setError(null);
+    setMessage(null);
+    setIssues([]);
+    try {
+      const result = applySpecEdits(specs, pendingEdits, { author, notes });
+      const { saved, issues: problems, diff: changes } = specManager.saveSpecifications(result.specs);
+      if (!saved) {
+        setError(`Version ${result.entry.version} was not saved. Fix these problems first:`);
+        setIssues(problems);
+        return;
+      }
+      setSpecs(result.specs);
+      setDiff(changes);
+      setPendingEdits([]);
+      setNotes('');
+      setMessage(`Saved version ${result.entry.version} with ${result.entry.changes.length} change${result.entry.changes.length === 1 ? '' : 's'}.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    setMessage(null);
+    setIssues([]);
+    const reader = new FileReader();
+    reader.onload = () => {
+      let imported;
+      try {
+        imported = JSON.parse(reader.result);
+      } catch (err) {
+        setError(`${file.name} is not valid JSON: ${err.message}`);
+        return;
+      }
+      const { saved, issues: problems, diff: changes } = specManager.saveSpecifications(imported);
+      if (!saved) {
+        setError(`${file.name} was rejected; the current specifications are still in use. Problems found:`);
+        setIssues(problems);
+        return;
+      }
+      setSpecs(imported);
+      setDiff(changes);
+      setPendingEdits([]);
+      setSelected(null);
+      setMessage(`Imported version ${imported.metadata.version} from ${file.name}.`);
+    };
+    reader.readAsText(file);
+  };
+
+  const handleExport = () => {
+    downloadFile(`specifications-v${specs.metadata.version}.json`, exportSpecifications(specs), 'application/json');
+  };
+
+  const handleExportCsv = () => {
+    const name = toFileName(`catalogue ${exportCategory || 'all'} v${specs.metadata.version}`);
+    downloadFile(`${name}.csv`, exportCatalogueCsv(specs, { category: exportCategory }), 'text/csv');
+  };
+
+  // Unsaved edits carry over to the imported version unless they touch an
+  // item the import changed, or add one it now has
+  const handleCatalogueImported = (importedSpecs, changes, importMessage, importedItemIds) => {
+    const conflicts = edit => (edit.type === 'add'
+      ? Boolean(findItem(importedSpecs, edit.item.id || toItemId(edit.item.name)))
+      : importedItemIds.includes(edit.itemId) || !findItem(importedSpecs, edit.itemId));
+    const discarded = pendingEdits.filter(conflicts);
+    setSpecs(importedSpecs);
+    setDiff(changes);
+    setPendingEdits(pendingEdits.filter(edit => !conflicts(edit)));
+    setSelected(null);
+    setError(null);
+    setIssues([]);
+    setMessage(discarded.length > 0
+      ? `${importMessage} The import also changed ${discarded.length === 1 ? 'an item' : 'items'} you had unsaved edits to, so these were discarded: ${discarded.map(edit => describeEdit(edit, specs)).join('; ')}.`
+      : importMessage);
+    setShowCatalogueImport(false);
+  };
+
+  return (
+    <div className="spec-editor">
+      <div className="spec-editor-header">
+        <h2>Specifications</h2>
+        <span className="spec-version">
+          Version {specs.metadata.version} • updated {new Date(specs.metadata.lastUpdated).toLocaleDateString('en-GB')}
+        </span>
+        <label className="import-button">
+          Import specifications.json
+          <input type="file" accept=".json,application/json" onChange={handleImport} />
+        </label>
+        <button onClick={handleExport}>Export specifications.json</button>
+      </div>
+
+      <div className="spec-editor-catalogue">
+        <button onClick={() => setShowCatalogueImport(!showCatalogueImport)}>Import CSV / XLSX</button>
+        <select value={exportCategory} onChange={(e) => setExportCategory(e.target.value)}>
+          <option value="">All categories</option>
+          {Object.keys(specs.categories).map(category => <option key={category} value={category}>{category}</option>)}
+        </select>
+        <button onClick={handleExportCsv}>Export CSV</button>
+      </div>
+
+      {showCatalogueImport && (
+        <CatalogueImport
+          specManager={specManager}
+          onImported={handleCatalogueImported}
+          onClose={() => setShowCatalogueImport(false)}
+        />
+      )}
+
+      {specManager.rejectedSync && (
+        <div className="rejected-sync">
+          <p>
+            The published specifications{specManager.rejectedSync.version && ` (version ${specManager.rejectedSync.version})`} were
+            rejected on {new Date(specManager.rejectedSync.date).toLocaleString('en-GB')}, so
+            version {specs.metadata.version} is still in use. Problems found:
+          </p>
+          <ValidationIssues issues={specManager.rejectedSync.issues} />
+        </div>
+      )}
+
+      <SpecChanges diff={diff} onDismiss={() => setDiff(null)} />
+
+      <div className="spec-editor-body">
+        <div className="spec-item-tree">
+          <button className="add-item-button" onClick={() => startNewItem()}>Add item</button>
+          {Object.entries(specs.categories).map(([category, subcategories]) => (
+            <div key={category} className="spec-category">
+              <h4>{category}</h4>
+              {Object.entries(subcategories).map(([subcategory, items]) => (
+                <div key={subcategory} className="spec-subcategory">
+                  <div className="spec-subcategory-header">
+                    <span>{subcategory.replace(/_/g, ' ')}</span>
+                    <button onClick={() => startNewItem(category, subcategory)} title="Add an item here">+</button>
+                  </div>
+                  <ul>
+                    {(Array.isArray(items) ? items : []).map(item => (
+                      <li
+                        key={item.id}
+                        className={`${item.retired ? 'retired' : ''} ${selected && selected.itemId === item.id ? 'selected' : ''}`}
+                        onClick={() => selectItem(item)}
+                      >
+                        {item.name}
+                        {item.retired && <span className="retired-label">retired</span>}
+                        {pendingEdits.some(edit => edit.itemId === item.id) && <span className="pending-label">edited</span>}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+
+        <div className="spec-item-form">
+          {selected ? (
+            <>
+              <h3>{selected.isNew ? 'New item' : selectedItem.name}</h3>
+              {selected.isNew ? (
+                <div className="new-item-place">
+                  <label>
+                    Category
+                    <input
+                      list="spec-categories"
+                      value={newItemPlace.category}
+                      onChange={(e) => setNewItemPlace({ ...newItemPlace, category: e.target.value })}
+                    />
+                  </label>
+                  <label>
+                    Subcategory
+                    <input
+                      list="spec-subcategories"
+                      value={newItemPlace.subcategory}
+                      onChange={(e) => setNewItemPlace({ ...newItemPlace, subcategory: e.target.value })}
+                    />
+                  </label>
+                  <datalist id="spec-categories">
+                    {Object.keys(specs.categories).map(category => <option key={category} value={category} />)}
+                  </datalist>
+                  <datalist id="spec-subcategories">
+                    {Object.keys(specs.categories[newItemPlace.category] || {}).map(sub => <option key={sub} value={sub} />)}
+                  </datalist>
+                </div>
+              ) : (
+                <p className="item-meta">
+                  Id {selectedItem.id} • added {selectedItem.dateAdded || 'unknown'} • last updated {selectedItem.lastUpdated || 'unknown'}
+                </p>
+              )}
+
+              <table className="field-table">
+                <tbody>
+                  {rows.map((row, index) => (
+                    <tr key={index}>
+                      <th>
+                        {row.isNew ? (
+                          <input
+                            placeholder="field"
+                            value={row.field}
+                            onChange={(e) => updateRow(index, { field: e.target.value })}
+                          />
+                        ) : getFieldLabel(row.field)}
+                      </th>
+                      <td>
+                        {typeof row.input === 'boolean' ? (
+                          <input
+                            type="checkbox"
+                            checked={row.input}
+                            onChange={(e) => updateRow(index, { input: e.target.checked })}
+                          />
+                        ) : (
+                          <input value={row.input} onChange={(e) => updateRow(index, { input: e.target.value })} />
+                        )}
+                      </td>
+                      <td>
+                        {row.field !== 'name' && <button onClick={() => removeRow(index)} title="Remove field">×</button>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <button onClick={addRow}>Add field</button>
+
+              <label className="edit-note">
+                Change note
+                <input value={editNote} onChange={(e) => setEditNote(e.target.value)} placeholder="e.g. Added 2 additional units" />
+              </label>
+
+              <div className="form-actions">
+                <button className="primary" onClick={stageEdit}>{selected.isNew ? 'Add item' : 'Apply changes'}</button>
+                {!selected.isNew && !selectedItem.retired && (
+                  <button className="danger" onClick={stageRetire}>Retire item</button>
+                )}
+                <button onClick={() => setSelected(null)}>Cancel</button>
+              </div>
+            </>
+          ) : (
+            <p className="empty-form">Select an item to edit it, or add a new one.</p>
+          )}
+        </div>
+      </div>
+
+      <div className="spec-save-panel">
+        <h3>Unsaved changes ({pendingEdits.length})</h3>
+        {pendingEdits.length > 0 && (
+          <ul>
+            {pendingEdits.map((edit, index) => (
+              <li key={index}>
+                {describeEdit(edit, specs)}
+                <button onClick={() => discardEdit(index)}>Discard</button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="save-fields">
+          <input value={author} onChange={(e) => setAuthor(e.target.value)} placeholder="Your name" />
+          <input value={notes} onChange={(e) => setNotes(e.target.value)} placeholder="Notes for this version" />
+          <button className="primary" onClick={handleSave} disabled={pendingEdits.length === 0}>
+            Save as version {bumpVersion(specs.metadata.version)}
+          </button>
+        </div>
+        {error && <p className="spec-editor-error">{error}</p>}
+        {issues.length > 0 && <ValidationIssues issues={issues} />}
+        {message && <p className="spec-editor-message">{message}</p>}
+      </div>
+    </div>
+  );
+}
+
+export default SpecEditor;
@@ -0,0 +1,55 @@
+import React, { useState, useEffect } from 'react';
+import { STORES, getStorageUsage } from '../../utils/storage';
+import './StorageUsage.css';
+
+const STORE_LABELS = {
+  [STORES.SPECIFICATIONS]: 'Specifications',
+  [STORES.CALENDAR]: 'Calendar',
+  [STORES.PDF_CONTENT]: 'Technical bible',
+  [STORES.RESERVATIONS]: 'Reservations',
+  [STORES.QUOTES]: 'Quotes',
+  [STORES.PACKAGES]: 'Packages'
+};
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+/**
+ * How much the app keeps offline and, where the browser says, how much of
+ * its quota that uses. Re-read whenever `refreshKey` changes, e.g. on a tab
+ * switch, since saving quotes or reloading the PDF changes it.
+ */
+function StorageUsage({ refreshKey }) {
+  const [usage, setUsage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getStorageUsage().then(result => {
+      if (!cancelled) setUsage(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  if (!usage) return null;
+
+  const breakdown = Object.entries(usage.stores)
+    .map(([store, { entries, bytes }]) => `${STORE_LABELS[store] || store}: ${formatBytes(bytes)} (${entries} entries)`)
+    .join('\n');
+  const nearlyFull = usage.quotaBytes && usage.usedBytes !== null && usage.usedBytes / usage.quotaBytes > 0.9;
+
+  return (
+    <p className={`storage-usage ${nearlyFull ? 'nearly-full' : ''}`} title={breakdown}>
+      Stored offline: {formatBytes(usage.totalBytes)}
+      {usage.backend === 'localStorage' && ' (browser storage fallback)'}
+      {usage.quotaBytes ? ` • ${formatBytes(usage.usedBytes ?? 0)} of ${formatBytes(usage.quotaBytes)} used` : ''}
+    </p>
+  );
+}
+
+export default StorageUsage;
@@ -2,6 +2,8 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css'; // Optional: for global styles
 import App from './App';
+import localModel from './utils/localModel';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 // import reportWebVitals from './reportWebVitals'; // Optional: for performance monitoring
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -11,6 +13,12 @@ root.render(
   </React.StrictMode>
 );
 
+// Precache the app and its knowledge assets so it works offline, and reload
+// a knowledge source when a newer version of its file has been cached
+serviceWorkerRegistration.register({
+  onKnowledgeUpdate: path => localModel.refreshKnowledgeSource(path)
+});
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
@@ -0,0 +1,44 @@
+// Registers public/service-worker.js, which precaches the app and its
+// knowledge assets so the assistant works offline. Only registered in
+// production builds; in development it would serve stale bundles.
+
+const SERVICE_WORKER_URL = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+/**
+ * Registers the service worker once the page has loaded
+ * @param {object} [config]
+ * @param {function(string): void} [config.onKnowledgeUpdate] - Called with the path of a knowledge
+ *   asset (e.g. '/data/specifications.json') when a newer version has been cached
+ * @param {function(ServiceWorkerRegistration): void} [config.onSuccess] - Called once registered
+ */
+export function register(config = {}) {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.addEventListener('message', event => {
+    if (event.data && event.data.type === 'knowledge-updated' && config.onKnowledgeUpdate) {
+      config.onKnowledgeUpdate(event.data.url);
+    }
+  });
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(SERVICE_WORKER_URL)
+      .then(registration => {
+        console.log('Service worker registered; the app is available offline.');
+        if (config.onSuccess) config.onSuccess(registration);
+      })
+      .catch(error => {
+        console.error('Error during service worker registration:', error);
+      });
+  });
+}
+
+/**
+ * Removes the service worker, e.g. to rule it out when debugging
+ * @returns {Promise<void>}
+ */
+export async function unregister() {
+  if (!('serviceWorker' in navigator)) return;
+  const registration = await navigator.serviceWorker.ready;
+  await registration.unregister();
+}
@@ -1,56 +1,113 @@
+import { validateSpecifications, formatValidationIssues } from './specSchema';
+import { STORES, getItem, setItem, removeItem } from './storage';
+import { applySpecDelta } from './specDelta';
+
+// Bookkeeping fields that change with every edit and aren't worth listing in a diff
+const DIFF_IGNORED_FIELDS = new Set(['lastUpdated', 'previousVersions', 'retiredDate']);
+
+// Items are matched by id, or by name for items that have none
+function itemKey(item) {
+  return item.id ? `id:${item.id}` : `name:${item.name}`;
+}
+
+function indexItems(specs) {
+  const index = new Map();
+  Object.entries(specs?.categories || {}).forEach(([category, subcategories]) => {
+    Object.entries(subcategories || {}).forEach(([subcategory, items]) => {
+      if (!Array.isArray(items)) return;
+      items.forEach(item => {
+        if (item && typeof item === 'object') index.set(itemKey(item), { item, category, subcategory });
+      });
+    });
+  });
+  return index;
+}
+
+// Whether the new specifications' changeLog mentions a change to this item's field
+function isDocumented(changeLog, version, item, field) {
+  return (changeLog || [])
+    .filter(entry => entry.version === version)
+    .some(entry => (entry.changes || []).some(change =>
+      (change.itemId === item.id || change.item === item.name) && (!field || !change.field || change.field === field)
+    ));
+}
+
 class SpecificationManager {
   constructor(options = {}) {
     this.specs = null;
     this.lastSyncTimestamp = null;
+    // ETag of the specifications last fetched from the API
+    this.apiEtag = null;
+    // Problems with the last specifications file that was rejected, if any
+    this.rejectedSync = null;
+    // What changed in the last update, see diffSpecifications
+    this.lastDiff = null;
     
     this.useApi = options.useApi || false;
     this.apiBaseUrl = options.apiBaseUrl || '/api';
     // Default path assuming specifications.json is in public/data/
-    this.localFilePath = options.localFilePath || '/data/specifications.json'; 
+    this.localFilePath = options.localFilePath || `${process.env.PUBLIC_URL}/data/specifications.json`;
   }
 
   async initialize() {
-    // Load specifications from local storage first
-    const localSpecs = localStorage.getItem('specifications');
-    if (localSpecs) {
-      try {
-        this.specs = JSON.parse(localSpecs);
-        this.lastSyncTimestamp = localStorage.getItem('lastSyncTimestamp');
-      } catch (error) {
-        console.error("Error parsing specifications from localStorage:", error);
-        localStorage.removeItem('specifications');
-        localStorage.removeItem('lastSyncTimestamp');
-      }
+    // Load specifications from storage first
+    const storedSpecs = await getItem(STORES.SPECIFICATIONS, 'specs');
+    if (storedSpecs && storedSpecs.metadata) {
+      this.specs = storedSpecs;
+      this.lastSyncTimestamp = await getItem(STORES.SPECIFICATIONS, 'lastSyncTimestamp');
+      this.apiEtag = await getItem(STORES.SPECIFICATIONS, 'apiEtag');
+    } else if (storedSpecs) {
+      console.error('Discarding stored specifications without metadata');
+      await removeItem(STORES.SPECIFICATIONS, 'specs');
+      await removeItem(STORES.SPECIFICATIONS, 'lastSyncTimestamp');
     }
+    this.lastDiff = await getItem(STORES.SPECIFICATIONS, 'lastDiff');
     
     await this.syncSpecifications();
   }
 
+  // Fetches the published specifications and replaces the cached ones if
+  // they are newer and valid. Resolves to the outcome:
+  // { updated, version, previousVersion, diff, rejected, error }
   async syncSpecifications() {
+    const previousSpecs = this.specs;
+    const outcome = {
+      updated: false,
+      version: this.specs?.metadata?.version || null,
+      previousVersion: this.specs?.metadata?.version || null,
+      diff: null,
+      rejected: null,
+      error: null
+    };
+
     try {
       let needsUpdate = false;
       let newSpecs = null;
       let newTimestamp = null; // Use a different variable name for clarity
+      let newEtag = null;
       
       if (this.useApi) {
-        const versionResponse = await fetch(`${this.apiBaseUrl}/specifications/version`);
-        if (!versionResponse.ok) throw new Error(`API version check failed: ${versionResponse.statusText}`);
-        const versionData = await versionResponse.json();
-        newTimestamp = versionData.timestamp;
-        
-        needsUpdate = !this.specs || !this.lastSyncTimestamp || newTimestamp > this.lastSyncTimestamp;
-        
-        if (needsUpdate) {
-          const specsResponse = await fetch(`${this.apiBaseUrl}/specifications`);
-          if (!specsResponse.ok) throw new Error(`API specs fetch failed: ${specsResponse.statusText}`);
-          newSpecs = await specsResponse.json();
+        const fetched = await this.fetchFromApi();
+        if (!fetched) return outcome; // Already up to date
+        newSpecs = fetched.specs;
+        if (!this.acceptSyncedSpecifications(newSpecs, fetched.from)) {
+          return { ...outcome, rejected: this.rejectedSync };
         }
+        newTimestamp = newSpecs.metadata.lastUpdated;
+        newEtag = fetched.etag;
+
+        needsUpdate = !this.specs ||
+                     !this.lastSyncTimestamp ||
+                     new Date(newTimestamp) > new Date(this.lastSyncTimestamp || 0);
       } else {
         const response = await fetch(this.localFilePath);
         if (!response.ok) {
           throw new Error(`Failed to fetch local specifications: ${response.statusText} from ${this.localFilePath}`);
         }
         newSpecs = await response.json();
+        if (!this.acceptSyncedSpecifications(newSpecs, this.localFilePath)) {
+          return { ...outcome, rejected: this.rejectedSync };
+        }
         newTimestamp = newSpecs.metadata.lastUpdated;
         
         needsUpdate = !this.specs || 
@@ -61,20 +118,174 @@ class SpecificationManager {
       if (needsUpdate && newSpecs) {
         this.specs = newSpecs;
         this.lastSyncTimestamp = newTimestamp; // Use the fetched/parsed timestamp
+        // Only once the specs are applied: a stored ETag for specs that were
+        // thrown away would get 304s for them from then on
+        if (this.useApi) this.apiEtag = newEtag;
         
-        localStorage.setItem('specifications', JSON.stringify(this.specs));
-        localStorage.setItem('lastSyncTimestamp', this.lastSyncTimestamp);
+        await this.persist();
         
         console.log('Technical specifications updated to version:', this.specs.metadata.version);
-        return true;
+
+        // Nothing to compare against on first load
+        const diff = previousSpecs ? this.diffSpecifications(previousSpecs, newSpecs) : null;
+        if (diff) this.recordDiff(diff);
+        return { ...outcome, updated: true, version: this.specs.metadata.version, diff };
       }
       
-      return false;
+      return outcome;
     } catch (error) {
       console.error('Failed to sync specifications:', error);
-      return false;
+      return { ...outcome, error: error.message };
     }
   }
+
+  // Compares two sets of specifications item by item and field by field.
+  // Each change says whether the new changeLog documents it.
+  diffSpecifications(oldSpecs, newSpecs) {
+    const oldItems = indexItems(oldSpecs);
+    const newItems = indexItems(newSpecs);
+    const toVersion = newSpecs?.metadata?.version || null;
+    const changeLog = newSpecs?.changeLog;
+    const diff = {
+      fromVersion: oldSpecs?.metadata?.version || null,
+      toVersion,
+      date: newSpecs?.metadata?.lastUpdated || null,
+      added: [],
+      removed: [],
+      changed: []
+    };
+
+    newItems.forEach(({ item, category, subcategory }, key) => {
+      if (oldItems.has(key)) return;
+      diff.added.push({
+        id: item.id, name: item.name, category, subcategory, item,
+        documented: isDocumented(changeLog, toVersion, item)
+      });
+    });
+
+    oldItems.forEach(({ item, category, subcategory }, key) => {
+      if (newItems.has(key)) return;
+      diff.removed.push({
+        id: item.id, name: item.name, category, subcategory, item,
+        documented: isDocumented(changeLog, toVersion, item)
+      });
+    });
+
+    newItems.forEach(({ item, category, subcategory }, key) => {
+      const old = oldItems.get(key);
+      if (!old) return;
+
+      const fieldNames = new Set([...Object.keys(old.item), ...Object.keys(item)]);
+      const fields = [...fieldNames]
+        .filter(field => !DIFF_IGNORED_FIELDS.has(field))
+        .filter(field => JSON.stringify(old.item[field]) !== JSON.stringify(item[field]))
+        .map(field => ({
+          field,
+          oldValue: old.item[field] === undefined ? null : old.item[field],
+          newValue: item[field] === undefined ? null : item[field],
+          documented: isDocumented(changeLog, toVersion, item, field)
+        }));
+      const moved = old.category !== category || old.subcategory !== subcategory
+        ? { from: `${old.category} > ${old.subcategory}`, to: `${category} > ${subcategory}` }
+        : null;
+
+      if (fields.length > 0 || moved) {
+        diff.changed.push({ id: item.id, name: item.name, category, subcategory, fields, moved });
+      }
+    });
+
+    diff.total = diff.added.length + diff.removed.length + diff.changed.length;
+    return diff;
+  }
+
+  // Fetches what changed on the API server since the cached version, or the
+  // whole document if there is no cached version or the server can't give a
+  // delta from it. Resolves to { specs, etag, from }, or null if the cached
+  // specifications are current.
+  async fetchFromApi() {
+    const headers = this.apiEtag ? { 'If-None-Match': this.apiEtag } : {};
+
+    if (this.specs) {
+      const deltaUrl = `${this.apiBaseUrl}/specifications/delta?since=${encodeURIComponent(this.specs.metadata.version)}`;
+      const response = await fetch(deltaUrl, { headers });
+      if (response.status === 304) return null;
+      if (response.ok) {
+        try {
+          const delta = await response.json();
+          return { specs: applySpecDelta(this.specs, delta), etag: response.headers.get('ETag'), from: deltaUrl };
+        } catch (error) {
+          console.error('Could not apply specifications delta, fetching the whole document:', error);
+        }
+      } else if (response.status !== 410) {
+        throw new Error(`API delta fetch failed: ${response.status} ${response.statusText}`);
+      }
+    }
+
+    const specsUrl = `${this.apiBaseUrl}/specifications`;
+    const response = await fetch(specsUrl, { headers });
+    if (response.status === 304) return null;
+    if (!response.ok) throw new Error(`API specs fetch failed: ${response.status} ${response.statusText}`);
+    return { specs: await response.json(), etag: response.headers.get('ETag'), from: specsUrl };
+  }
+
+  // Writes the current specifications to storage. Resolves to whether they
+  // were saved; on failure the in-memory copy stays in use until reload.
+  async persist() {
+    const saved = await setItem(STORES.SPECIFICATIONS, 'specs', this.specs)
+      && await setItem(STORES.SPECIFICATIONS, 'lastSyncTimestamp', this.lastSyncTimestamp)
+      && await setItem(STORES.SPECIFICATIONS, 'apiEtag', this.apiEtag);
+    if (!saved) console.error('Error saving specifications to storage');
+    return saved;
+  }
+
+  // Keeps the latest diff so "what changed" can be shown after a reload
+  recordDiff(diff) {
+    this.lastDiff = diff;
+    setItem(STORES.SPECIFICATIONS, 'lastDiff', diff).then(saved => {
+      if (!saved) console.error('Error saving specifications diff to storage');
+    });
+  }
+
+  // Loaded from storage in initialize
+  getLastDiff() {
+    return this.lastDiff;
+  }
+  
+  // Validates fetched specifications. A file that fails is rejected and the
+  // cached specifications stay in use; the issues are kept in rejectedSync.
+  acceptSyncedSpecifications(specs, from) {
+    const { valid, issues } = validateSpecifications(specs);
+    if (valid) {
+      this.rejectedSync = null;
+      return true;
+    }
+
+    this.rejectedSync = { from, date: new Date().toISOString(), version: specs?.metadata?.version || null, issues };
+    console.error(`Rejected specifications from ${from}, keeping version ${this.specs?.metadata?.version || '(none)'}:\n${formatValidationIssues(issues)}`);
+    return false;
+  }
+
+  // Stores specifications edited or imported in the app, if they pass
+  // validation. Edits carry a newer lastUpdated than the published file, so
+  // the next sync keeps them. Returns { saved, issues, diff }.
+  saveSpecifications(specs) {
+    const { valid, issues } = validateSpecifications(specs);
+    if (!valid) {
+      console.error(`Specifications not saved:\n${formatValidationIssues(issues)}`);
+      return { saved: false, issues };
+    }
+
+    const diff = this.specs ? this.diffSpecifications(this.specs, specs) : null;
+    this.specs = specs;
+    this.lastSyncTimestamp = specs.metadata.lastUpdated;
+
+    // The app works from this.specs; storage catches up in the background
+    this.persist();
+    if (diff) this.recordDiff(diff);
+
+    console.log('Technical specifications saved as version:', this.specs.metadata.version);
+    return { saved: true, issues: [], diff };
+  }
   
   updateSettings(options = {}) {
     if ('useApi' in options) this.useApi = options.useApi;
@@ -89,12 +300,33 @@ class SpecificationManager {
     if (!categoryData) return [];
     
     if (subcategory) {
-      return categoryData[subcategory] || [];
+      return (categoryData[subcategory] || []).filter(item => !item.retired);
     }
     
-    return Object.values(categoryData).flat();
+    return Object.values(categoryData).flat().filter(item => !item.retired);
   }
   
+  // Retired items are left out unless asked for; getItemById still finds
+  // them so old citations and history keep working
+  getAllItems({ includeRetired = false } = {}) {
+    if (!this.specs || !this.specs.categories) return [];
+
+    const items = [];
+    for (const categoryKey in this.specs.categories) {
+      const category = this.specs.categories[categoryKey];
+      for (const subCategoryKey in category) {
+        const subcategoryItems = category[subCategoryKey];
+        if (Array.isArray(subcategoryItems)) {
+          subcategoryItems.forEach(item => {
+            if (item.retired && !includeRetired) return;
+            items.push({ item, category: categoryKey, subcategory: subCategoryKey });
+          });
+        }
+      }
+    }
+    return items;
+  }
+
   getItemById(id) {
     if (!this.specs || !this.specs.categories) return null;
     
@@ -127,8 +359,12 @@ class SpecificationManager {
     return history.sort((a, b) => new Date(b.lastUpdated) - new Date(a.lastUpdated));
   }
   
+  // Pass days = null for the whole changeLog
   getRecentChanges(days = 30) {
     if (!this.specs || !this.specs.changeLog || !Array.isArray(this.specs.changeLog)) return [];
+    if (days === null) {
+      return [...this.specs.changeLog].sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
     
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - days);
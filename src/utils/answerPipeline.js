@@ -0,0 +1,151 @@
+import { logDebug } from './debug';
+
+// Providers scoring below this for a question are not asked for answers
+const MIN_PROVIDER_SCORE = 0.05;
+// Candidates scoring below this share of the best candidate are dropped
+const RELATIVE_CUTOFF = 0.5;
+const MAX_ANSWERS = 3;
+
+/**
+ * Answer provider contract. Each knowledge source implements this and is
+ * registered with registerAnswerProvider.
+ *
+ * @typedef {object} AnswerProvider
+ * @property {string} id - Unique provider id, e.g. 'calendar'
+ * @property {string} label - Human-readable name of the source
+ * @property {function(string, object): (number|Promise<number>)} score -
+ *   Confidence (0-1) that this source can answer the question
+ * @property {function(string, object): Promise<Array<AnswerCandidate>>} answer -
+ *   Candidate answers for the question
+ */
+
+/**
+ * A single answer produced by a provider.
+ *
+ * @typedef {object} AnswerCandidate
+ * @property {string} providerId - Id of the provider that produced it (filled in by the pipeline)
+ * @property {string} text - Answer text
+ * @property {number} [confidence] - 0-1, defaults to the provider's score
+ * @property {string} [topic] - What the answer is about, e.g. 'item:cdj-3000'.
+ *   Candidates sharing a topic compete and only the most confident is kept.
+ * @property {Array<object>} [blocks] - Rich content blocks for the chat (see
+ *   components/MessageBlocks); defaults to a single text block of `text`
+ * @property {object} [source] - Where the answer came from, e.g. { type: 'pdf', page: 3 }
+ * @property {boolean} [exclusive] - When the most confident candidate is exclusive
+ *   (e.g. the reply to a command) no other answers are shown with it
+ */
+
+const providers = new Map();
+
+/**
+ * Registers a knowledge source. Registering an id again replaces the old provider.
+ * @param {AnswerProvider} provider
+ */
+export function registerAnswerProvider(provider) {
+  if (!provider || !provider.id || typeof provider.score !== 'function' || typeof provider.answer !== 'function') {
+    throw new Error('Answer providers need an id, a score() and an answer() function');
+  }
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Removes a registered knowledge source.
+ * @param {string} id - Provider id
+ * @returns {boolean} - Whether a provider was removed
+ */
+export function unregisterAnswerProvider(id) {
+  return providers.delete(id);
+}
+
+/**
+ * @returns {Array<AnswerProvider>} - Registered providers in registration order
+ */
+export function getAnswerProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Normalises answer text for duplicate detection
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Picks the best answers from all candidates: most confident first, at most
+ * one per topic and no repeated text.
+ * @param {Array<AnswerCandidate>} candidates
+ * @param {object} [options]
+ * @param {number} [options.maxAnswers=3] - Maximum number of answers to keep
+ * @param {number} [options.relativeCutoff=0.5] - Drop candidates below this share of the best score
+ * @returns {Array<AnswerCandidate>}
+ */
+export function mergeAnswerCandidates(candidates, { maxAnswers = MAX_ANSWERS, relativeCutoff = RELATIVE_CUTOFF } = {}) {
+  const sorted = [...candidates].sort((a, b) => b.confidence - a.confidence);
+  if (sorted.length === 0) return [];
+
+  if (sorted[0].exclusive) return [sorted[0]];
+
+  const bestConfidence = sorted[0].confidence;
+  const seenTopics = new Set();
+  const seenTexts = new Set();
+  const merged = [];
+
+  for (const candidate of sorted) {
+    if (merged.length >= maxAnswers) break;
+    if (candidate.confidence < bestConfidence * relativeCutoff) break;
+
+    const text = normalizeText(candidate.text);
+    if (seenTexts.has(text)) continue;
+    if (candidate.topic && seenTopics.has(candidate.topic)) {
+      logDebug('AnswerPipeline', `Dropping ${candidate.providerId} answer on ${candidate.topic}; a more confident source already answered it.`);
+      continue;
+    }
+
+    seenTexts.add(text);
+    if (candidate.topic) seenTopics.add(candidate.topic);
+    merged.push(candidate);
+  }
+
+  return merged;
+}
+
+/**
+ * Asks every registered provider about a question and merges the answers.
+ * A provider that throws is logged and skipped so one broken source can't
+ * take down the others.
+ * @param {string} question - The user's question
+ * @param {object} [context] - Shared state passed to every provider
+ * @param {object} [options] - Passed to mergeAnswerCandidates
+ * @returns {Promise<Array<AnswerCandidate>>} - Merged answers, best first
+ */
+export async function runAnswerPipeline(question, context = {}, options = {}) {
+  const results = await Promise.all(getAnswerProviders().map(async provider => {
+    try {
+      const score = await provider.score(question, context);
+      if (!(score > MIN_PROVIDER_SCORE)) return [];
+
+      const candidates = await provider.answer(question, context);
+      return (candidates || []).map(candidate => ({
+        ...candidate,
+        providerId: provider.id,
+        confidence: Math.min(1, candidate.confidence ?? score)
+      }));
+    } catch (error) {
+      console.error(`Answer provider "${provider.id}" failed:`, error);
+      return [];
+    }
+  }));
+
+  return mergeAnswerCandidates(results.flat(), options);
+}
+
+export default {
+  registerAnswerProvider,
+  unregisterAnswerProvider,
+  getAnswerProviders,
+  mergeAnswerCandidates,
+  runAnswerPipeline
+};
@@ -1,5 +1,6 @@
 import { logDebug } from './debug';
-import { getCalendarCache, saveCalendarCache } from './dataStorage'; // Import new cache functions
+import { getCalendarCache, saveCalendarCache, clearCalendarCache } from './dataStorage';
+import { parseDateExpression, toIsoDate } from './dateParser';
 
 // Configuration with calendar URL
 const FETCHER_CONFIG = {
@@ -9,7 +10,7 @@ const FETCHER_CONFIG = {
   // cacheExpiryMs: 3600000 // 1 hour cache - Expiry is now handled by dataStorage
 };
 
-// In-memory cache for immediate access during the same session if localStorage is slow or fails
+// In-memory cache for immediate access during the same session if storage is slow or fails
 // but primary persistence is through dataStorage.
 let inMemorySessionCache = {
     events: [],
@@ -21,15 +22,15 @@ let inMemorySessionCache = {
  * @returns {Promise<Array>} Array of event objects
  */
 async function fetchAllEvents() {
-  // Try to get from localStorage first
-  const storedCache = getCalendarCache();
+  // Try to get from storage first
+  const storedCache = await getCalendarCache();
   if (storedCache && storedCache.events && storedCache.events.length > 0) {
-    logDebug('CalendarFetcher', 'Using calendar data from localStorage.');
+    logDebug('CalendarFetcher', 'Using calendar data from storage.');
     inMemorySessionCache = storedCache; // Sync in-memory with stored version
     return storedCache.events;
   }
   
-  // If not in localStorage or expired, try in-memory session cache (less likely to be hit if localStorage is working)
+  // If not in storage or expired, try in-memory session cache (less likely to be hit if storage is working)
   if (inMemorySessionCache.events.length > 0 && inMemorySessionCache.lastFetched && 
       (Date.now() - inMemorySessionCache.lastFetched < (FETCHER_CONFIG.cacheExpiryMs || 3600000)) ) { // Add default expiry if needed
     logDebug('CalendarFetcher', 'Using in-memory session cache for calendar data.');
@@ -59,8 +60,8 @@ async function fetchAllEvents() {
     const events = parseCalendarEvents(htmlContent);
     const fetchTimestamp = Date.now();
 
-    // Save to localStorage and update in-memory cache
-    saveCalendarCache(events, fetchTimestamp);
+    // Save to storage and update in-memory cache
+    await saveCalendarCache(events, fetchTimestamp);
     inMemorySessionCache = { events, lastFetched: fetchTimestamp };
 
     logDebug('CalendarFetcher', `Successfully fetched and cached ${events.length} events`);
@@ -73,6 +74,14 @@ async function fetchAllEvents() {
       logDebug('CalendarFetcher', 'Using stale in-memory session cache as fallback due to fetch error.');
       return inMemorySessionCache.events;
     }
+
+    // Then to the stored events, however old, e.g. when offline
+    const staleCache = await getCalendarCache({ allowExpired: true });
+    if (staleCache && staleCache.events.length > 0) {
+      logDebug('CalendarFetcher', 'Using expired stored calendar cache as fallback due to fetch error.');
+      inMemorySessionCache = staleCache;
+      return staleCache.events;
+    }
     
     return getFallbackEvents(); // Last resort
   }
@@ -141,7 +150,7 @@ function parseCalendarDate(dateStr) {
       parsedDate = new Date(dateStr);
     }
     if (isNaN(parsedDate.getTime())) throw new Error('Invalid date');
-    return parsedDate.toISOString().split('T')[0];
+    return toIsoDate(parsedDate);
   } catch (error) {
     logDebug('CalendarFetcher', `Error parsing date "${dateStr}": ${error.message}`);
     return '';
@@ -188,23 +197,39 @@ function findNearbyEvents(events, targetDate, dayRange = 3) {
   });
 }
 
+/**
+ * Get all events between two dates, inclusive
+ * @param {string} startDate - Range start (any format standardizeDate accepts)
+ * @param {string} endDate - Range end
+ * @returns {Promise<Array>} Events in date order
+ */
+async function getEventsInRange(startDate, endDate) {
+  try {
+    const start = standardizeDate(startDate);
+    const end = standardizeDate(endDate);
+    if (!start || !end) return [];
+    const events = await fetchAllEvents();
+    // YYYY-MM-DD strings compare correctly as text
+    return events
+      .filter(event => event.date && event.date >= start && event.date <= end)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  } catch (error) {
+    logDebug('CalendarFetcher', `Error in getEventsInRange: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Converts a date string to YYYY-MM-DD. Accepts ISO and UK day-first dates
+ * as well as expressions like "May 31st" or "next Friday".
+ * @param {string} dateString - Date to convert
+ * @returns {string} Standard date, or '' if it can't be understood
+ */
 function standardizeDate(dateString) {
   try {
     if (/^\d{4}-\d{2}-\d{2}$/.test(dateString)) return dateString;
-    let date;
-    if (dateString.includes('/') || dateString.includes('-')) {
-      const parts = dateString.split(/[-\/]/);
-      if (parts[2] && parts[2].length === 4) {
-        date = new Date(`${parts[2]}-${parts[1]}-${parts[0]}`);
-        if (isNaN(date.getTime())) date = new Date(`${parts[2]}-${parts[0]}-${parts[1]}`);
-      } else {
-        date = new Date(dateString);
-      }
-    } else {
-      date = new Date(dateString);
-    }
-    if (isNaN(date.getTime())) return '';
-    return date.toISOString().split('T')[0];
+    const parsed = parseDateExpression(dateString);
+    return parsed ? parsed.start : '';
   } catch (error) {
     logDebug('CalendarFetcher', `Error standardizing date "${dateString}": ${error.message}`);
     return '';
@@ -224,7 +249,7 @@ function getFallbackEvents() {
   }
   return upcomingDates.map(d => {
     const isFriday = d.getDay() === 5;
-    const dateStr = d.toISOString().split('T')[0];
+    const dateStr = toIsoDate(d);
     return {
       title: isFriday ? `Friday Night Live at Studio 338 (${dateStr})` : `Saturday Sessions (${dateStr})`,
       date: dateStr,
@@ -241,8 +266,8 @@ function getFallbackEvents() {
  * @returns {Promise<Array>} Updated array of events
  */
 async function refreshEventCache() {
-  logDebug('CalendarFetcher', 'Forcing cache refresh. Clearing localStorage and in-memory session cache.');
-  localStorage.removeItem('calendarCache'); // Assuming CALENDAR_CACHE_KEY from dataStorage is 'calendarCache'
+  logDebug('CalendarFetcher', 'Forcing cache refresh. Clearing stored and in-memory session cache.');
+  await clearCalendarCache();
   inMemorySessionCache = { events: [], lastFetched: null };
   return await fetchAllEvents();
 }
@@ -256,9 +281,18 @@ function setUseProxy(useProxy) {
   logDebug('CalendarFetcher', `Set fetcher to ${useProxy ? 'proxy' : 'direct'} mode`);
 }
 
+export {
+  fetchAllEvents,
+  getEventForDate,
+  getEventsInRange,
+  refreshEventCache,
+  setUseProxy
+};
+
 export default {
   fetchAllEvents,
   getEventForDate,
+  getEventsInRange,
   refreshEventCache,
   setUseProxy
 };
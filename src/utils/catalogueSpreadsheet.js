@@ -0,0 +1,352 @@
+import { toCategoryKey, toItemId } from './specEditor';
+import { readXlsxRows } from './xlsxReader';
+import quoteSettings from '../data/quoteSettings.json';
+
+// Equipment catalogue as a spreadsheet: one row per item with the columns
+// below. Imports turn the rows into specEditor edits, so an import is
+// previewed, versioned and logged like any other change; exports write the
+// same columns back out as CSV.
+
+// Columns a spreadsheet can be mapped to, in export order
+export const CATALOGUE_FIELDS = ['category', 'subcategory', 'id', 'name', 'quantity', 'location', 'cost', 'currency', 'costUnit'];
+
+// Other headings each column is recognised by when guessing the mapping
+const FIELD_ALIASES = {
+  category: ['department', 'dept', 'section'],
+  subcategory: ['sub category', 'type', 'group'],
+  id: ['item id', 'code', 'sku', 'ref'],
+  name: ['item', 'item name', 'equipment', 'description'],
+  quantity: ['qty', 'count', 'stock', 'units', 'number'],
+  location: ['where', 'store', 'position'],
+  cost: ['price', 'hire', 'hire fee', 'rate', 'fee'],
+  currency: ['ccy', 'curr', 'price currency'],
+  costUnit: ['cost unit', 'unit', 'per', 'price unit', 'charged per']
+};
+
+// Prices that don't say which currency they're in, in a cell or a currency
+// column, are taken to be in the venue's currency
+const DEFAULT_CURRENCY = quoteSettings.currency;
+
+const CURRENCY_SYMBOLS = { '£': 'GBP', '€': 'EUR', '$': 'USD' };
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields may hold commas, quotes and line
+ * breaks)
+ * @param {string} text
+ * @returns {string[][]} Rows of fields
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Writes rows as CSV, quoting fields where needed
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  const quote = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return `${rows.map(row => row.map(quote).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Reads a CSV or XLSX file into rows
+ * @param {File} file
+ * @returns {Promise<Array<Array<*>>>}
+ * @throws {Error} If the file is in another format
+ */
+export async function readSpreadsheetFile(file) {
+  const extension = file.name.split('.').pop().toLowerCase();
+  if (extension === 'xlsx') return readXlsxRows(await file.arrayBuffer());
+  if (extension === 'csv' || extension === 'txt') return parseCsv(await file.text());
+  throw new Error(`${file.name} is not a CSV or XLSX file. Save older .${extension} spreadsheets as .xlsx or .csv first.`);
+}
+
+// Headings are compared ignoring case, spaces and punctuation, so "Cost
+// Unit", "cost_unit" and the exported "costUnit" all match
+function normalizeHeading(heading) {
+  return String(heading).toLowerCase().replace(/[\s_\-.]+/g, '');
+}
+
+/**
+ * Guesses which catalogue field each column holds from its heading
+ * @param {Array<*>} headings - The spreadsheet's first row
+ * @returns {string[]} A field from CATALOGUE_FIELDS per column, or '' to ignore it
+ */
+export function guessColumnMapping(headings) {
+  const used = new Set();
+  return headings.map(heading => {
+    const normalized = normalizeHeading(heading);
+    const field = CATALOGUE_FIELDS.find(candidate =>
+      !used.has(candidate) &&
+      (normalizeHeading(candidate) === normalized || FIELD_ALIASES[candidate].some(alias => normalizeHeading(alias) === normalized))
+    );
+    if (!field) return '';
+    used.add(field);
+    return field;
+  });
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Reads a cell as a number, allowing thousands separators, e.g. "1,200"
+ * @param {*} value
+ * @returns {number} NaN if it isn't a number
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value).replace(/[,\s]/g, '');
+  return text === '' ? NaN : Number(text);
+}
+
+/**
+ * Reads a currency from a symbol or ISO code, e.g. "€" or "eur"
+ * @param {*} value
+ * @returns {string|null} ISO code, or null if it isn't one
+ */
+function parseCurrency(value) {
+  const text = String(value).trim();
+  if (CURRENCY_SYMBOLS[text]) return CURRENCY_SYMBOLS[text];
+  return /^[a-z]{3}$/i.test(text) ? text.toUpperCase() : null;
+}
+
+/**
+ * Reads a price cell, keeping the currency its symbol or code gives,
+ * e.g. "€1,200", "1200 EUR", "£95.00"
+ * @param {*} value
+ * @returns {{amount: number, currency: string|null}} amount is NaN if it isn't a price
+ */
+function parsePrice(value) {
+  if (typeof value === 'number') return { amount: value, currency: null };
+  const match = /^([£€$]|[a-z]{3})?\s*([\d.,\s]*?)\s*([£€$]|[a-z]{3})?$/i.exec(String(value).trim());
+  if (!match || (match[1] && match[3])) return { amount: NaN, currency: null };
+  const marker = match[1] || match[3];
+  return { amount: parseNumber(match[2]), currency: marker ? parseCurrency(marker) : null };
+}
+
+/**
+ * Turns spreadsheet rows into catalogue entries using a column mapping.
+ * The first row is taken to be headings; blank rows are skipped.
+ * @param {Array<Array<*>>} rows
+ * @param {string[]} mapping - From guessColumnMapping, possibly adjusted by the user
+ * @returns {{entries: Array<{row: number, category: string, subcategory: string, id: string, fields: object}>, problems: Array<{row: number, message: string}>}}
+ *   `row` is the spreadsheet row number, from 1
+ */
+export function rowsToCatalogueEntries(rows, mapping) {
+  const entries = [];
+  const problems = [];
+
+  rows.slice(1).forEach((cells, index) => {
+    const row = index + 2;
+    if (cells.every(isBlank)) return;
+
+    const entry = { row, category: '', subcategory: '', id: '', fields: {} };
+    // Currency the cost cell's symbol or code gives
+    let cellCurrency = null;
+    mapping.forEach((field, column) => {
+      const value = cells[column];
+      if (!field || isBlank(value)) return;
+
+      if (field === 'category' || field === 'subcategory') {
+        entry[field] = toCategoryKey(String(value));
+      } else if (field === 'id') {
+        entry.id = toItemId(String(value));
+      } else if (field === 'cost') {
+        const { amount, currency } = parsePrice(value);
+        if (Number.isNaN(amount) || amount < 0) {
+          problems.push({ row, message: `cost "${value}" is not a price; ignored` });
+          return;
+        }
+        entry.fields.cost = amount;
+        if (currency) cellCurrency = currency;
+      } else if (field === 'currency') {
+        const currency = parseCurrency(value);
+        if (!currency) {
+          problems.push({ row, message: `currency "${value}" is not a currency code such as ${DEFAULT_CURRENCY}; ignored` });
+          return;
+        }
+        entry.fields.currency = currency;
+      } else if (field === 'quantity') {
+        const number = parseNumber(value);
+        if (Number.isNaN(number) || number < 0 || !Number.isInteger(number)) {
+          problems.push({ row, message: `quantity "${value}" is not a whole number; ignored` });
+          return;
+        }
+        entry.fields.quantity = number;
+      } else {
+        entry.fields[field] = String(value).trim();
+      }
+    });
+
+    if (cellCurrency && entry.fields.currency && cellCurrency !== entry.fields.currency) {
+      problems.push({ row, message: `cost is in ${cellCurrency} but the currency column says ${entry.fields.currency}; price ignored` });
+      delete entry.fields.cost;
+      delete entry.fields.currency;
+    } else if (cellCurrency) {
+      entry.fields.currency = cellCurrency;
+    }
+
+    if (!entry.id && !entry.fields.name) {
+      problems.push({ row, message: 'has no id or name; skipped' });
+      return;
+    }
+    entries.push(entry);
+  });
+
+  return { entries, problems };
+}
+
+/**
+ * Items by id, with where each is filed
+ * @param {object} specs
+ * @returns {Map<string, {item: object, category: string, subcategory: string}>}
+ */
+function indexCatalogue(specs) {
+  const index = new Map();
+  Object.entries(specs.categories || {}).forEach(([category, subcategories]) => {
+    Object.entries(subcategories || {}).forEach(([subcategory, items]) => {
+      (Array.isArray(items) ? items : []).forEach(item => index.set(item.id, { item, category, subcategory }));
+    });
+  });
+  return index;
+}
+
+/**
+ * Works out the edits that bring the specifications in line with the
+ * imported rows. Rows match items by id, or by name when they have no id;
+ * matched items have the imported fields updated, other rows add items.
+ * Cells left empty leave a field as it is.
+ * @param {object} specs - Current specifications
+ * @param {Array<object>} entries - From rowsToCatalogueEntries
+ * @param {object} [options]
+ * @param {string} [options.note] - Change note for each edit, e.g. 'Imported from inventory.csv'
+ * @returns {{edits: Array<object>, problems: Array<{row: number, message: string}>}} Edits for applySpecEdits
+ */
+export function planCatalogueImport(specs, entries, { note = '' } = {}) {
+  const catalogue = indexCatalogue(specs);
+  const byName = new Map([...catalogue.values()].map(entry => [String(entry.item.name || '').trim().toLowerCase(), entry]));
+  const edits = [];
+  const problems = [];
+  const seen = new Map();
+
+  entries.forEach(entry => {
+    const existing = entry.id
+      ? catalogue.get(entry.id)
+      : byName.get(entry.fields.name.toLowerCase()) || catalogue.get(toItemId(entry.fields.name));
+    const id = existing ? existing.item.id : entry.id || toItemId(entry.fields.name);
+
+    if (seen.has(id)) {
+      problems.push({ row: entry.row, message: `repeats ${id} from row ${seen.get(id)}; skipped` });
+      return;
+    }
+    seen.set(id, entry.row);
+
+    if (!existing) {
+      if (!entry.fields.name) {
+        problems.push({ row: entry.row, message: `no item has id "${entry.id}" and the row has no name to add one; skipped` });
+        return;
+      }
+      if (!entry.category || !entry.subcategory) {
+        problems.push({ row: entry.row, message: `${entry.fields.name} is new but has no category and subcategory; skipped` });
+        return;
+      }
+      const item = { id, ...entry.fields };
+      if (item.cost !== undefined && !item.currency) item.currency = DEFAULT_CURRENCY;
+      edits.push({ type: 'add', category: entry.category, subcategory: entry.subcategory, item, note });
+      return;
+    }
+
+    const { item, category, subcategory } = existing;
+    if (item.retired) {
+      problems.push({ row: entry.row, message: `${item.name} is retired; not changed` });
+      return;
+    }
+    if ((entry.category && entry.category !== category) || (entry.subcategory && entry.subcategory !== subcategory)) {
+      problems.push({
+        row: entry.row,
+        message: `${item.name} is filed under ${category} > ${subcategory}; importing doesn't move items, so only its fields were updated`
+      });
+    }
+
+    const changes = {};
+    Object.entries(entry.fields).forEach(([field, value]) => {
+      if (JSON.stringify(item[field]) !== JSON.stringify(value)) changes[field] = value;
+    });
+    if (changes.cost !== undefined && !item.currency && !entry.fields.currency) changes.currency = DEFAULT_CURRENCY;
+    if (Object.keys(changes).length > 0) edits.push({ type: 'update', itemId: item.id, changes, note });
+  });
+
+  return { edits, problems };
+}
+
+/**
+ * Writes the catalogue, or one category of it, as CSV with the
+ * CATALOGUE_FIELDS columns. Retired items are left out.
+ * @param {object} specs
+ * @param {object} [options]
+ * @param {string} [options.category] - Only this category, e.g. 'SOUND'
+ * @returns {string}
+ */
+export function exportCatalogueCsv(specs, { category = '' } = {}) {
+  const rows = [...indexCatalogue(specs).values()]
+    .filter(entry => !entry.item.retired && (!category || entry.category === category))
+    .map(entry => CATALOGUE_FIELDS.map(field => {
+      if (field === 'category') return entry.category;
+      if (field === 'subcategory') return entry.subcategory;
+      return entry.item[field];
+    }));
+  return toCsv([CATALOGUE_FIELDS, ...rows]);
+}
+
+export default {
+  CATALOGUE_FIELDS,
+  parseCsv,
+  toCsv,
+  readSpreadsheetFile,
+  guessColumnMapping,
+  rowsToCatalogueEntries,
+  planCatalogueImport,
+  exportCatalogueCsv
+};
@@ -0,0 +1,244 @@
+import { logDebug } from './debug';
+import { buildSearchIndex, search } from './searchIndex';
+import { describeSource } from './citations';
+
+const CHAT_SESSIONS_KEY = 'chatSessions';
+const ACTIVE_SESSION_KEY = 'chatActiveSessionId';
+const SESSION_NAME_LENGTH = 40;
+
+// Sessions created but not saved yet, because nothing has been asked in them
+const newSessions = new Map();
+
+/**
+ * Reads all saved sessions from localStorage.
+ * @returns {Array<object>} Sessions, most recently updated first
+ */
+function readSessions() {
+  try {
+    const stored = localStorage.getItem(CHAT_SESSIONS_KEY);
+    const sessions = stored ? JSON.parse(stored) : [];
+    return Array.isArray(sessions) ? sessions : [];
+  } catch (error) {
+    logDebug('ChatHistory', 'Error reading chat sessions from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Writes all sessions to localStorage. Sessions without messages aren't kept.
+ * @param {Array<object>} sessions
+ */
+function writeSessions(sessions) {
+  try {
+    localStorage.setItem(CHAT_SESSIONS_KEY, JSON.stringify(sessions.filter(session => session.messages.length > 0)));
+  } catch (error) {
+    logDebug('ChatHistory', 'Error saving chat sessions to localStorage:', error);
+  }
+}
+
+/**
+ * Lists saved chat sessions without their messages. Sessions nothing has
+ * been asked in yet aren't listed.
+ * @returns {Array<{id: string, name: string, createdAt: string, updatedAt: string, messageCount: number}>}
+ *   Most recently updated first
+ */
+export function listChatSessions() {
+  return readSessions()
+    .filter(session => session.messages.length > 0)
+    .map(({ id, name, createdAt, updatedAt, messages }) => ({
+      id, name, createdAt, updatedAt, messageCount: messages.length
+    }))
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+/**
+ * @param {string} id - Session id
+ * @returns {object|null} The full session, or null if it doesn't exist
+ */
+export function getChatSession(id) {
+  return readSessions().find(session => session.id === id) || null;
+}
+
+/**
+ * Creates a new, empty session and makes it the active one. It is saved by
+ * saveChatSession once it has messages.
+ * @param {string} [name] - Session name; defaults to the first question once one is asked
+ * @returns {object} The new session
+ */
+export function createChatSession(name = '') {
+  const now = new Date().toISOString();
+  const session = {
+    id: `chat-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+    context: null
+  };
+  newSessions.set(session.id, session);
+  setActiveChatSessionId(session.id);
+  return session;
+}
+
+/**
+ * Saves a session's messages and conversation context, adding it to the
+ * saved sessions the first time it has messages. Unnamed sessions are named
+ * after their first question.
+ * @param {string} id - Session id, from createChatSession
+ * @param {object} changes - Fields to update: messages, context, name
+ * @returns {object|null} The updated session, or null if it has no messages yet
+ */
+export function saveChatSession(id, changes) {
+  const sessions = readSessions();
+  let session = sessions.find(s => s.id === id);
+  if (!session) {
+    if (!newSessions.has(id) || !changes.messages || changes.messages.length === 0) return null;
+    session = newSessions.get(id);
+    newSessions.delete(id);
+    sessions.push(session);
+  }
+
+  Object.assign(session, changes, { updatedAt: new Date().toISOString() });
+  if (!session.name) {
+    const firstQuestion = session.messages.find(message => message.sender === 'user');
+    if (firstQuestion) {
+      session.name = firstQuestion.text.length > SESSION_NAME_LENGTH
+        ? `${firstQuestion.text.substring(0, SESSION_NAME_LENGTH).trim()}...`
+        : firstQuestion.text;
+    }
+  }
+
+  writeSessions(sessions);
+  return session;
+}
+
+/**
+ * Deletes a session.
+ * @param {string} id - Session id
+ */
+export function deleteChatSession(id) {
+  writeSessions(readSessions().filter(session => session.id !== id));
+  if (getActiveChatSessionId() === id) {
+    localStorage.removeItem(ACTIVE_SESSION_KEY);
+  }
+}
+
+/**
+ * @returns {string|null} Id of the session the chat tab last had open
+ */
+export function getActiveChatSessionId() {
+  return localStorage.getItem(ACTIVE_SESSION_KEY);
+}
+
+/**
+ * @param {string} id - Id of the session the chat tab has open
+ */
+export function setActiveChatSessionId(id) {
+  localStorage.setItem(ACTIVE_SESSION_KEY, id);
+}
+
+/**
+ * Searches the questions and answers of every saved session.
+ * @param {string} query - Free-text query
+ * @param {object} [options]
+ * @param {number} [options.limit=20] - Maximum number of hits
+ * @returns {Array<{sessionId: string, sessionName: string, messageIndex: number, sender: string, timestamp: string, snippet: string, score: number}>}
+ *   Best match first
+ */
+export function searchChatHistory(query, { limit = 20 } = {}) {
+  const documents = [];
+  readSessions().forEach(session => {
+    session.messages.forEach((message, messageIndex) => {
+      if (message.isError || typeof message.text !== 'string') return;
+      documents.push({
+        id: `${session.id}:${messageIndex}`,
+        text: message.text,
+        payload: {
+          sessionId: session.id,
+          sessionName: session.name,
+          messageIndex,
+          sender: message.sender,
+          timestamp: message.timestamp
+        }
+      });
+    });
+  });
+
+  return search(buildSearchIndex(documents), query, { limit }).map(hit => ({
+    ...hit.payload,
+    snippet: hit.snippet,
+    score: hit.score
+  }));
+}
+
+/**
+ * Lists the sources cited in a message's content blocks
+ * @param {object} message
+ * @returns {Array<object>}
+ */
+function getMessageSources(message) {
+  const sourcesBlock = (message.blocks || []).find(block => block.type === 'sources');
+  return sourcesBlock ? sourcesBlock.sources : [];
+}
+
+/**
+ * Renders a session as Markdown, one question/answer pair after another.
+ * @param {object} session - Full session from getChatSession
+ * @returns {string}
+ */
+export function exportChatSessionAsMarkdown(session) {
+  const lines = [
+    `# ${session.name || 'Chat session'}`,
+    '',
+    `_Studio 338 Agent Tech chat, started ${new Date(session.createdAt).toLocaleString('en-GB')}_`,
+    ''
+  ];
+
+  session.messages.forEach(message => {
+    const time = new Date(message.timestamp).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+    if (message.sender === 'user') {
+      lines.push(`**Q (${time}):** ${message.text}`, '');
+    } else {
+      lines.push(`**A (${time}):**`, '', message.text, '');
+      const sources = getMessageSources(message);
+      if (sources.length > 0) {
+        lines.push(`_Sources: ${sources.map(describeSource).join('; ')}_`, '');
+      }
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Renders a session as JSON for attaching to an event file.
+ * @param {object} session - Full session from getChatSession
+ * @returns {string}
+ */
+export function exportChatSessionAsJson(session) {
+  return JSON.stringify({
+    name: session.name,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    messages: session.messages.map(message => ({
+      sender: message.sender,
+      timestamp: message.timestamp,
+      text: message.text,
+      sources: getMessageSources(message),
+      ...(message.isError ? { isError: true } : {})
+    }))
+  }, null, 2);
+}
+
+export default {
+  listChatSessions,
+  getChatSession,
+  createChatSession,
+  saveChatSession,
+  deleteChatSession,
+  getActiveChatSessionId,
+  setActiveChatSessionId,
+  searchChatHistory,
+  exportChatSessionAsMarkdown,
+  exportChatSessionAsJson
+};
@@ -0,0 +1,39 @@
+/**
+ * Short label for where an answer came from
+ * @param {object} source - Source from an answer candidate
+ * @returns {string}
+ */
+export function describeSource(source) {
+  switch (source.type) {
+    case 'pdf':
+      return source.page ? `Technical bible, page ${source.page}` : 'Technical bible';
+    case 'spec':
+      return `Specifications${source.version ? ` v${source.version}` : ''}${source.name ? ` – ${source.name}` : ''}`;
+    case 'calendar':
+      return `Calendar${source.date ? `, ${source.date}` : ''}`;
+    default:
+      return source.label || source.type;
+  }
+}
+
+/**
+ * Whether the source viewer can open a source: a PDF page, or one or more
+ * specification records
+ * @param {object} source - Source from an answer candidate
+ * @returns {boolean}
+ */
+export function isViewableSource(source) {
+  switch (source.type) {
+    case 'pdf':
+      return Boolean(source.page);
+    case 'spec':
+      return Boolean(source.itemId || (source.itemIds && source.itemIds.length > 0));
+    default:
+      return false;
+  }
+}
+
+export default {
+  describeSource,
+  isViewableSource
+};
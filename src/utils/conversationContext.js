@@ -0,0 +1,135 @@
+import { resolveSpecItems, detectSpecFields, getFieldPhrase } from './specQuery';
+import { logDebug } from './debug';
+
+// Words that point back at something said earlier in the conversation
+const ITEM_REFERENCE = /\b(it|its|they|them|their|those|these|that one|this one)\b/i;
+const ELLIPTICAL_START = /^\s*(and|what about|how about|and what about|same for|what of)\b/i;
+const ANYTHING_ELSE = /\b(what else|anything else|any others|other ones|others)\b/i;
+
+// A weaker name match than this (e.g. just "terrace") doesn't count as naming a new item
+const NEW_ITEM_SCORE = 0.5;
+
+/**
+ * Creates an empty conversation context. One is kept per chat session and
+ * passed to answerQuestion with every question.
+ * @returns {object}
+ */
+export function createConversationContext() {
+  return {
+    lastItem: null,      // { id, name }
+    lastCategory: null,  // { category, subcategory }
+    lastFields: [],      // fields asked about last, e.g. ['quantity']
+    lastLocation: null,  // e.g. 'Terrace'
+    lastDate: null,      // 'YYYY-MM-DD'
+    lastEvent: null,     // { title, date }
+    turns: 0
+  };
+}
+
+/**
+ * Clears everything the conversation remembers, in place
+ * @param {object} context - Conversation context
+ */
+export function resetConversationContext(context) {
+  Object.assign(context, createConversationContext());
+}
+
+/**
+ * Rewrites a follow-up question so it stands on its own, filling in the
+ * item or field it leaves out from what was last discussed.
+ * e.g. "how many of those are on the Terrace?" -> "... (Pioneer CDJ 3000)"
+ * Dates like "the Saturday after" are left for the calendar provider, which
+ * resolves them against context.lastDate.
+ * @param {string} question - The user's question
+ * @param {object} context - Conversation context
+ * @param {SpecificationManager} specManager - Loaded specification manager
+ * @returns {string} - The question with the missing references filled in
+ */
+export function resolveFollowUp(question, context, specManager) {
+  if (!context || context.turns === 0) return question;
+
+  let resolved = question;
+  const [newItem] = resolveSpecItems(specManager, question, { limit: 1 });
+  const namesItem = Boolean(newItem && newItem.score >= NEW_ITEM_SCORE);
+  const asksFields = detectSpecFields(question).length > 0;
+  const isElliptical = ELLIPTICAL_START.test(question);
+
+  // "how many of those...", "where are they?" -> the last item
+  if (context.lastItem && !namesItem && (ITEM_REFERENCE.test(question) || (isElliptical && asksFields))) {
+    resolved = `${resolved} (${context.lastItem.name})`;
+  }
+
+  // "and the LED wall?" -> ask the same thing about a new item
+  if (namesItem && !asksFields && isElliptical && context.lastFields.length > 0) {
+    resolved = `${resolved} (${context.lastFields.map(getFieldPhrase).join(', ')})`;
+  }
+
+  // "what else is there?" -> the rest of the last category
+  if (context.lastCategory && ANYTHING_ELSE.test(question) && !namesItem) {
+    resolved = `${resolved} (${context.lastCategory.subcategory.replace(/_/g, ' ').toLowerCase()})`;
+  }
+
+  if (resolved !== question) {
+    logDebug('ConversationContext', `Resolved follow-up "${question}" as "${resolved}"`);
+  }
+  return resolved;
+}
+
+/**
+ * Records what an answer was about so later questions can refer back to it
+ * @param {object} context - Conversation context, updated in place
+ * @param {Array<object>} answers - Merged answer candidates that were shown
+ * @param {SpecificationManager} specManager - Loaded specification manager
+ */
+export function updateConversationContext(context, answers, specManager) {
+  if (!context) return;
+  context.turns += 1;
+
+  // The most confident answer of each kind wins; answers are sorted best first
+  const specAnswer = answers.find(answer => answer.source?.type === 'spec' && answer.source.itemId);
+  if (specAnswer) {
+    const entry = specManager.getAllItems().find(({ item }) => item.id === specAnswer.source.itemId);
+    if (entry) {
+      context.lastItem = { id: entry.item.id, name: entry.item.name };
+      context.lastCategory = { category: entry.category, subcategory: entry.subcategory };
+      context.lastFields = specAnswer.fields || [];
+      if (entry.item.location) context.lastLocation = entry.item.location;
+    }
+  }
+
+  const listAnswer = answers.find(answer => answer.blocks?.some(block => block.type === 'equipmentList'));
+  if (listAnswer && !specAnswer) {
+    const [firstItem] = listAnswer.blocks.find(block => block.type === 'equipmentList').items;
+    if (firstItem?.location) context.lastLocation = firstItem.location;
+  }
+
+  const eventAnswer = answers.find(answer => answer.source?.type === 'calendar');
+  if (eventAnswer) {
+    const eventBlock = eventAnswer.blocks?.find(block => block.type === 'event');
+    context.lastDate = eventAnswer.source.date;
+    context.lastEvent = eventBlock ? { title: eventBlock.title, date: eventBlock.date } : null;
+  }
+}
+
+/**
+ * Short description of what the conversation is currently about, for display
+ * @param {object} context - Conversation context
+ * @returns {string|null}
+ */
+export function describeConversationContext(context) {
+  if (!context) return null;
+  const parts = [];
+  if (context.lastItem) parts.push(context.lastItem.name);
+  if (context.lastEvent) parts.push(`${context.lastEvent.title} (${context.lastEvent.date})`);
+  else if (context.lastDate) parts.push(context.lastDate);
+  if (!context.lastItem && context.lastLocation) parts.push(context.lastLocation);
+  return parts.length > 0 ? parts.join(' • ') : null;
+}
+
+export default {
+  createConversationContext,
+  resetConversationContext,
+  resolveFollowUp,
+  updateConversationContext,
+  describeConversationContext
+};
@@ -1,60 +1,68 @@
 import { logDebug } from './debug';
+import { STORES, getItem, setItem, removeItem } from './storage';
 
-const CALENDAR_CACHE_KEY = 'calendarCache';
+const CALENDAR_CACHE_KEY = 'events';
 const CACHE_EXPIRY_MS = 3600000; // 1 hour, same as in calendarFetcher
 
 /**
- * Saves the calendar event cache to localStorage.
+ * Saves the calendar event cache to storage.
  * @param {Array} events - The array of event objects.
  * @param {number} timestamp - The timestamp of when the data was fetched.
+ * @returns {Promise<void>}
  */
-export function saveCalendarCache(events, timestamp) {
-  try {
-    const cacheData = {
-      events,
-      fetchTimestamp: timestamp, // Timestamp of when data was fetched
-      expiryTimestamp: Date.now() + CACHE_EXPIRY_MS // When this cache entry should expire
-    };
-    localStorage.setItem(CALENDAR_CACHE_KEY, JSON.stringify(cacheData));
-    logDebug('DataStorage', 'Calendar cache saved to localStorage.');
-  } catch (error) {
-    logDebug('DataStorage', 'Error saving calendar cache to localStorage:', error);
+export async function saveCalendarCache(events, timestamp) {
+  const cacheData = {
+    events,
+    fetchTimestamp: timestamp, // Timestamp of when data was fetched
+    expiryTimestamp: Date.now() + CACHE_EXPIRY_MS // When this cache entry should expire
+  };
+  if (await setItem(STORES.CALENDAR, CALENDAR_CACHE_KEY, cacheData)) {
+    logDebug('DataStorage', 'Calendar cache saved.');
+  } else {
+    logDebug('DataStorage', 'Error saving calendar cache.');
   }
 }
 
 /**
- * Retrieves the calendar event cache from localStorage.
- * @returns {Object|null} The cached data (events, fetchTimestamp) or null if not found/expired.
+ * Retrieves the calendar event cache from storage.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowExpired=false] - Return the cache even if it has expired, e.g. when offline
+ * @returns {Promise<Object|null>} The cached data (events, lastFetched) or null if not found/expired.
  */
-export function getCalendarCache() {
-  try {
-    const cachedString = localStorage.getItem(CALENDAR_CACHE_KEY);
-    if (!cachedString) {
-      logDebug('DataStorage', 'No calendar cache found in localStorage.');
-      return null;
-    }
-
-    const cacheData = JSON.parse(cachedString);
-
-    // Check if the cache has expired
-    if (Date.now() > cacheData.expiryTimestamp) {
-      logDebug('DataStorage', 'Calendar cache found but has expired. Clearing it.');
-      localStorage.removeItem(CALENDAR_CACHE_KEY);
-      return null;
-    }
-
-    logDebug('DataStorage', 'Valid calendar cache retrieved from localStorage.');
-    return { events: cacheData.events, lastFetched: cacheData.fetchTimestamp }; // Return in format expected by calendarFetcher
-
-  } catch (error) {
-    logDebug('DataStorage', 'Error retrieving calendar cache from localStorage:', error);
-    // Clear potentially corrupted cache
-    localStorage.removeItem(CALENDAR_CACHE_KEY);
+export async function getCalendarCache({ allowExpired = false } = {}) {
+  const cacheData = await getItem(STORES.CALENDAR, CALENDAR_CACHE_KEY);
+  if (!cacheData) {
+    logDebug('DataStorage', 'No calendar cache found.');
     return null;
   }
+
+  if (!Array.isArray(cacheData.events)) {
+    logDebug('DataStorage', 'Calendar cache is unreadable. Clearing it.');
+    await clearCalendarCache();
+    return null;
+  }
+
+  // Expired events are kept until the next successful fetch replaces them,
+  // as a fallback when the calendar can't be reached
+  if (!allowExpired && !(Date.now() <= cacheData.expiryTimestamp)) {
+    logDebug('DataStorage', 'Calendar cache found but has expired.');
+    return null;
+  }
+
+  logDebug('DataStorage', 'Valid calendar cache retrieved.');
+  return { events: cacheData.events, lastFetched: cacheData.fetchTimestamp }; // Return in format expected by calendarFetcher
+}
+
+/**
+ * Removes the calendar event cache so the next fetch goes to the calendar.
+ * @returns {Promise<void>}
+ */
+export async function clearCalendarCache() {
+  await removeItem(STORES.CALENDAR, CALENDAR_CACHE_KEY);
 }
 
 export default {
   saveCalendarCache,
-  getCalendarCache
+  getCalendarCache,
+  clearCalendarCache
 };
@@ -0,0 +1,442 @@
+// Understands the date expressions people use when asking about events:
+// absolute dates ("31st May", "2025-05-31", "14/06/2025"), relative days
+// ("tomorrow", "this Saturday", "next Friday"), and ranges ("this weekend",
+// "the weekend of the 14th", "events in June", "between the 1st and 7th").
+// All dates are calendar days in local time, returned as YYYY-MM-DD.
+
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const WEEKDAY_PATTERN = '(monday|tuesday|wednesday|thursday|friday|saturday|sunday)';
+const DAY_PATTERN = '(\\d{1,2})(?:st|nd|rd|th)?';
+const YEAR_PATTERN = '(\\d{4})';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// A date given without a year means its next occurrence, unless the text
+// is clearly about the past: "last June", "14 June last year"
+const LAST_YEAR_PATTERN = /\blast\s+year\b/i;
+
+/**
+ * Formats a Date as YYYY-MM-DD in local time
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toIsoDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parses YYYY-MM-DD into a local Date at midnight
+ * @param {string} isoDate
+ * @returns {Date}
+ */
+export function fromIsoDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(name.toLowerCase().substring(0, 3));
+}
+
+/**
+ * Builds a date, rejecting impossible ones like 31st June
+ * @returns {Date|null}
+ */
+function makeDate(year, month, day) {
+  const date = new Date(year, month, day);
+  return date.getMonth() === month && date.getDate() === day ? date : null;
+}
+
+/**
+ * Picks the year for a day and month given without one: the year of its
+ * next occurrence (today included), or of its last one when asking about
+ * the past
+ */
+function inferYear(month, day, reference, { past = false, lastYear = false } = {}) {
+  const year = reference.getFullYear();
+  if (lastYear) return year - 1;
+  const thisYear = makeDate(year, month, day);
+  if (!thisYear) return year;
+  if (past) return thisYear <= reference ? year : year - 1;
+  return thisYear >= reference ? year : year + 1;
+}
+
+/**
+ * Monday of the week containing the date
+ */
+function startOfWeek(date) {
+  return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+/**
+ * The Friday-to-Sunday weekend containing a date, or the next one if the
+ * date falls Monday to Thursday
+ */
+function weekendOf(date) {
+  const day = date.getDay();
+  let friday;
+  if (day === 5) friday = date;
+  else if (day === 6) friday = addDays(date, -1);
+  else if (day === 0) friday = addDays(date, -2);
+  else friday = addDays(date, 5 - day);
+  return { start: friday, end: addDays(friday, 2) };
+}
+
+/**
+ * The next occurrence of a weekday on or after a date
+ */
+function upcomingWeekday(weekday, from) {
+  return addDays(from, (weekday - from.getDay() + 7) % 7);
+}
+
+function result(start, end, phrase) {
+  const startIso = toIsoDate(start);
+  const endIso = toIsoDate(end || start);
+  return {
+    start: startIso,
+    end: endIso,
+    kind: startIso === endIso ? 'day' : 'range',
+    phrase: phrase.trim()
+  };
+}
+
+// Each rule matches one kind of expression. They are tried in order and the
+// first match wins, so more specific rules come first.
+const SINGLE_DATE_RULES = [
+  // 2025-05-31
+  {
+    pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/,
+    resolve: m => makeDate(Number(m[1]), Number(m[2]) - 1, Number(m[3]))
+  },
+  // 31/05/2025, 31-05-2025, 31/05 (UK day-first). Dashes need a year so
+  // "4-6 CDJs" isn't read as a date.
+  {
+    pattern: /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b|\b(\d{1,2})-(\d{1,2})-(\d{4}|\d{2})\b/,
+    resolve: (m, options) => {
+      const day = Number(m[1] || m[4]);
+      const month = Number(m[2] || m[5]) - 1;
+      const yearText = m[3] || m[6];
+      if (month > 11) return null;
+      let year = yearText ? Number(yearText) : inferYear(month, day, options.reference, options);
+      if (year < 100) year += 2000;
+      return makeDate(year, month, day);
+    }
+  },
+  // 31st May 2025, the 31st of May
+  {
+    pattern: new RegExp(`\\b(?:the\\s+)?${DAY_PATTERN}(?:\\s+of)?\\s+${MONTH_PATTERN}\\b(?:,?\\s+${YEAR_PATTERN})?`, 'i'),
+    resolve: (m, options) => {
+      const month = monthIndex(m[2]);
+      const day = Number(m[1]);
+      return makeDate(m[3] ? Number(m[3]) : inferYear(month, day, options.reference, options), month, day);
+    }
+  },
+  // May 31st, May 31st 2025, May 31, 2025
+  {
+    pattern: new RegExp(`\\b${MONTH_PATTERN}\\s+(?:the\\s+)?${DAY_PATTERN}\\b(?:,?\\s+${YEAR_PATTERN})?`, 'i'),
+    resolve: (m, options) => {
+      const month = monthIndex(m[1]);
+      const day = Number(m[2]);
+      return makeDate(m[3] ? Number(m[3]) : inferYear(month, day, options.reference, options), month, day);
+    }
+  },
+  // the Saturday after / the Friday before (relative to the date last discussed)
+  {
+    pattern: new RegExp(`\\b(?:the\\s+)?${WEEKDAY_PATTERN}\\s+(after|before)\\b(?!\\s+(?:next|this|the))`, 'i'),
+    resolve: (m, { anchor }) => {
+      if (!anchor) return null;
+      const weekday = WEEKDAYS.indexOf(m[1].toLowerCase());
+      const direction = m[2].toLowerCase() === 'after' ? 1 : -1;
+      let date = addDays(anchor, direction);
+      while (date.getDay() !== weekday) date = addDays(date, direction);
+      return date;
+    }
+  },
+  // the day after / the night before (relative to the date last discussed)
+  {
+    pattern: /\b(?:the\s+)?(?:day|night)\s+(after|before)\b(?!\s+tomorrow)/i,
+    resolve: (m, { anchor }) => (anchor ? addDays(anchor, m[1].toLowerCase() === 'after' ? 1 : -1) : null)
+  },
+  // that day / the same night
+  {
+    pattern: /\b(?:that|the\s+same|same)\s+(?:day|night|date)\b/i,
+    resolve: (m, { anchor }) => anchor
+  },
+  {
+    pattern: /\b(?:the\s+)?day\s+after\s+tomorrow\b/i,
+    resolve: (m, { reference }) => addDays(reference, 2)
+  },
+  {
+    pattern: /\b(today|tonight)\b/i,
+    resolve: (m, { reference }) => reference
+  },
+  {
+    pattern: /\btomorrow(?:\s+night)?\b/i,
+    resolve: (m, { reference }) => addDays(reference, 1)
+  },
+  {
+    pattern: /\byesterday\b/i,
+    resolve: (m, { reference }) => addDays(reference, -1)
+  },
+  // this Saturday / next Friday / last Sunday / Saturday
+  {
+    pattern: new RegExp(`\\b(?:(this|next|last|coming|this\\s+coming|on)\\s+)?${WEEKDAY_PATTERN}\\b`, 'i'),
+    resolve: (m, { reference }) => {
+      const modifier = (m[1] || '').toLowerCase();
+      const weekday = WEEKDAYS.indexOf(m[2].toLowerCase());
+      const upcoming = upcomingWeekday(weekday, reference);
+      if (modifier === 'last') return addDays(upcoming, -7);
+      // "next Friday" said on a Monday means the Friday of next week
+      if (modifier === 'next' && startOfWeek(upcoming).getTime() === startOfWeek(reference).getTime()) {
+        return addDays(upcoming, 7);
+      }
+      return upcoming;
+    }
+  },
+  // the 14th (this month, or next month if it has passed)
+  {
+    pattern: /\bthe\s+(\d{1,2})(?:st|nd|rd|th)\b/i,
+    resolve: (m, { reference }) => {
+      const day = Number(m[1]);
+      const thisMonth = makeDate(reference.getFullYear(), reference.getMonth(), day);
+      if (thisMonth && thisMonth >= reference) return thisMonth;
+      return makeDate(reference.getFullYear(), reference.getMonth() + 1, day)
+        || makeDate(reference.getFullYear(), reference.getMonth() + 2, day);
+    }
+  }
+];
+
+/**
+ * Finds a single day in the text
+ * @param {string} text
+ * @param {object} options - { reference, anchor } as local Dates, and lastYear if the text says "last year"
+ * @returns {{date: Date, phrase: string, index: number}|null}
+ */
+function parseSingleDate(text, options) {
+  for (const rule of SINGLE_DATE_RULES) {
+    const match = text.match(rule.pattern);
+    if (!match) continue;
+    // "last 14 June"
+    const last = text.slice(0, match.index).match(/\blast\s+$/i);
+    const date = rule.resolve(match, { ...options, past: Boolean(last) });
+    if (!date) continue;
+    return last
+      ? { date: startOfDay(date), phrase: `${last[0]}${match[0]}`, index: match.index - last[0].length }
+      : { date: startOfDay(date), phrase: match[0], index: match.index };
+  }
+  return null;
+}
+
+// Weeks of a month by ordinal, from 0; null for the last week
+const WEEK_ORDINALS = {
+  first: 0, '1st': 0, second: 1, '2nd': 1, third: 2, '3rd': 2, fourth: 3, '4th': 3, last: null
+};
+
+/**
+ * Which year a month named without one is in: its next occurrence, unless
+ * the text is about the past ("last June", "June last year")
+ * @param {number} month - 0-11
+ * @param {string} [explicitYear] - Year given in the text
+ * @param {string} [keyword] - Word before the month, e.g. 'in' or 'last'
+ * @param {object} options - { reference, lastYear }
+ * @returns {number}
+ */
+function resolveMonthYear(month, explicitYear, keyword, { reference, lastYear }) {
+  if (explicitYear) return Number(explicitYear);
+  const year = reference.getFullYear();
+  if (lastYear) return year - 1;
+  // The last June that has started, not counting the current month
+  if ((keyword || '').toLowerCase() === 'last') return month >= reference.getMonth() ? year - 1 : year;
+  return new Date(year, month + 1, 0) < reference ? year + 1 : year;
+}
+
+const RANGE_RULES = [
+  // between the 1st and the 7th of June / from Friday to Sunday
+  {
+    pattern: /\b(?:between\s+(.+?)\s+and|from\s+(.+?)\s+(?:to|until|till|through))\s+(.+)$/i,
+    resolve: (m, options) => {
+      const endText = m[3];
+      const end = parseSingleDate(endText, options);
+      if (!end) return null;
+      // "between the 1st and 7th of June": let the start borrow the end's month and year
+      let startText = m[1] || m[2];
+      if (/^\s*(?:the\s+)?\d{1,2}(?:st|nd|rd|th)?\s*$/i.test(startText)) {
+        const day = Number(startText.match(/\d{1,2}/)[0]);
+        const start = makeDate(end.date.getFullYear(), end.date.getMonth(), day);
+        return start && start <= end.date ? [start, end.date, `${m[0].substring(0, m[0].length - endText.length)}${end.phrase}`] : null;
+      }
+      const start = parseSingleDate(startText, options);
+      if (!start || start.date > end.date) return null;
+      return [start.date, end.date, `${m[0].substring(0, m[0].length - endText.length)}${end.phrase}`];
+    }
+  },
+  // the weekend of the 14th / weekend of 14 June
+  {
+    pattern: /\b(?:the\s+)?weekend\s+of\s+(.+)$/i,
+    resolve: (m, options) => {
+      const day = parseSingleDate(m[1], options);
+      if (!day) return null;
+      const { start, end } = weekendOf(day.date);
+      return [start, end, `${m[0].substring(0, m[0].length - m[1].length)}${day.phrase}`];
+    }
+  },
+  // this weekend / next weekend / the weekend
+  {
+    pattern: /\b(this|next|the|coming|this\s+coming)\s+weekend\b/i,
+    resolve: (m, { reference }) => {
+      const weekend = weekendOf(reference);
+      if (m[1].toLowerCase() === 'next') return [addDays(weekend.start, 7), addDays(weekend.end, 7), m[0]];
+      return [weekend.start, weekend.end, m[0]];
+    }
+  },
+  // this week / next week
+  {
+    pattern: /\b(this|next)\s+week\b/i,
+    resolve: (m, { reference }) => {
+      const monday = addDays(startOfWeek(reference), m[1].toLowerCase() === 'next' ? 7 : 0);
+      return [m[1].toLowerCase() === 'this' ? reference : monday, addDays(monday, 6), m[0]];
+    }
+  },
+  // this month / next month
+  {
+    pattern: /\b(this|next)\s+month\b/i,
+    resolve: (m, { reference }) => {
+      const offset = m[1].toLowerCase() === 'next' ? 1 : 0;
+      const first = new Date(reference.getFullYear(), reference.getMonth() + offset, 1);
+      const last = new Date(reference.getFullYear(), reference.getMonth() + offset + 1, 0);
+      return [offset === 0 ? reference : first, last, m[0]];
+    }
+  },
+  // first week of June / the last week in June 2025: the 1st to the 7th, the
+  // 8th to the 14th and so on; the last week is the month's last seven days
+  {
+    pattern: new RegExp(`\\b(first|1st|second|2nd|third|3rd|fourth|4th|last)\\s+week\\s+(?:of|in)\\s+${MONTH_PATTERN}(?:\\s+${YEAR_PATTERN})?\\b`, 'i'),
+    resolve: (m, options) => {
+      const month = monthIndex(m[2]);
+      const week = WEEK_ORDINALS[m[1].toLowerCase()];
+      const weekIn = (year) => {
+        const firstDay = week === null ? new Date(year, month + 1, 0).getDate() - 6 : week * 7 + 1;
+        return [new Date(year, month, firstDay), new Date(year, month, firstDay + 6)];
+      };
+      const year = resolveMonthYear(month, m[3], '', options);
+      let [start, end] = weekIn(year);
+      // Earlier this month: the same week next year
+      if (!m[3] && !options.lastYear && end < options.reference) [start, end] = weekIn(year + 1);
+      return [start, end, m[0]];
+    }
+  },
+  // in June / during June 2025 / June 2025 / last June. A bare month name
+  // needs a preposition so "may" the verb isn't read as the month. A day
+  // before it ("14 June 2025", "14th of June") is captured so the rule can
+  // step aside for the single-date rules.
+  {
+    pattern: new RegExp(`(?:(\\d{1,2})(?:st|nd|rd|th)?\\s+)?\\b(?:(in|during|for|throughout|of|this|next|over|last)\\s+${MONTH_PATTERN}(?:\\s+${YEAR_PATTERN})?|${MONTH_PATTERN}\\s+${YEAR_PATTERN})\\b(?!\\s+(?:the\\s+)?\\d{1,2}(?:st|nd|rd|th)?\\b)`, 'i'),
+    resolve: (m, options) => {
+      if (m[1]) return null;
+      const month = monthIndex(m[3] || m[5]);
+      const year = resolveMonthYear(month, m[4] || m[6], m[2], options);
+      return [new Date(year, month, 1), new Date(year, month + 1, 0), m[0]];
+    }
+  }
+];
+
+/**
+ * Finds the date or date range a piece of text refers to.
+ * @param {string} text - Question or date text, e.g. "what's on this Saturday?"
+ * @param {object} [options]
+ * @param {Date|string} [options.referenceDate=new Date()] - "Today" for relative expressions
+ * @param {string} [options.anchorDate] - YYYY-MM-DD the conversation was last about, for
+ *   "the Saturday after", "that day" etc.
+ * @returns {{start: string, end: string, kind: 'day'|'range', phrase: string}|null}
+ *   Inclusive YYYY-MM-DD bounds and the text that was understood, or null if no date was found
+ */
+export function parseDateExpression(text, { referenceDate = new Date(), anchorDate = null } = {}) {
+  if (!text) return null;
+
+  const reference = startOfDay(typeof referenceDate === 'string' ? fromIsoDate(referenceDate) : referenceDate);
+  const options = { reference, anchor: anchorDate ? fromIsoDate(anchorDate) : null, lastYear: LAST_YEAR_PATTERN.test(text) };
+
+  for (const rule of RANGE_RULES) {
+    const match = text.match(rule.pattern);
+    if (!match) continue;
+    const range = rule.resolve(match, options);
+    if (range) return result(range[0], range[1], range[2]);
+  }
+
+  const single = parseSingleDate(text, options);
+  return single ? result(single.date, single.date, single.phrase) : null;
+}
+
+/**
+ * Formats a YYYY-MM-DD date for people, e.g. "Saturday 14 June 2025"
+ * @param {string} isoDate
+ * @returns {string}
+ */
+export function formatDisplayDate(isoDate) {
+  return fromIsoDate(isoDate).toLocaleDateString('en-GB', {
+    weekday: 'long', day: 'numeric', month: 'long', year: 'numeric'
+  });
+}
+
+/**
+ * Formats a parsed range for people, e.g. "Friday 13 June 2025 to Sunday 15 June 2025"
+ * @param {{start: string, end: string}} range
+ * @returns {string}
+ */
+export function formatDateRange({ start, end }) {
+  return start === end ? formatDisplayDate(start) : `${formatDisplayDate(start)} to ${formatDisplayDate(end)}`;
+}
+
+/**
+ * Reads a time of day, e.g. "22:00", "9.30", "10pm", "4am"
+ * @param {string} text
+ * @returns {number|null} Hours since midnight
+ */
+function parseTimeOfDay(text) {
+  const match = text.trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = match[2] ? Number(match[2]) : 0;
+  if (hours > 24 || minutes > 59 || (match[3] && (hours === 0 || hours > 12))) return null;
+  if (match[3] === 'pm' && hours < 12) hours += 12;
+  if (match[3] === 'am' && hours === 12) hours = 0;
+  return hours + minutes / 60;
+}
+
+/**
+ * How long an event's time range lasts, e.g. "22:00 - 04:00" is 6 hours.
+ * Ranges ending earlier than they start run past midnight.
+ * @param {string} timeRange - As on calendar events, e.g. "22:00 - 04:00" or "10pm–4am"
+ * @returns {number|null} Hours, or null if it isn't a range
+ */
+export function getTimeRangeHours(timeRange) {
+  if (!timeRange) return null;
+  const parts = String(timeRange).split(/\s*(?:-|–|—|to|until)\s*/i);
+  if (parts.length !== 2) return null;
+  const start = parseTimeOfDay(parts[0]);
+  const end = parseTimeOfDay(parts[1]);
+  if (start === null || end === null || start === end) return null;
+  return end > start ? end - start : end + 24 - start;
+}
+
+export default {
+  toIsoDate,
+  fromIsoDate,
+  parseDateExpression,
+  formatDisplayDate,
+  formatDateRange,
+  getTimeRangeHours
+};
@@ -0,0 +1,45 @@
+import { parseDateExpression } from './dateParser';
+
+// Monday 19 October 2026
+const referenceDate = '2026-10-19';
+
+function parse(text, options = {}) {
+  const result = parseDateExpression(text, { referenceDate, ...options });
+  return result && [result.start, result.end];
+}
+
+describe('parseDateExpression', () => {
+  test('reads a day without a year as its next occurrence', () => {
+    expect(parse("what's on 14 June?")).toEqual(['2027-06-14', '2027-06-14']);
+    expect(parse('the 14th of June')).toEqual(['2027-06-14', '2027-06-14']);
+    expect(parse('19 October')).toEqual(['2026-10-19', '2026-10-19']);
+  });
+
+  test('reads the past when asked about it', () => {
+    expect(parse('14 June last year')).toEqual(['2025-06-14', '2025-06-14']);
+    expect(parse('last June')).toEqual(['2026-06-01', '2026-06-30']);
+    expect(parse('events in June last year')).toEqual(['2025-06-01', '2025-06-30']);
+  });
+
+  test('reads months as ranges, but a day and month as that day', () => {
+    expect(parse('anything on in June 2025?')).toEqual(['2025-06-01', '2025-06-30']);
+    expect(parse('June 2026')).toEqual(['2026-06-01', '2026-06-30']);
+    expect(parse('14 June 2026')).toEqual(['2026-06-14', '2026-06-14']);
+  });
+
+  test('reads weeks of a month', () => {
+    expect(parse('first week of June')).toEqual(['2027-06-01', '2027-06-07']);
+    expect(parse('2nd week in March 2027')).toEqual(['2027-03-08', '2027-03-14']);
+    expect(parse('last week of February 2028')).toEqual(['2028-02-23', '2028-02-29']);
+    expect(parse('first week of October')).toEqual(['2027-10-01', '2027-10-07']);
+  });
+
+  test('reads relative ranges', () => {
+    expect(parse('this weekend')).toEqual(['2026-10-23', '2026-10-25']);
+    expect(parse('between the 1st and 7th of June')).toEqual(['2027-06-01', '2027-06-07']);
+  });
+
+  test('ignores "may" the verb', () => {
+    expect(parse('may we bring our own DJ?')).toBeNull();
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Offers text content to the user as a file download.
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob} content - File content
+ * @param {string} [mimeType='text/plain'] - MIME type when content is a string
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Turns free text into something safe to use in a file name
+ * @param {string} text
+ * @returns {string}
+ */
+export function toFileName(text) {
+  return String(text).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'export';
+}
+
+export default {
+  downloadFile,
+  toFileName
+};
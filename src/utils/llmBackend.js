@@ -0,0 +1,185 @@
+import { logDebug } from './debug';
+import { describeSource } from './citations';
+
+// Optional generation backend. When an endpoint is configured, retrieved
+// answers are handed to a locally hosted OpenAI-compatible chat completion
+// server (llama.cpp, Ollama, ...) which writes the final answer. With no
+// endpoint the assistant stays retrieval-only.
+const LLM_CONFIG = {
+  // Base URL including the API version, e.g. http://localhost:11434/v1 for Ollama
+  endpoint: process.env.REACT_APP_LLM_ENDPOINT || null,
+  model: process.env.REACT_APP_LLM_MODEL || 'local-model',
+  temperature: 0.2,
+  maxTokens: 400,
+  // Give up waiting for the first byte after this long and fall back to retrieval
+  timeoutMs: 20000,
+  // Give up on a response that goes quiet for this long part-way through
+  idleTimeoutMs: 15000
+};
+
+const SYSTEM_PROMPT = [
+  'You are Agent Tech, the technical assistant for the Studio 338 venue in London.',
+  'Answer using ONLY the numbered context passages provided.',
+  'If the context does not contain the answer, say you do not have that information.',
+  'Quote quantities, prices and limits exactly as they appear in the context.',
+  'Be brief: two or three sentences unless a list is clearer.'
+].join(' ');
+
+/**
+ * Updates the generation backend settings
+ * @param {object} options - Any of endpoint, model, temperature, maxTokens, timeoutMs, idleTimeoutMs
+ */
+export function configureLlmBackend(options = {}) {
+  Object.keys(LLM_CONFIG).forEach(key => {
+    if (key in options) LLM_CONFIG[key] = options[key];
+  });
+  logDebug('LlmBackend', `Generation backend ${LLM_CONFIG.endpoint ? `set to ${LLM_CONFIG.endpoint}` : 'disabled'}`);
+}
+
+/**
+ * @returns {boolean} Whether answers should be generated by a model
+ */
+export function isLlmBackendConfigured() {
+  return Boolean(LLM_CONFIG.endpoint);
+}
+
+/**
+ * Builds the chat messages for a grounded completion: the retrieved answers
+ * become numbered context passages the model must stick to.
+ * @param {string} question - The user's question
+ * @param {Array<object>} answers - Merged answer candidates from the answer pipeline
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function buildGroundedPrompt(question, answers) {
+  const context = answers
+    .map((answer, i) => `[${i + 1}] (${answer.source ? describeSource(answer.source) : answer.providerId}) ${answer.text}`)
+    .join('\n');
+
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: `Context:\n${context}\n\nQuestion: ${question}` }
+  ];
+}
+
+/**
+ * Reads an OpenAI-style server-sent event stream, calling onToken with the
+ * text generated so far after each chunk
+ * @param {ReadableStream} body - Response body
+ * @param {function(string): void} [onToken]
+ * @param {function(): void} [onChunk] - Called whenever a chunk arrives
+ * @returns {Promise<string>} The complete generated text
+ */
+async function readCompletionStream(body, onToken, onChunk) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    if (onChunk) onChunk();
+    buffer += decoder.decode(value, { stream: true });
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop(); // keep any partial line for the next chunk
+    for (const line of lines) {
+      const data = line.replace(/^data:\s*/, '').trim();
+      if (!line.startsWith('data:') || !data) continue;
+      if (data === '[DONE]') return text;
+
+      try {
+        const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          if (onToken) onToken(text);
+        }
+      } catch (error) {
+        logDebug('LlmBackend', 'Skipping unparseable stream chunk:', data);
+      }
+    }
+  }
+  return text;
+}
+
+/**
+ * Streams a chat completion from the configured endpoint
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @param {object} [options]
+ * @param {function(string): void} [options.onToken] - Called with the text generated so far
+ * @returns {Promise<string>} The complete generated text
+ * @throws {Error} If no endpoint is configured, the request fails, or the
+ *   server doesn't answer in time or stops sending part-way
+ */
+export async function streamCompletion(messages, { onToken } = {}) {
+  if (!LLM_CONFIG.endpoint) throw new Error('No generation endpoint configured');
+
+  const controller = new AbortController();
+  let timedOut = false;
+  let timeout = null;
+  // Restarted whenever the server sends something, so a stream that stalls
+  // is given up on as well as one that never starts
+  const waitUpTo = (ms) => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, ms);
+  };
+  waitUpTo(LLM_CONFIG.timeoutMs);
+
+  try {
+    const response = await fetch(`${LLM_CONFIG.endpoint.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: LLM_CONFIG.model,
+        messages,
+        temperature: LLM_CONFIG.temperature,
+        max_tokens: LLM_CONFIG.maxTokens,
+        stream: true
+      }),
+      signal: controller.signal
+    });
+    waitUpTo(LLM_CONFIG.idleTimeoutMs);
+
+    if (!response.ok) {
+      throw new Error(`Completion request failed: ${response.status} ${response.statusText}`);
+    }
+
+    // Servers that ignore `stream` send a single JSON body instead
+    if (!response.body || !(response.headers.get('content-type') || '').includes('text/event-stream')) {
+      const data = await response.json();
+      const text = data.choices?.[0]?.message?.content || '';
+      if (onToken) onToken(text);
+      return text;
+    }
+
+    return await readCompletionStream(response.body, onToken, () => waitUpTo(LLM_CONFIG.idleTimeoutMs));
+  } catch (error) {
+    if (timedOut) throw new Error('The generation backend stopped responding');
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Generates a grounded answer from retrieved answers
+ * @param {string} question - The user's question
+ * @param {Array<object>} answers - Merged answer candidates to ground the answer in
+ * @param {object} [options] - See streamCompletion
+ * @returns {Promise<string>} Generated answer text
+ */
+export async function generateGroundedAnswer(question, answers, options = {}) {
+  const text = await streamCompletion(buildGroundedPrompt(question, answers), options);
+  return text.trim();
+}
+
+export default {
+  configureLlmBackend,
+  isLlmBackendConfigured,
+  buildGroundedPrompt,
+  streamCompletion,
+  generateGroundedAnswer
+};
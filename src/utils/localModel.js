@@ -1,15 +1,32 @@
-import { fetchAllEvents, getEventForDate } from './calendarFetcher';
-import { extractPdfContent, searchKnowledgeBase as searchPdfKB } from './pdfProcessor'; // Renamed to avoid conflict
+import calendarFetcher from './calendarFetcher';
+import { TECHNICAL_BIBLE_URL, extractPdfContent } from './pdfProcessor';
 import SpecificationManager from './SpecificationManager'; // Import the manager
+import { registerAnswerProvider, runAnswerPipeline } from './answerPipeline';
+import calendarProvider from './providers/calendarProvider';
+import specProvider from './providers/specProvider';
+import pdfProvider from './providers/pdfProvider';
+import quoteProvider from './providers/quoteProvider';
+import { resolveFollowUp, updateConversationContext } from './conversationContext';
+import { configureLlmBackend, isLlmBackendConfigured, generateGroundedAnswer } from './llmBackend';
+import { logDebug } from './debug';
 
-// Initialize SpecificationManager - assuming local file mode for now
+// Initialize SpecificationManager. Specifications come from the published
+// file unless a specifications API (see server/specsApiServer.js) is set.
 const specManager = new SpecificationManager({
-  useApi: false,
+  useApi: Boolean(process.env.REACT_APP_SPECS_API),
+  apiBaseUrl: process.env.REACT_APP_SPECS_API || '/api',
   localFilePath: './data/specifications.json' // Relative to where node/bundler runs, might need adjustment
 });
 
 let isInitialized = false;
 
+// Knowledge sources consulted for every question. New sources only need to
+// implement the provider contract in answerPipeline.js and be registered here.
+registerAnswerProvider(calendarProvider);
+registerAnswerProvider(specProvider);
+registerAnswerProvider(pdfProvider);
+registerAnswerProvider(quoteProvider);
+
 /**
  * Initializes all knowledge sources.
  */
@@ -22,13 +39,11 @@ export async function initializeKnowledgeBase() {
     console.log('Specification Manager initialized.');
 
     // Initialize calendar events (uses its own cache or fetches)
-    await fetchAllEvents();
+    await calendarFetcher.fetchAllEvents();
     console.log('Calendar Fetcher initialized (events fetched/cached).');
 
-    // Initialize PDF content (assuming path relative to public folder or where app is served)
-    // The path '/docs/technical-bible.pdf' implies it's served from the root of the public dir.
-    // This path needs to be correct for your server setup.
-    await extractPdfContent('/docs/technical-bible.pdf'); 
+    // Initialize PDF content (served from the public folder, see TECHNICAL_BIBLE_URL)
+    await extractPdfContent(TECHNICAL_BIBLE_URL);
     console.log('PDF Processor initialized (content extracted).');
 
     isInitialized = true;
@@ -42,62 +57,120 @@ export async function initializeKnowledgeBase() {
 }
 
 /**
- * Answers a question by querying all available knowledge sources.
- * @param {string} question - The user's question.
- * @returns {Promise<string>} - A formatted answer.
+ * Reloads a knowledge source after the service worker has cached a newer
+ * version of its file.
+ * @param {string} path - Path of the updated file, e.g. '/data/specifications.json'
  */
-export async function answerQuestion(question) {
-  if (!isInitialized) {
-    return "I'm still getting set up. Please try again in a moment.";
+export async function refreshKnowledgeSource(path) {
+  if (!isInitialized) return;
+  const pathOf = url => new URL(url, window.location.href).pathname;
+  if (path === pathOf(specManager.localFilePath)) {
+    await specManager.syncSpecifications();
+  } else if (path === pathOf(TECHNICAL_BIBLE_URL)) {
+    await extractPdfContent(TECHNICAL_BIBLE_URL);
   }
+}
 
-  const questionLower = question.toLowerCase();
-  let responses = [];
-
-  // 1. Check for event-related questions (e.g., "What's on May 31st?")
-  // Simple date detection - can be made more robust
-  const dateMatch = question.match(/(\d{4}-\d{2}-\d{2})|(\w+ \d{1,2}(st|nd|rd|th)?( \d{4})?)/i);
-  if (dateMatch && dateMatch[0]) {
-    try {
-      const eventData = await getEventForDate(dateMatch[0]);
-      if (eventData && eventData.eventInfo && !eventData.needsManagerCheck) {
-        responses.push(`On ${eventData.date}: ${eventData.eventInfo.title}. ${eventData.eventInfo.description} (Time: ${eventData.eventInfo.time}, Tickets: ${eventData.eventInfo.tickets}).`);
-      } else if (eventData && eventData.needsManagerCheck) {
-        responses.push(eventData.eventInfo.description);
-      }
-    } catch (e) {
-      console.warn('Could not parse date from question for calendar lookup:', question);
+/**
+ * Builds a bot message from plain text.
+ * @param {string} text
+ * @returns {{text: string, blocks: Array<object>}}
+ */
+function textMessage(text) {
+  return { text, blocks: [{ type: 'text', text }] };
+}
+
+/**
+ * Builds a bot message from merged answer candidates. `text` is a plain
+ * rendering of the answer; `blocks` is the typed content the chat renders,
+ * ending with a numbered list of the sources used.
+ * @param {Array<object>} answers - Merged candidates from the answer pipeline
+ * @returns {{text: string, blocks: Array<object>}}
+ */
+function buildAnswerMessage(answers) {
+  // Each answer's first block is marked with the number of its source in
+  // the sources list, so every part of the reply can be checked
+  const sourceKeys = [];
+  const sources = [];
+  const blocks = answers.flatMap(answer => {
+    const answerBlocks = answer.blocks || [{ type: 'text', text: answer.text }];
+    if (!answer.source || answerBlocks.length === 0) return answerBlocks;
+
+    const key = JSON.stringify(answer.source);
+    if (!sourceKeys.includes(key)) {
+      sourceKeys.push(key);
+      sources.push(answer.source);
     }
-  }
+    const [first, ...rest] = answerBlocks;
+    return [{ ...first, citation: sourceKeys.indexOf(key) + 1 }, ...rest];
+  });
 
-  // 2. Search PDF Knowledge Base (from pdfProcessor.js)
-  const pdfResults = searchPdfKB(question);
-  if (pdfResults && pdfResults.length > 0 && !pdfResults[0].type?.includes('error')) {
-    pdfResults.slice(0, 2).forEach(res => { // Limit to a couple of relevant PDF results
-      if(res.type === 'faq') {
-        responses.push(`From the technical docs (FAQ): Q: ${res.question} A: ${res.answer}`);
-      } else if (res.type === 'equipment') {
-        responses.push(`Regarding ${res.name} (equipment): Quantity: ${res.quantity}, Specs: ${res.specifications || 'N/A'}. (Source: PDF Page ${res.pages?.join(', ')})`);
-      } else if (res.type === 'specification' || res.type === 'raw_text') {
-        responses.push(`From the technical docs (Page ${res.page || 'N/A'}): ${res.content.substring(0, 200)}...`);
-      }
-    });
+  if (sources.length > 0) {
+    blocks.push({ type: 'sources', sources });
   }
 
-  // 3. Search Specifications JSON (via SpecificationManager)
-  // Example: "Tell me about CDJ-3000" or "What is the resolution of the main LED wall?"
-  const specItem = specManager.getItemById(questionLower); // Simple ID lookup for now
-  if (specItem) {
-    responses.push(`From current specs for ${specItem.name}: ${JSON.stringify(specItem, null, 2)}`);
+  return {
+    text: answers.map(answer => answer.text).join('\n\n'),
+    blocks
+  };
+}
+
+/**
+ * Builds a bot message around a model-generated answer. The retrieved
+ * tables and event cards are kept below it so the answer can be checked.
+ * @param {string} generatedText - Answer written by the generation backend
+ * @param {Array<object>} answers - Merged candidates the answer was grounded in
+ * @returns {{text: string, blocks: Array<object>, generated: boolean}}
+ */
+function buildGeneratedMessage(generatedText, answers) {
+  const retrieved = buildAnswerMessage(answers);
+  return {
+    text: generatedText,
+    blocks: [
+      { type: 'text', text: generatedText },
+      ...retrieved.blocks.filter(block => block.type !== 'text')
+    ],
+    generated: true
+  };
+}
+
+/**
+ * Answers a question by querying all registered knowledge sources.
+ * Each provider scores the question, the confident ones return candidates
+ * and the merger keeps the best answer per topic. If a generation backend
+ * is configured the model writes the final answer from those candidates;
+ * otherwise, or if the model fails, the retrieved answers are returned as is.
+ * @param {string} question - The user's question.
+ * @param {object} [conversation] - Per-session context from createConversationContext.
+ *   Used to resolve follow-ups like "how many of those?" and updated with what was answered.
+ * @param {object} [options]
+ * @param {function(string): void} [options.onToken] - Receives the generated text so far while streaming
+ * @returns {Promise<{text: string, blocks: Array<object>}>} - The answer as plain text and as typed content blocks.
+ */
+export async function answerQuestion(question, conversation = null, { onToken } = {}) {
+  if (!isInitialized) {
+    return textMessage("I'm still getting set up. Please try again in a moment.");
   }
-  // More sophisticated search within specManager.specs could be added here if needed
-  // e.g. by iterating getItemsByCategory or searching all items based on keywords in question
 
-  if (responses.length > 0) {
-    return responses.join('\n\n---\n\n');
+  const resolvedQuestion = resolveFollowUp(question, conversation, specManager);
+  const answers = await runAnswerPipeline(resolvedQuestion, { specManager, conversation });
+  updateConversationContext(conversation, answers, specManager);
+
+  if (answers.length > 0) {
+    // Command replies (e.g. quote changes) are shown as is, not rewritten by the model
+    // Offline the retrieved answers are used as they are
+    if (isLlmBackendConfigured() && !answers[0].exclusive && navigator.onLine !== false) {
+      try {
+        const generatedText = await generateGroundedAnswer(resolvedQuestion, answers, { onToken });
+        if (generatedText) return buildGeneratedMessage(generatedText, answers);
+      } catch (error) {
+        logDebug('LocalModel', `Generation backend unavailable, using retrieved answers: ${error.message}`);
+      }
+    }
+    return buildAnswerMessage(answers);
   }
 
-  return "I couldn't find specific information for your query in my current knowledge. Please try rephrasing or ask about Studio 338 events, technical specifications, or equipment.";
+  return textMessage("I couldn't find specific information for your query in my current knowledge. Please try rephrasing or ask about Studio 338 events, technical specifications, or equipment.");
 }
 
 // Ensure initialization is attempted when the app loads.
@@ -106,7 +179,10 @@ export async function answerQuestion(question) {
 
 export default {
   initializeKnowledgeBase,
+  refreshKnowledgeSource,
   answerQuestion,
+  registerAnswerProvider,
+  configureLlmBackend,
   // Expose specManager if other parts of the app need direct access (e.g., for budget calculator)
   getSpecificationManager: () => specManager 
 };
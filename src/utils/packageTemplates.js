@@ -0,0 +1,178 @@
+import { logDebug } from './debug';
+import { STORES, getItem, setItem, removeItem, getAllKeys } from './storage';
+import { getUnitPrice } from './quoteCalculator';
+
+// Package templates: combinations of equipment most events use, e.g. the
+// Terrace DJ setup, added to a quote in one go. A template records the
+// specifications version it was built against and each item's name and
+// price at the time, so a later version that removes or reprices one of
+// its items can be flagged.
+
+const listeners = new Set();
+
+function notify(template) {
+  listeners.forEach(listener => listener(template));
+}
+
+function newTemplateId() {
+  return `package-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Retired items count as removed: they can't be quoted any more
+function findQuotableItem(specManager, itemId) {
+  const item = specManager.getItemById(itemId);
+  return item && !item.retired ? item : null;
+}
+
+/**
+ * All package templates, by name
+ * @returns {Promise<Array<object>>}
+ */
+export async function listPackageTemplates() {
+  const templates = [];
+  for (const id of await getAllKeys(STORES.PACKAGES)) {
+    const template = await getItem(STORES.PACKAGES, id);
+    if (template) templates.push(template);
+  }
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export async function getPackageTemplate(id) {
+  return id ? getItem(STORES.PACKAGES, id) : null;
+}
+
+/**
+ * Saves a package template against the current specifications, recording
+ * each item's name and price as they are now.
+ * @param {object} template
+ * @param {string} [template.id] - Set to update an existing template
+ * @param {string} template.name - e.g. 'Terrace DJ setup'
+ * @param {string} [template.description]
+ * @param {number} [template.discountPercent=0] - Taken off each of the package's lines
+ * @param {Array<{itemId: string, quantity: number}>} template.lines
+ * @param {SpecificationManager} specManager
+ * @returns {Promise<object>} The saved template
+ * @throws {Error} If the template has no name or lines, a bad discount or
+ *   quantity, or an item that isn't in the specifications
+ */
+export async function savePackageTemplate({ id, name, description = '', discountPercent = 0, lines }, specManager) {
+  const trimmedName = (name || '').trim();
+  if (!trimmedName) throw new Error('A package needs a name');
+  if (!lines || lines.length === 0) throw new Error('A package needs at least one item');
+  if (!(discountPercent >= 0 && discountPercent < 100)) throw new Error('The package discount must be from 0 to 99%');
+
+  const snapshot = lines.map(({ itemId, quantity }) => {
+    const item = findQuotableItem(specManager, itemId);
+    if (!item) throw new Error(`"${itemId}" is not in the specifications`);
+    if (!Number.isInteger(quantity) || quantity < 1) throw new Error(`The quantity of ${item.name} must be a whole number of at least 1`);
+    return { itemId, quantity, name: item.name, unitPrice: getUnitPrice(item), currency: item.currency || null };
+  });
+
+  const existing = await getPackageTemplate(id);
+  const now = new Date().toISOString();
+  const template = {
+    id: existing ? existing.id : newTemplateId(),
+    name: trimmedName,
+    description: description.trim(),
+    discountPercent,
+    specsVersion: specManager.specs?.metadata?.version || null,
+    lines: snapshot,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+  await setItem(STORES.PACKAGES, template.id, template);
+  logDebug('PackageTemplates', `Saved package "${template.name}" against specifications ${template.specsVersion}`);
+  notify(template);
+  return template;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deletePackageTemplate(id) {
+  await removeItem(STORES.PACKAGES, id);
+  notify(null);
+}
+
+/**
+ * Checks a template against the current specifications for items that
+ * have been removed (or retired) or repriced since it was saved
+ * @param {object} template
+ * @param {SpecificationManager} specManager
+ * @returns {{
+ *   outOfDate: boolean,
+ *   specsVersion: string|null,
+ *   issues: Array<{itemId: string, name: string, problem: 'removed'|'repriced',
+ *     before: number, after: number|null, currency: string|null}>
+ * }} specsVersion is the current version; issues are empty if nothing changed
+ */
+export function checkPackageTemplate(template, specManager) {
+  const issues = [];
+  template.lines.forEach(line => {
+    const item = findQuotableItem(specManager, line.itemId);
+    if (!item) {
+      issues.push({ itemId: line.itemId, name: line.name, problem: 'removed', before: line.unitPrice, after: null, currency: line.currency });
+      return;
+    }
+    const unitPrice = getUnitPrice(item);
+    const currency = item.currency || null;
+    if (unitPrice !== line.unitPrice || currency !== line.currency) {
+      issues.push({ itemId: line.itemId, name: item.name, problem: 'repriced', before: line.unitPrice, after: unitPrice, currency });
+    }
+  });
+  return { outOfDate: issues.length > 0, specsVersion: specManager.specs?.metadata?.version || null, issues };
+}
+
+/**
+ * Re-saves a template against the current specifications, dropping items
+ * that have been removed and taking on current prices
+ * @param {object} template
+ * @param {SpecificationManager} specManager
+ * @returns {Promise<object>} The updated template
+ * @throws {Error} If none of its items are left
+ */
+export async function refreshPackageTemplate(template, specManager) {
+  const lines = template.lines.filter(line => findQuotableItem(specManager, line.itemId));
+  if (lines.length === 0) throw new Error(`None of the items in "${template.name}" are in the specifications any more`);
+  return savePackageTemplate({ ...template, lines }, specManager);
+}
+
+/**
+ * The quote lines a template expands into, for addToDraftQuote. Items no
+ * longer in the specifications are left out.
+ * @param {object} template
+ * @param {SpecificationManager} specManager
+ * @returns {Array<{itemId: string, quantity: number, discount: number}>}
+ */
+export function expandPackageTemplate(template, specManager) {
+  const discount = (template.discountPercent || 0) / 100;
+  return template.lines
+    .filter(line => findQuotableItem(specManager, line.itemId))
+    .map(({ itemId, quantity }) => ({ itemId, quantity, discount }));
+}
+
+/**
+ * Subscribes to package template changes.
+ * @param {function(object|null): void} listener - Called with the saved template, or null after a delete
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeToPackageTemplates(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export default {
+  listPackageTemplates,
+  getPackageTemplate,
+  savePackageTemplate,
+  deletePackageTemplate,
+  checkPackageTemplate,
+  refreshPackageTemplate,
+  expandPackageTemplate,
+  subscribeToPackageTemplates
+};
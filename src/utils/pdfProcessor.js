@@ -1,6 +1,9 @@
 import * as pdfjs from 'pdfjs-dist';
-// Set worker source for PDF.js
-pdfjs.GlobalWorkerOptions.workerSrc = 'pdf.worker.js';
+import { buildSearchIndex, search } from './searchIndex';
+import { STORES, getItem, setItem } from './storage';
+// Set worker source for PDF.js. The service worker precaches it from here.
+export const PDF_WORKER_URL = `${process.env.PUBLIC_URL}/pdf.worker.js`;
+pdfjs.GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
 
 // Categories of technical information we want to extract
 const CATEGORIES = {
@@ -13,32 +16,87 @@ const CATEGORIES = {
   RESTRICTIONS: ['restriction', 'limit', 'maximum', 'minimum', 'db', 'decibel']
 };
 
+function createKnowledgeBase() {
+  return {
+    equipment: {},
+    specifications: {},
+    pricing: {},
+    restrictions: {},
+    raw: {}, // Store raw text by page and section for fallback searches
+  };
+}
+
 // Main knowledge base to store extracted information
-let knowledgeBase = {
-  equipment: {},
-  specifications: {},
-  pricing: {},
-  restrictions: {},
-  raw: {}, // Store raw text by page and section for fallback searches
-};
+let knowledgeBase = createKnowledgeBase();
+
+// Ranked full-text index over the knowledge base, rebuilt after each extraction
+let searchIndex = null;
+
+// Where the venue's technical bible is served from (the app's public folder)
+export const TECHNICAL_BIBLE_URL = `${process.env.PUBLIC_URL}/docs/technical-bible.pdf`;
+
+// The loaded document, kept so the source viewer can render its pages
+let pdfDocument = null;
+let pdfDocumentUrl = null;
+
+// Number of sentences grouped into one searchable passage of raw page text
+const SENTENCES_PER_PASSAGE = 3;
+
+/**
+ * Identifies a PDF's content, so a stored extraction is only reused for the
+ * same file
+ * @param {object} pdf - pdf.js document
+ * @returns {string|null}
+ */
+function getFingerprint(pdf) {
+  return (pdf.fingerprints && pdf.fingerprints[0]) || pdf.fingerprint || null;
+}
 
 /**
- * Extracts text content from a PDF file
+ * Restores a knowledge base extracted earlier and indexes it
+ * @param {object} stored - { fingerprint, knowledgeBase } as saved by extractPdfContent
+ * @returns {object} The knowledge base
+ */
+function restoreKnowledgeBase(stored) {
+  knowledgeBase = stored.knowledgeBase;
+  buildKnowledgeIndex();
+  return knowledgeBase;
+}
+
+/**
+ * Extracts text content from a PDF file. The result is stored, so later
+ * loads of the same file skip extraction, and if the file can't be loaded
+ * (e.g. offline) the last extraction is used.
  * @param {string} pdfUrl - URL to the PDF file
  * @returns {Promise<object>} - Processed knowledge base
  */
 export async function extractPdfContent(pdfUrl) {
+  const stored = await getItem(STORES.PDF_CONTENT, pdfUrl);
+
   try {
     // Load the PDF document
     const loadingTask = pdfjs.getDocument(pdfUrl);
     const pdf = await loadingTask.promise;
+    pdfDocument = pdf;
+    pdfDocumentUrl = pdfUrl;
     
     console.log(`PDF loaded: ${pdf.numPages} pages`);
+
+    const fingerprint = getFingerprint(pdf);
+    if (stored && fingerprint && stored.fingerprint === fingerprint) {
+      console.log('Using stored PDF content');
+      return restoreKnowledgeBase(stored);
+    }
+
+    // Start afresh when a new version of the file is loaded
+    knowledgeBase = createKnowledgeBase();
     
     // Process each page
     for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
       const page = await pdf.getPage(pageNum);
       const textContent = await page.getTextContent();
+      // Offsets recorded below index into this string, so the viewer can map
+      // them back onto the page's text items by joining them the same way
       const pageText = textContent.items.map(item => item.str).join(' ');
       
       // Store raw text by page
@@ -50,10 +108,19 @@ export async function extractPdfContent(pdfUrl) {
     
     // Post-process and organize the knowledge base
     organizeKnowledgeBase();
+
+    // Index everything once so searches don't rescan the text
+    buildKnowledgeIndex();
+
+    await setItem(STORES.PDF_CONTENT, pdfUrl, { fingerprint, knowledgeBase });
     
     return knowledgeBase;
   } catch (error) {
     console.error('Error processing PDF:', error);
+    if (stored) {
+      console.log('Using stored PDF content from the last successful load');
+      return restoreKnowledgeBase(stored);
+    }
     return null;
   }
 }
@@ -96,7 +163,10 @@ function extractEquipmentSpecs(text, pageNum) {
       knowledgeBase.equipment[name] = {
         quantity: parseInt(quantity, 10),
         specifications: spec,
-        pageReferences: [pageNum]
+        pageReferences: [pageNum],
+        // Where it is first listed, for citations
+        offset: match.index,
+        length: match[0].trimEnd().length
       };
     } else {
       // Update existing entry if found on multiple pages
@@ -134,7 +204,9 @@ function extractPricingInfo(text, pageNum) {
     knowledgeBase.pricing[item] = {
       price: parseFloat(price),
       pageReference: pageNum,
-      context: contextBefore
+      context: contextBefore,
+      offset: match.index - lastLine.length - (contextBefore.length - contextBefore.trimEnd().length),
+      length: match[0].trimEnd().length + lastLine.length + (contextBefore.length - contextBefore.trimEnd().length)
     };
   }
   
@@ -142,10 +214,13 @@ function extractPricingInfo(text, pageNum) {
   while ((match = pricingContextPattern.exec(text)) !== null) {
     const item = match[1].trim();
     const price = match[2];
+    const leadingSpace = match[1].length - match[1].trimStart().length;
     
     knowledgeBase.pricing[item] = {
       price: parseFloat(price),
-      pageReference: pageNum
+      pageReference: pageNum,
+      offset: match.index + leadingSpace,
+      length: match[0].length - leadingSpace
     };
   }
 }
@@ -165,15 +240,19 @@ function extractRestrictions(text, pageNum) {
   for (const keyword of restrictionKeywords) {
     if (text.toLowerCase().includes(keyword)) {
       // Get the sentence containing the keyword
-      const sentences = text.split(/[.!?]+/);
-      for (const sentence of sentences) {
+      const sentencePattern = /[^.!?]+/g;
+      let sentenceMatch;
+      while ((sentenceMatch = sentencePattern.exec(text)) !== null) {
+        const sentence = sentenceMatch[0];
         if (sentence.toLowerCase().includes(keyword)) {
           if (!knowledgeBase.restrictions[keyword]) {
             knowledgeBase.restrictions[keyword] = [];
           }
           knowledgeBase.restrictions[keyword].push({
             description: sentence.trim(),
-            pageReference: pageNum
+            pageReference: pageNum,
+            offset: sentenceMatch.index + (sentence.length - sentence.trimStart().length),
+            length: sentence.trim().length
           });
         }
       }
@@ -249,7 +328,11 @@ function generateFAQs() {
     knowledgeBase.faqs.push({
       question: `How many ${name} does Studio 338 have?`,
       answer: `Studio 338 has ${details.quantity} ${name}${details.specifications ? ` (${details.specifications})` : ''}.`,
-      category: 'EQUIPMENT'
+      category: 'EQUIPMENT',
+      subject: name,
+      page: details.pageReferences[0],
+      offset: details.offset,
+      length: details.length
     });
   });
   
@@ -259,7 +342,11 @@ function generateFAQs() {
       knowledgeBase.faqs.push({
         question: `How much does ${item} cost to hire?`,
         answer: `The cost for ${item} is £${details.price.toFixed(2)}${details.context ? ' based on the following information: ' + details.context : ''}.`,
-        category: 'PRICING'
+        category: 'PRICING',
+        subject: item,
+        page: details.pageReference,
+        offset: details.offset,
+        length: details.length
       });
     }
   });
@@ -270,114 +357,198 @@ function generateFAQs() {
       knowledgeBase.faqs.push({
         question: `What are the restrictions regarding ${keyword}?`,
         answer: entry.description,
-        category: 'RESTRICTIONS'
+        category: 'RESTRICTIONS',
+        page: entry.pageReference,
+        offset: entry.offset,
+        length: entry.length
       });
     });
   });
 }
 
 /**
- * Search the knowledge base for specific information
- * @param {string} query - Search query
- * @returns {Array} - Matching information
+ * Splits a page of text into passages of a few sentences each
+ * @param {string} pageText - Raw text of the page
+ * @returns {Array<{content: string, offset: number}>} - Passages with their offset in the page
  */
-export function searchKnowledgeBase(query) {
-  if (!knowledgeBase || Object.keys(knowledgeBase).length === 0) {
-    return [{ type: 'error', message: 'Knowledge base not loaded. Please load the PDF first.' }];
+function splitIntoPassages(pageText) {
+  const passages = [];
+  const sentencePattern = /[^.!?]+(?:[.!?]+|$)/g;
+  let sentences = [];
+  let match;
+
+  while ((match = sentencePattern.exec(pageText)) !== null) {
+    if (match[0].trim().length === 0) continue;
+    // Offsets point at the first non-space character, where the trimmed content starts
+    sentences.push({ text: match[0], offset: match.index + (match[0].length - match[0].trimStart().length) });
+    if (sentences.length === SENTENCES_PER_PASSAGE) {
+      passages.push({ content: sentences.map(s => s.text).join('').trim(), offset: sentences[0].offset });
+      sentences = [];
+    }
   }
-  
-  const results = [];
-  const queryLower = query.toLowerCase();
-  
-  // Search equipment
+  if (sentences.length > 0) {
+    passages.push({ content: sentences.map(s => s.text).join('').trim(), offset: sentences[0].offset });
+  }
+
+  return passages;
+}
+
+/**
+ * Build the ranked search index from the organized knowledge base
+ */
+function buildKnowledgeIndex() {
+  const documents = [];
+
   Object.entries(knowledgeBase.equipment).forEach(([name, details]) => {
-    if (name.toLowerCase().includes(queryLower)) {
-      results.push({
+    documents.push({
+      id: `equipment:${name}`,
+      text: `${details.quantity} x ${name}${details.specifications ? ` (${details.specifications})` : ''}`,
+      payload: {
         type: 'equipment',
         name: name,
         quantity: details.quantity,
         specifications: details.specifications,
-        pages: details.pageReferences
-      });
-    }
+        pages: details.pageReferences,
+        offset: details.offset,
+        length: details.length
+      }
+    });
   });
-  
-  // Search pricing
+
   Object.entries(knowledgeBase.pricing).forEach(([item, details]) => {
-    if (item.toLowerCase().includes(queryLower)) {
-      results.push({
+    if (item === "Unknown item") return;
+    documents.push({
+      id: `pricing:${item}`,
+      text: `${item} £${details.price.toFixed(2)}`,
+      payload: {
         type: 'pricing',
         item: item,
         price: details.price,
-        page: details.pageReference
-      });
-    }
-  });
-  
-  // Search specifications by category
-  Object.entries(knowledgeBase.specifications).forEach(([category, entries]) => {
-    entries.forEach(entry => {
-      if (entry.content.toLowerCase().includes(queryLower)) {
-        results.push({
-          type: 'specification',
-          category: category,
-          content: entry.content,
-          page: entry.pageReference
-        });
+        page: details.pageReference,
+        offset: details.offset,
+        length: details.length
       }
     });
   });
-  
-  // Search restrictions
+
+  // The same sentence is often filed under several restriction keywords
+  const seenRestrictions = new Set();
   Object.entries(knowledgeBase.restrictions).forEach(([keyword, entries]) => {
-    if (keyword.includes(queryLower)) {
-      entries.forEach(entry => {
-        results.push({
+    entries.forEach(entry => {
+      if (seenRestrictions.has(entry.description)) return;
+      seenRestrictions.add(entry.description);
+      documents.push({
+        id: `restriction:${documents.length}`,
+        text: entry.description,
+        payload: {
           type: 'restriction',
           keyword: keyword,
           description: entry.description,
-          page: entry.pageReference
-        });
+          page: entry.pageReference,
+          offset: entry.offset,
+          length: entry.length
+        }
       });
-    }
+    });
   });
-  
-  // Search FAQs
-  knowledgeBase.faqs.forEach(faq => {
-    if (faq.question.toLowerCase().includes(queryLower) || 
-        faq.answer.toLowerCase().includes(queryLower)) {
-      results.push({
+
+  (knowledgeBase.faqs || []).forEach((faq, i) => {
+    documents.push({
+      id: `faq:${i}`,
+      text: `${faq.question} ${faq.answer}`,
+      payload: {
         type: 'faq',
         question: faq.question,
         answer: faq.answer,
-        category: faq.category
-      });
-    }
+        category: faq.category,
+        subject: faq.subject,
+        page: faq.page,
+        offset: faq.offset,
+        length: faq.length
+      }
+    });
   });
-  
-  // If no structured results, search raw text
-  if (results.length === 0) {
-    Object.entries(knowledgeBase.raw).forEach(([page, content]) => {
-      if (content.toLowerCase().includes(queryLower)) {
-        // Extract the relevant paragraph containing the query
-        const paragraphs = content.split(/\n\s*\n/);
-        for (const paragraph of paragraphs) {
-          if (paragraph.toLowerCase().includes(queryLower)) {
-            results.push({
-              type: 'raw_text',
-              page: page.replace('page_', ''),
-              content: paragraph.trim()
-            });
-          }
+
+  // Raw pages are indexed as short passages rather than whole pages so that
+  // scores reflect the matching passage and snippets stay on topic. The
+  // category paragraphs in knowledgeBase.specifications are not indexed
+  // separately as they repeat this same page text.
+  Object.entries(knowledgeBase.raw).forEach(([page, content]) => {
+    const pageNum = Number(page.replace('page_', ''));
+    splitIntoPassages(content).forEach(passage => {
+      documents.push({
+        id: `${page}:${passage.offset}`,
+        text: passage.content,
+        payload: {
+          type: 'raw_text',
+          page: pageNum,
+          offset: passage.offset,
+          length: passage.content.length,
+          content: passage.content
         }
-      }
+      });
     });
+  });
+
+  searchIndex = buildSearchIndex(documents);
+}
+
+/**
+ * Search the knowledge base for specific information
+ * @param {string} query - Search query
+ * @param {object} [options] - Search options
+ * @param {number} [options.limit=10] - Maximum number of results
+ * @returns {Array} - Matching information, best match first. Each result
+ *   carries its type-specific fields plus `score`, `snippet` and `matchedTerms`.
+ */
+export function searchKnowledgeBase(query, { limit = 10 } = {}) {
+  if (!searchIndex) {
+    return [{ type: 'error', message: 'Knowledge base not loaded. Please load the PDF first.' }];
   }
-  
-  return results;
+
+  return search(searchIndex, query, { limit }).map(hit => ({
+    ...hit.payload,
+    score: hit.score,
+    snippet: hit.snippet,
+    matchedTerms: hit.matchedTerms
+  }));
+}
+
+/**
+ * The technical bible as loaded by pdf.js, for rendering its pages.
+ * Loads it if extraction hasn't run (or failed).
+ * @returns {Promise<object>} pdf.js document
+ */
+export async function getPdfDocument() {
+  if (!pdfDocument) {
+    pdfDocumentUrl = pdfDocumentUrl || TECHNICAL_BIBLE_URL;
+    pdfDocument = await pdfjs.getDocument(pdfDocumentUrl).promise;
+  }
+  return pdfDocument;
+}
+
+/**
+ * Extracted text of a page. Citation offsets index into this text.
+ * @param {number} pageNum - Page number, from 1
+ * @returns {string|null}
+ */
+export function getPageText(pageNum) {
+  return knowledgeBase.raw[`page_${pageNum}`] ?? null;
+}
+
+/**
+ * Equipment and prices extracted from the technical bible, e.g. for
+ * checking against the specifications
+ * @returns {{equipment: object, pricing: object}} By name, as extracted
+ */
+export function getExtractedEquipment() {
+  return { equipment: knowledgeBase.equipment, pricing: knowledgeBase.pricing };
 }
 
 export default {
   extractPdfContent,
-  searchKnowledgeBase
+  searchKnowledgeBase,
+  getPdfDocument,
+  getPageText,
+  getExtractedEquipment
 };
\ No newline at end of file
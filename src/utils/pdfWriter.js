@@ -0,0 +1,235 @@
+// Minimal PDF writer for generated documents such as quotes: text in the
+// standard Helvetica fonts, lines and filled rectangles on A4 pages. The
+// standard fonts need no embedding, so the file is plain ASCII and small.
+// Positions are in points from the top left of the page.
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Glyph widths (1/1000 em) of Helvetica and Helvetica-Bold for characters 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that the fonts' WinAnsi encoding has, with
+// their codes and widths (regular, bold)
+const WIN_ANSI_EXTRAS = {
+  '€': [0x80, 556, 556],
+  '‘': [0x91, 222, 278],
+  '’': [0x92, 222, 278],
+  '“': [0x93, 333, 500],
+  '”': [0x94, 333, 500],
+  '•': [0x95, 350, 350],
+  '–': [0x96, 556, 556],
+  '—': [0x97, 1000, 1000]
+};
+
+// Fallback for characters the encoding lacks
+const SUBSTITUTES = { '≈': '~', '…': '...', '\u202f': ' ', '\u2009': ' ' };
+
+/**
+ * Encodes text for the standard fonts: one byte per character
+ * @param {string} text
+ * @returns {number[]} WinAnsi codes; unknown characters become '?'
+ */
+function encodeWinAnsi(text) {
+  const codes = [];
+  [...String(text)].forEach(char => {
+    const substitute = SUBSTITUTES[char];
+    if (substitute) {
+      codes.push(...encodeWinAnsi(substitute));
+      return;
+    }
+    const code = char.charCodeAt(0);
+    if (WIN_ANSI_EXTRAS[char]) codes.push(WIN_ANSI_EXTRAS[char][0]);
+    else if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) codes.push(code);
+    else codes.push(63);
+  });
+  return codes;
+}
+
+function glyphWidth(code, bold) {
+  if (code >= 32 && code <= 126) return (bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS)[code - 32];
+  const extra = Object.values(WIN_ANSI_EXTRAS).find(([extraCode]) => extraCode === code);
+  if (extra) return bold ? extra[2] : extra[1];
+  return 556;
+}
+
+/**
+ * Width of text in points
+ * @param {string} text
+ * @param {number} size - Font size
+ * @param {boolean} [bold=false]
+ * @returns {number}
+ */
+export function measureText(text, size, bold = false) {
+  return encodeWinAnsi(text).reduce((width, code) => width + glyphWidth(code, bold), 0) * size / 1000;
+}
+
+/**
+ * Splits text into lines no wider than a width, breaking between words
+ * @param {string} text
+ * @param {number} width - In points
+ * @param {number} size - Font size
+ * @param {boolean} [bold=false]
+ * @returns {string[]}
+ */
+export function wrapText(text, width, size, bold = false) {
+  const lines = [];
+  String(text).split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && measureText(candidate, size, bold) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+// A literal string with anything outside printable ASCII written as octal
+function pdfString(text) {
+  return `(${encodeWinAnsi(text).map(code => {
+    if (code === 40 || code === 41 || code === 92) return `\\${String.fromCharCode(code)}`;
+    return code > 126 ? `\\${code.toString(8).padStart(3, '0')}` : String.fromCharCode(code);
+  }).join('')})`;
+}
+
+// Colours are given as hex, e.g. '#2c3e50'
+function pdfColor(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [value >> 16, (value >> 8) & 0xff, value & 0xff].map(channel => (channel / 255).toFixed(3)).join(' ');
+}
+
+function formatNumber(number) {
+  return Number(number.toFixed(2)).toString();
+}
+
+/**
+ * Starts a PDF document. Draw on the current page, add pages as needed and
+ * call toBlob() at the end.
+ * @param {object} [options]
+ * @param {string} [options.title] - Shown in the reader's title bar
+ * @param {{width: number, height: number}} [options.pageSize=A4]
+ * @returns {object} Document with drawing methods
+ */
+export function createPdfDocument({ title = '', pageSize = A4 } = {}) {
+  const pages = [[]];
+  const current = () => pages[pages.length - 1];
+  const y = top => formatNumber(pageSize.height - top);
+
+  return {
+    pageSize,
+
+    addPage() {
+      pages.push([]);
+    },
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    /**
+     * Writes a line of text with its baseline at `top`
+     * @param {string} text
+     * @param {number} left
+     * @param {number} top
+     * @param {object} [options]
+     * @param {number} [options.size=10]
+     * @param {boolean} [options.bold=false]
+     * @param {string} [options.color='#000000']
+     * @param {'left'|'right'|'center'} [options.align='left'] - Relative to `left`
+     */
+    text(text, left, top, { size = 10, bold = false, color = '#000000', align = 'left' } = {}) {
+      const width = measureText(text, size, bold);
+      const x = align === 'right' ? left - width : align === 'center' ? left - width / 2 : left;
+      current().push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${pdfColor(color)} rg ${formatNumber(x)} ${y(top)} Td ${pdfString(text)} Tj ET`);
+    },
+
+    /**
+     * Draws a straight line
+     */
+    line(x1, y1, x2, y2, { width = 0.5, color = '#000000' } = {}) {
+      current().push(`${formatNumber(width)} w ${pdfColor(color)} RG ${formatNumber(x1)} ${y(y1)} m ${formatNumber(x2)} ${y(y2)} l S`);
+    },
+
+    /**
+     * Fills a rectangle whose top left corner is at (left, top)
+     */
+    rect(left, top, width, height, { color = '#000000' } = {}) {
+      current().push(`${pdfColor(color)} rg ${formatNumber(left)} ${y(top + height)} ${formatNumber(width)} ${formatNumber(height)} re f`);
+    },
+
+    /**
+     * Serialises the document
+     * @returns {string} The PDF file's contents (ASCII)
+     */
+    toString() {
+      const objects = [];
+      const add = body => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalog = add(null);
+      const pageTree = add(null);
+      const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      const info = add(`<< /Title ${pdfString(title)} >>`);
+
+      const pageIds = pages.map(operations => {
+        const content = operations.join('\n');
+        const stream = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+        return add(
+          `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${formatNumber(pageSize.width)} ${formatNumber(pageSize.height)}] ` +
+          `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${stream} 0 R >>`
+        );
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+      objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      let output = '%PDF-1.4\n';
+      const offsets = objects.map((body, i) => {
+        const offset = output.length;
+        output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xref = output.length;
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return output;
+    },
+
+    /**
+     * @returns {Blob} The document as application/pdf
+     */
+    toBlob() {
+      return new Blob([this.toString()], { type: 'application/pdf' });
+    }
+  };
+}
+
+export default {
+  A4,
+  measureText,
+  wrapText,
+  createPdfDocument
+};
@@ -0,0 +1,112 @@
+import calendarFetcher from '../calendarFetcher';
+import { parseDateExpression, formatDisplayDate, formatDateRange } from '../dateParser';
+
+const EVENT_WORDS = /\b(event|events|on|happening|party|night|tickets|gig|club|playing|booked|open)\b/i;
+
+/**
+ * Formats an event as a one-line answer
+ * @param {object} event - Event from calendarFetcher
+ * @returns {string}
+ */
+function describeEvent(event) {
+  const details = [event.time && `Time: ${event.time}`, event.ticketsAvailable && 'Tickets available']
+    .filter(Boolean)
+    .join(', ');
+  return `${formatDisplayDate(event.date)}: ${event.title}.${event.description ? ` ${event.description}` : ''}${details ? ` (${details})` : ''}`;
+}
+
+/**
+ * Builds an event card block for the chat
+ * @param {object} event - Event from calendarFetcher
+ * @param {boolean} nearby - Whether the event is only near the date asked about
+ * @returns {object}
+ */
+function eventBlock(event, nearby) {
+  return {
+    type: 'event',
+    title: event.title,
+    date: event.date,
+    dateText: formatDisplayDate(event.date),
+    time: event.time,
+    ticketsAvailable: event.ticketsAvailable,
+    description: event.description,
+    url: event.url,
+    nearby
+  };
+}
+
+/**
+ * Reads the date or range a question is about. Follow-ups like "the
+ * Saturday after" are resolved against the date last discussed.
+ * @param {string} question
+ * @param {object} [conversation] - Conversation context
+ * @returns {object|null} - See parseDateExpression
+ */
+function parseQuestionDate(question, conversation) {
+  return parseDateExpression(question, { anchorDate: conversation?.lastDate || null });
+}
+
+/**
+ * Answers "what's on" questions from the Studio 338 calendar, for single
+ * days ("this Saturday", "May 31st") and ranges ("this weekend", "in June")
+ * @type {import('../answerPipeline').AnswerProvider}
+ */
+const calendarProvider = {
+  id: 'calendar',
+  label: 'Studio 338 calendar',
+
+  score(question, { conversation }) {
+    if (!parseQuestionDate(question, conversation)) return 0;
+    return EVENT_WORDS.test(question) ? 0.9 : 0.6;
+  },
+
+  async answer(question, { conversation }) {
+    const range = parseQuestionDate(question, conversation);
+    if (!range) return [];
+    const source = { type: 'calendar', date: range.start, endDate: range.end };
+
+    if (range.kind === 'range') {
+      const events = await calendarFetcher.getEventsInRange(range.start, range.end);
+      if (events.length === 0) {
+        return [{
+          text: `I couldn't find any events between ${formatDateRange(range)}.`,
+          confidence: 0.5,
+          topic: `events:${range.start}:${range.end}`,
+          source
+        }];
+      }
+      return [{
+        text: `${events.length} event${events.length === 1 ? '' : 's'} from ${formatDateRange(range)}:\n${events.map(describeEvent).join('\n')}`,
+        topic: `events:${range.start}:${range.end}`,
+        blocks: [
+          { type: 'text', text: `${events.length} event${events.length === 1 ? '' : 's'} from ${formatDateRange(range)}:` },
+          ...events.map(event => eventBlock(event, false))
+        ],
+        source
+      }];
+    }
+
+    const eventData = await calendarFetcher.getEventForDate(range.start);
+    if (!eventData || !eventData.found) {
+      return [{
+        text: `I couldn't find any events on ${formatDisplayDate(range.start)}.`,
+        confidence: 0.5,
+        topic: `events:${range.start}`,
+        source
+      }];
+    }
+
+    const events = eventData.exact ? [eventData.event] : eventData.events;
+    return events.map(event => ({
+      text: eventData.exact
+        ? describeEvent(event)
+        : `Nothing on ${formatDisplayDate(range.start)}, but nearby: ${describeEvent(event)}`,
+      confidence: eventData.exact ? undefined : 0.5,
+      topic: `event:${event.date}:${event.title}`,
+      blocks: [eventBlock(event, !eventData.exact)],
+      source
+    }));
+  }
+};
+
+export default calendarProvider;
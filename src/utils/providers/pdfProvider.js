@@ -0,0 +1,110 @@
+import { searchKnowledgeBase } from '../pdfProcessor';
+import { resolveSpecItems } from '../specQuery';
+
+// PDF hits are scored by BM25, which is unbounded; this maps a score onto
+// 0-1 and keeps the bible below an exact spec match
+const SCORE_HALF_POINT = 3;
+const MAX_CONFIDENCE = 0.75;
+// Name match needed before a PDF answer is treated as being about a spec item
+const TOPIC_MATCH_SCORE = 0.6;
+
+/**
+ * Works out which spec item a PDF hit is about, so the merger can drop it
+ * when the specifications answer the same thing
+ * @param {object} specManager
+ * @param {string} name - Equipment or pricing name from the PDF
+ * @param {string} fallback - Topic to use when no spec item matches
+ * @returns {string}
+ */
+function topicFor(specManager, name, fallback) {
+  if (specManager && name) {
+    const [match] = resolveSpecItems(specManager, name, { limit: 1 });
+    if (match && match.score >= TOPIC_MATCH_SCORE) return `item:${match.item.id}`;
+  }
+  return fallback;
+}
+
+/**
+ * Citation for a PDF hit: the page and the span of its text the answer came
+ * from, which the source viewer highlights
+ * @param {number} page
+ * @param {object} res - Result from searchKnowledgeBase
+ * @returns {object}
+ */
+function pdfSource(page, res) {
+  return page ? { type: 'pdf', page, offset: res.offset, length: res.length } : { type: 'pdf' };
+}
+
+/**
+ * Turns a ranked PDF search hit into an answer candidate
+ * @param {object} res - Result from searchKnowledgeBase
+ * @param {object} specManager
+ * @returns {object|null}
+ */
+function toCandidate(res, specManager) {
+  switch (res.type) {
+    case 'faq':
+      return {
+        text: `From the technical docs (FAQ): Q: ${res.question} A: ${res.answer}`,
+        topic: topicFor(specManager, res.subject, `pdf:faq:${res.question}`),
+        source: pdfSource(res.page, res)
+      };
+    case 'equipment':
+      return {
+        text: `Regarding ${res.name} (equipment): Quantity: ${res.quantity}, Specs: ${res.specifications || 'N/A'}.`,
+        topic: topicFor(specManager, res.name, `pdf:equipment:${res.name}`),
+        source: pdfSource(res.pages?.[0], res)
+      };
+    case 'pricing':
+      return {
+        text: `From the technical docs: ${res.item} costs £${res.price.toFixed(2)}.`,
+        topic: topicFor(specManager, res.item, `pdf:pricing:${res.item}`),
+        source: pdfSource(res.page, res)
+      };
+    case 'restriction':
+      return {
+        text: `Restriction from the technical docs: ${res.description}`,
+        topic: `pdf:restriction:${res.description}`,
+        source: pdfSource(res.page, res)
+      };
+    case 'raw_text':
+      return {
+        text: `From the technical docs: ${res.snippet}`,
+        topic: `pdf:page:${res.page}:${res.offset}`,
+        source: pdfSource(res.page, res)
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Answers from the ranked full-text index over the technical bible PDF
+ * @type {import('../answerPipeline').AnswerProvider}
+ */
+const pdfProvider = {
+  id: 'pdf',
+  label: 'Technical bible (PDF)',
+
+  score(question) {
+    const [best] = searchKnowledgeBase(question, { limit: 1 });
+    if (!best || best.type === 'error') return 0;
+    return MAX_CONFIDENCE * (best.score / (best.score + SCORE_HALF_POINT));
+  },
+
+  async answer(question, { specManager }) {
+    const results = searchKnowledgeBase(question, { limit: 3 });
+    if (results.length === 0 || results[0].type === 'error') return [];
+
+    const topScore = results[0].score;
+    const topConfidence = MAX_CONFIDENCE * (topScore / (topScore + SCORE_HALF_POINT));
+    return results
+      .map(res => {
+        const candidate = toCandidate(res, specManager);
+        return candidate && { ...candidate, confidence: topConfidence * (res.score / topScore) };
+      })
+      .filter(Boolean);
+  }
+};
+
+export default pdfProvider;
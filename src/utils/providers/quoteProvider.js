@@ -0,0 +1,145 @@
+import { parseQuoteIntent } from '../quoteIntent';
+import calendarFetcher from '../calendarFetcher';
+import {
+  getDraftQuote,
+  addToDraftQuote,
+  removeFromDraftQuote,
+  setDraftQuoteDate,
+  clearDraftQuote,
+  priceDraftQuote
+} from '../quoteDraft';
+import { formatDisplayDate } from '../dateParser';
+import { formatCost } from '../specQuery';
+import { describeDiscount, describeDuration } from '../quoteCalculator';
+
+const COMMAND_SCORE = 0.95;
+
+/**
+ * Describes the draft as text and as a quote summary block
+ * @param {object} draft - Draft quote
+ * @param {object} specManager
+ * @param {string} heading - What just happened, e.g. "Added 2 x Pioneer CDJ 3000."
+ * @returns {object} Answer candidate
+ */
+function draftAnswer(draft, specManager, heading) {
+  const priced = priceDraftQuote(draft, specManager);
+  const dateText = draft.eventDate ? ` for ${formatDisplayDate(draft.eventDate)}` : '';
+
+  const summary = priced.lines.length > 0
+    ? `Draft quote${dateText}: subtotal ${formatCost(priced.subtotal, priced.currency)}, VAT ${formatCost(priced.vat, priced.currency)}, total ${formatCost(priced.total, priced.currency)}.`
+    : 'The draft quote is empty.';
+  const unconverted = priced.unconvertedLines.length > 0
+    ? ` ${listItems(priced.unconvertedLines.map(line => ({ name: `${line.item.name} (${line.currency})` })))} ${priced.unconvertedLines.length === 1 ? 'is' : 'are'} not included: there is no exchange rate for ${priced.unconvertedLines.length === 1 ? 'its currency' : 'their currencies'}.`
+    : '';
+
+  return {
+    text: `${heading} ${summary}${unconverted}`.trim(),
+    confidence: COMMAND_SCORE,
+    topic: 'quote:draft',
+    // A command's reply replaces any other answers to the same message
+    exclusive: true,
+    blocks: [
+      ...(heading ? [{ type: 'text', text: heading }] : []),
+      {
+        type: 'quoteSummary',
+        eventDate: draft.eventDate,
+        lines: priced.lines.map(line => ({
+          itemId: line.item.id,
+          name: line.item.name,
+          quantity: line.quantity,
+          duration: describeDuration(line),
+          discount: describeDiscount(line),
+          unitPrice: line.unitPrice,
+          lineTotal: line.lineTotal,
+          currency: line.currency,
+          converted: line.amount !== null
+        })),
+        currency: priced.currency,
+        subtotal: priced.subtotal,
+        vat: priced.vat,
+        vatBreakdown: priced.vatBreakdown,
+        total: priced.total,
+        missingItemIds: priced.missingItemIds
+      }
+    ]
+  };
+}
+
+/**
+ * The calendar event on a date, whose opening hours price the quote's
+ * hourly lines
+ * @param {string|null} eventDate - YYYY-MM-DD
+ * @returns {Promise<object|null>}
+ */
+async function findEvent(eventDate) {
+  if (!eventDate) return null;
+  const eventData = await calendarFetcher.getEventForDate(eventDate);
+  return eventData && eventData.exact ? eventData.event : null;
+}
+
+/**
+ * Lists item additions or removals for the reply, e.g. "2 x Pioneer CDJ 3000"
+ */
+function listItems(items) {
+  return items.map(item => `${item.quantity ? `${item.quantity} x ` : ''}${item.name}`).join(', ');
+}
+
+/**
+ * Handles quote commands in the chat: "add 2 CDJ 3000 and a cherry picker
+ * for 14 June to a quote", "remove the cherry picker from the quote",
+ * "show the quote", "clear the quote". Changes go to the shared draft that
+ * the Equipment Budget tab opens.
+ * @type {import('../answerPipeline').AnswerProvider}
+ */
+const quoteProvider = {
+  id: 'quote',
+  label: 'Draft quote',
+
+  score(question, { specManager }) {
+    return parseQuoteIntent(question, specManager) ? COMMAND_SCORE : 0;
+  },
+
+  async answer(question, { specManager }) {
+    const intent = parseQuoteIntent(question, specManager);
+    if (!intent) return [];
+
+    const notFound = intent.unresolved.length > 0
+      ? ` I couldn't find ${intent.unresolved.map(text => `"${text}"`).join(', ')} in the specifications.`
+      : '';
+
+    // Only looked up when the command moves the quote to another date
+    const event = intent.eventDate && intent.eventDate !== getDraftQuote().eventDate
+      ? await findEvent(intent.eventDate)
+      : null;
+
+    switch (intent.action) {
+      case 'add': {
+        if (intent.items.length === 0) {
+          const draft = intent.eventDate ? setDraftQuoteDate(intent.eventDate, { event }) : getDraftQuote();
+          return [draftAnswer(draft, specManager, `Nothing added.${notFound}`)];
+        }
+        const draft = addToDraftQuote(intent.items, { eventDate: intent.eventDate, event });
+        return [draftAnswer(draft, specManager, `Added ${listItems(intent.items)}.${notFound}`)];
+      }
+      case 'remove': {
+        if (intent.items.length === 0) {
+          return [draftAnswer(getDraftQuote(), specManager, `Nothing removed.${notFound}`)];
+        }
+        const draft = removeFromDraftQuote(intent.items);
+        return [draftAnswer(draft, specManager, `Removed ${listItems(intent.items)}.${notFound}`)];
+      }
+      case 'clear':
+        return [draftAnswer(clearDraftQuote(), specManager, 'Started a new draft quote.')];
+      case 'date':
+        return [draftAnswer(
+          setDraftQuoteDate(intent.eventDate, { event }),
+          specManager,
+          `Quote date set to ${formatDisplayDate(intent.eventDate)}${event ? ` (${event.title})` : ''}.`
+        )];
+      default:
+        return [draftAnswer(getDraftQuote(), specManager, '')];
+    }
+  }
+};
+
+export default quoteProvider;
@@ -0,0 +1,120 @@
+import { answerSpecQuestion, resolveSpecItems, findItemsAtLocation, findItemsInCategory, getSpecFieldRows } from '../specQuery';
+
+// Confidence for "what's on the Terrace?" / "what lighting is there?" listings
+const LIST_SCORE = 0.7;
+
+/**
+ * Describes where an answer came from in the specifications
+ * @param {object} specManager
+ * @param {object} item
+ * @returns {object}
+ */
+function specSource(specManager, item) {
+  return {
+    type: 'spec',
+    itemId: item.id,
+    name: item.name,
+    version: specManager.specs?.metadata?.version
+  };
+}
+
+/**
+ * Finds a group of items the question asks to list, by location or category
+ * @param {object} specManager
+ * @param {string} question
+ * @returns {{title: string, topic: string, items: Array<object>}|null}
+ */
+function findItemListing(specManager, question) {
+  const atLocation = findItemsAtLocation(specManager, question);
+  if (atLocation) {
+    return {
+      title: `Equipment on the ${atLocation.location}`,
+      topic: `location:${atLocation.location}`,
+      items: atLocation.items
+    };
+  }
+
+  const inCategory = findItemsInCategory(specManager, question);
+  if (inCategory && inCategory.items.length > 0) {
+    return {
+      title: `Items listed under ${inCategory.title}`,
+      topic: `category:${inCategory.category}:${inCategory.subcategory || ''}`,
+      items: inCategory.items
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Answers questions about equipment, prices and restrictions from the
+ * current specifications. These are the maintained source of truth, so
+ * they outrank the PDF when both talk about the same item.
+ * @type {import('../answerPipeline').AnswerProvider}
+ */
+const specProvider = {
+  id: 'specifications',
+  label: 'Current specifications',
+
+  score(question, { specManager }) {
+    const [match] = resolveSpecItems(specManager, question, { limit: 1 });
+    if (match) return match.score;
+    if (findItemListing(specManager, question)) return LIST_SCORE;
+    // "How loud can we go?" names only a field, answered when one item has it
+    const fieldAnswer = answerSpecQuestion(specManager, question);
+    return fieldAnswer ? fieldAnswer.score : 0;
+  },
+
+  async answer(question, { specManager }) {
+    const specAnswer = answerSpecQuestion(specManager, question);
+
+    if (!specAnswer) {
+      const listing = findItemListing(specManager, question);
+      if (!listing) return [];
+
+      return [{
+        text: `${listing.title}: ${listing.items.map(item => `${item.quantity ?? ''} x ${item.name}`.replace(/^ x /, '')).join(', ')}.`,
+        confidence: LIST_SCORE,
+        topic: listing.topic,
+        blocks: [{
+          type: 'equipmentList',
+          title: listing.title,
+          items: listing.items.map(item => ({
+            id: item.id,
+            name: item.name,
+            quantity: item.quantity,
+            location: item.location
+          }))
+        }],
+        source: {
+          type: 'spec',
+          itemIds: listing.items.map(item => item.id),
+          name: listing.title,
+          version: specManager.specs?.metadata?.version
+        }
+      }];
+    }
+
+    const { item } = specAnswer;
+    return [{
+      text: specAnswer.answer,
+      // Field-specific answers are more useful than an item summary
+      confidence: specAnswer.score * (specAnswer.fields.length > 0 ? 1 : 0.85),
+      topic: `item:${item.id}`,
+      fields: specAnswer.fields,
+      blocks: [
+        { type: 'text', text: specAnswer.answer },
+        {
+          type: 'specTable',
+          title: item.name,
+          itemId: item.id,
+          rows: getSpecFieldRows(item),
+          highlight: specAnswer.fields
+        }
+      ],
+      source: specSource(specManager, item)
+    }];
+  }
+};
+
+export default specProvider;
@@ -0,0 +1,197 @@
+import quoteSettings from '../data/quoteSettings.json';
+import { toIsoDate } from './dateParser';
+
+// Pricing for quotes built in the budget calculator or from the chat.
+// Quotes are totalled in the venue's currency with VAT at the rate in force
+// on the event date, both set in data/quoteSettings.json; items priced in
+// another currency are converted at the configured exchange rates.
+
+// Currency quotes are totalled in
+export const QUOTE_CURRENCY = quoteSettings.currency;
+
+// How an item is charged, worked out from its costUnit. A line's duration
+// is counted in durationUnit; flat fees don't depend on how long the hire is.
+export const PRICING_UNITS = {
+  day: { label: 'per day', durationUnit: 'days' },
+  hour: { label: 'per hour', durationUnit: 'hours' },
+  personHour: { label: 'per hour per person', durationUnit: 'hours' },
+  flat: { label: 'flat fee', durationUnit: null }
+};
+
+/**
+ * Unit price of a specification item
+ * @param {object} item - Specification item
+ * @returns {number}
+ */
+export function getUnitPrice(item) {
+  return item.hireFee || item.cost || 0;
+}
+
+/**
+ * How an item is charged. Equipment without a costUnit is hired by the day.
+ * @param {object} item - Specification item
+ * @returns {'day'|'hour'|'personHour'|'flat'} Key of PRICING_UNITS
+ */
+export function getPricingUnit(item) {
+  const costUnit = (item.costUnit || '').toLowerCase();
+  if (!costUnit) return 'day';
+  if (/\bhour|\bhr\b/.test(costUnit)) {
+    return /person|people|staff|member|head|operator|technician/.test(costUnit) ? 'personHour' : 'hour';
+  }
+  if (/\bday|\bnight/.test(costUnit)) return 'day';
+  return 'flat';
+}
+
+/**
+ * Duration a line is priced for when none has been entered: hourly items
+ * cover the event's opening hours, day hire is for one day
+ * @param {object} item - Specification item
+ * @param {object} [options]
+ * @param {number|null} [options.eventHours] - Length of the event, from its time range
+ * @returns {number|null} Null for flat fees
+ */
+export function getDefaultDuration(item, { eventHours = null } = {}) {
+  const unit = getPricingUnit(item);
+  if (unit === 'flat') return null;
+  if (unit === 'day') return 1;
+  return eventHours || 1;
+}
+
+/**
+ * Standard VAT rate in force on a date
+ * @param {string} [date] - YYYY-MM-DD; defaults to today
+ * @returns {number} e.g. 0.2
+ */
+export function getVatRate(date = toIsoDate(new Date())) {
+  // ISO dates compare as strings
+  const applicable = quoteSettings.vatRates
+    .filter(entry => entry.effectiveFrom <= date)
+    .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+  return (applicable[0] || quoteSettings.vatRates[0]).rate;
+}
+
+/**
+ * Converts an amount into the quote currency
+ * @param {number} amount
+ * @param {string} currency - ISO code, e.g. 'EUR'
+ * @returns {number|null} Null if there's no exchange rate for the currency
+ */
+export function convertToQuoteCurrency(amount, currency) {
+  if (currency === QUOTE_CURRENCY) return amount;
+  const rate = quoteSettings.exchangeRates.rates[currency];
+  return typeof rate === 'number' ? amount * rate : null;
+}
+
+/**
+ * Prices a set of quote lines. Each line is taxed at the standard rate
+ * unless its item has `vatApplicable: false`.
+ * @param {Array<{item: object, quantity: number, duration?: number|null, discount?: number}>} lines - Items, how many of
+ *   each and for how long in the item's durationUnit; without a duration getDefaultDuration is used.
+ *   discount is the fraction taken off the line, e.g. 0.1 for a package's 10% off
+ * @param {object} [options]
+ * @param {number|null} [options.eventHours] - Length of the event, for hourly lines' default duration
+ * @param {string} [options.date] - Event date (YYYY-MM-DD) the VAT rate is taken from; defaults to today
+ * @returns {{
+ *   lines: Array<{item: object, quantity: number, duration: number|null, pricingUnit: string, currency: string,
+ *     unitPrice: number, discount: number, lineTotal: number, amount: number|null, vatRate: number, vat: number}>,
+ *   subtotal: number, vat: number, total: number, currency: string,
+ *   vatBreakdown: Array<{rate: number, net: number, vat: number}>,
+ *   unconvertedLines: Array<object>
+ * }} unitPrice and lineTotal are in the item's currency, lineTotal after any
+ *   discount, and `amount` is the line total in the quote currency. Lines that can't be converted have a
+ *   null amount, are left out of the totals and listed in unconvertedLines.
+ */
+export function calculateQuoteTotals(lines, { eventHours = null, date } = {}) {
+  const standardRate = getVatRate(date || undefined);
+  const pricedLines = lines.map(({ item, quantity, duration = null, discount = 0 }) => {
+    const pricingUnit = getPricingUnit(item);
+    const currency = item.currency || QUOTE_CURRENCY;
+    const unitPrice = getUnitPrice(item);
+    const hireDuration = pricingUnit === 'flat' ? null : duration || getDefaultDuration(item, { eventHours });
+    const lineTotal = unitPrice * quantity * (hireDuration === null ? 1 : hireDuration) * (1 - discount);
+    const amount = convertToQuoteCurrency(lineTotal, currency);
+    const vatRate = item.vatApplicable === false ? 0 : standardRate;
+    return {
+      item,
+      quantity,
+      duration: hireDuration,
+      pricingUnit,
+      currency,
+      unitPrice,
+      discount,
+      lineTotal,
+      amount,
+      vatRate,
+      vat: amount === null ? 0 : amount * vatRate
+    };
+  });
+
+  const totalledLines = pricedLines.filter(line => line.amount !== null);
+  const vatBreakdown = [];
+  totalledLines.forEach(line => {
+    let entry = vatBreakdown.find(candidate => candidate.rate === line.vatRate);
+    if (!entry) {
+      entry = { rate: line.vatRate, net: 0, vat: 0 };
+      vatBreakdown.push(entry);
+    }
+    entry.net += line.amount;
+    entry.vat += line.vat;
+  });
+  vatBreakdown.sort((a, b) => b.rate - a.rate);
+
+  const subtotal = totalledLines.reduce((sum, line) => sum + line.amount, 0);
+  const vat = vatBreakdown.reduce((sum, entry) => sum + entry.vat, 0);
+
+  return {
+    lines: pricedLines,
+    subtotal,
+    vat,
+    total: subtotal + vat,
+    currency: QUOTE_CURRENCY,
+    vatBreakdown,
+    unconvertedLines: pricedLines.filter(line => line.amount === null)
+  };
+}
+
+/**
+ * Describes a VAT rate, e.g. "VAT at 20%", "No VAT"
+ * @param {number} rate
+ * @returns {string}
+ */
+export function describeVatRate(rate) {
+  return rate === 0 ? 'No VAT' : `VAT at ${Math.round(rate * 1000) / 10}%`;
+}
+
+/**
+ * Describes a line's discount, e.g. "10% package discount"
+ * @param {object} line - Line from calculateQuoteTotals
+ * @returns {string} Empty if the line isn't discounted
+ */
+export function describeDiscount(line) {
+  return line.discount ? `${Math.round(line.discount * 1000) / 10}% package discount` : '';
+}
+
+/**
+ * Describes how long a priced line is for, e.g. "6 hours", "1 day"
+ * @param {object} line - Line from calculateQuoteTotals
+ * @returns {string} Empty for flat fees
+ */
+export function describeDuration(line) {
+  if (line.duration === null) return '';
+  const unit = PRICING_UNITS[line.pricingUnit].durationUnit;
+  return `${line.duration} ${line.duration === 1 ? unit.slice(0, -1) : unit}`;
+}
+
+export default {
+  QUOTE_CURRENCY,
+  PRICING_UNITS,
+  getUnitPrice,
+  getPricingUnit,
+  getDefaultDuration,
+  getVatRate,
+  convertToQuoteCurrency,
+  calculateQuoteTotals,
+  describeVatRate,
+  describeDiscount,
+  describeDuration
+};
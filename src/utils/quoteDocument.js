@@ -0,0 +1,246 @@
+import quoteSettings from '../data/quoteSettings.json';
+import { PRICING_UNITS, describeDiscount, describeDuration, describeVatRate } from './quoteCalculator';
+import { formatCost } from './specQuery';
+import { formatDisplayDate, fromIsoDate, toIsoDate } from './dateParser';
+import { logDebug } from './debug';
+import { STORES, getItem, setItem } from './storage';
+import { createPdfDocument, wrapText } from './pdfWriter';
+
+// Quote documents sent to clients. A priced quote is turned into a document
+// with everything already formatted, which is rendered both as the
+// printable page in the app and as a PDF, so the two always match.
+
+// Where the quote number sequence is kept, alongside the saved quotes
+export const QUOTE_SEQUENCE_KEY = 'numberSequence';
+
+// Numbers are issued one at a time so two quotes never get the same one
+let issuing = Promise.resolve();
+
+/**
+ * Issues the next quote number, e.g. "S338-2026-0042". Numbers run in
+ * sequence through each year.
+ * @param {Date} [date] - Issue date
+ * @returns {Promise<string>}
+ */
+export function nextQuoteNumber(date = new Date()) {
+  const issued = issuing.then(async () => {
+    const year = date.getFullYear();
+    const stored = await getItem(STORES.QUOTES, QUOTE_SEQUENCE_KEY);
+    const sequence = { year, last: (stored && stored.year === year ? stored.last : 0) + 1 };
+    if (!(await setItem(STORES.QUOTES, QUOTE_SEQUENCE_KEY, sequence))) {
+      logDebug('QuoteDocument', 'Error saving quote number sequence');
+    }
+    return `${quoteSettings.quotes.numberPrefix}-${year}-${String(sequence.last).padStart(4, '0')}`;
+  });
+  issuing = issued.catch(() => {});
+  return issued;
+}
+
+function formatPercent(rate) {
+  return `${Math.round(rate * 1000) / 10}%`;
+}
+
+function addDays(isoDate, days) {
+  const date = fromIsoDate(isoDate);
+  date.setDate(date.getDate() + days);
+  return toIsoDate(date);
+}
+
+/**
+ * Builds a quote document from a priced quote
+ * @param {object} details
+ * @param {object} details.priced - From calculateQuoteTotals or priceDraftQuote
+ * @param {string} details.quoteNumber - From nextQuoteNumber
+ * @param {string} [details.issuedOn] - YYYY-MM-DD; defaults to today
+ * @param {string} [details.eventDate] - YYYY-MM-DD
+ * @param {object|null} [details.event] - Selected calendar or custom event
+ * @param {{name: string, email: string}} [details.client]
+ * @returns {object} Document for QuoteDocument and renderQuotePdf; amounts are formatted text
+ */
+export function buildQuoteDocument({ priced, quoteNumber, issuedOn = toIsoDate(new Date()), eventDate = '', event = null, client = {} }) {
+  const { currency } = priced;
+  return {
+    number: quoteNumber,
+    issuedOn: formatDisplayDate(issuedOn),
+    validUntil: formatDisplayDate(addDays(issuedOn, quoteSettings.quotes.validForDays)),
+    venue: quoteSettings.venue,
+    client: { name: client.name || '', email: client.email || '' },
+    event: {
+      title: event && event.title ? event.title : '',
+      date: eventDate ? formatDisplayDate(eventDate) : '',
+      time: event && event.time ? event.time : '',
+      description: event && event.description ? event.description : ''
+    },
+    lines: priced.lines.map(line => ({
+      itemId: line.item.id,
+      description: line.item.name,
+      unit: PRICING_UNITS[line.pricingUnit].label,
+      quantity: String(line.quantity),
+      duration: describeDuration(line),
+      unitPrice: formatCost(line.unitPrice, line.currency),
+      discount: describeDiscount(line),
+      vatRate: formatPercent(line.vatRate),
+      amount: formatCost(line.lineTotal, line.currency),
+      // Lines in another currency also show what they come to in the quote currency
+      converted: line.currency === currency ? '' : line.amount === null
+        ? 'not included: no exchange rate'
+        : `${formatCost(line.amount, currency)} converted`
+    })),
+    subtotal: formatCost(priced.subtotal, currency),
+    vatBreakdown: priced.vatBreakdown.map(entry => ({
+      label: `${describeVatRate(entry.rate)} on ${formatCost(entry.net, currency)}`,
+      vat: formatCost(entry.vat, currency)
+    })),
+    total: formatCost(priced.total, currency),
+    terms: quoteSettings.quotes.terms
+  };
+}
+
+// Page layout for the PDF, in points
+const MARGIN = 50;
+const COLUMNS = { description: 50, quantity: 300, duration: 312, unitPrice: 440, vat: 480, amount: 545 };
+const DESCRIPTION_WIDTH = 210;
+const ACCENT = '#2c3e50';
+const MUTED = '#666666';
+
+/**
+ * Renders a quote document as a PDF
+ * @param {object} quote - From buildQuoteDocument
+ * @returns {Blob}
+ */
+export function renderQuotePdf(quote) {
+  const pdf = createPdfDocument({ title: `Quote ${quote.number}` });
+  const { width: pageWidth, height: pageHeight } = pdf.pageSize;
+  const right = pageWidth - MARGIN;
+  let top = MARGIN;
+
+  const footer = () => {
+    const parts = [quote.venue.name, `Quote ${quote.number}`];
+    if (quote.venue.vatNumber) parts.push(`VAT no. ${quote.venue.vatNumber}`);
+    pdf.text(parts.join(' • '), pageWidth / 2, pageHeight - 30, { size: 8, color: MUTED, align: 'center' });
+  };
+
+  const tableHeader = () => {
+    pdf.rect(MARGIN, top, right - MARGIN, 20, { color: '#ecf0f1' });
+    const y = top + 13;
+    pdf.text('Description', COLUMNS.description + 4, y, { size: 9, bold: true });
+    pdf.text('Qty', COLUMNS.quantity, y, { size: 9, bold: true, align: 'right' });
+    pdf.text('Duration', COLUMNS.duration, y, { size: 9, bold: true });
+    pdf.text('Unit price', COLUMNS.unitPrice, y, { size: 9, bold: true, align: 'right' });
+    pdf.text('VAT', COLUMNS.vat, y, { size: 9, bold: true, align: 'right' });
+    pdf.text('Amount', COLUMNS.amount - 4, y, { size: 9, bold: true, align: 'right' });
+    top += 32;
+  };
+
+  // Starts a new page if the next block won't fit above the footer
+  const ensureSpace = (height, { repeatTableHeader = false } = {}) => {
+    if (top + height <= pageHeight - 60) return;
+    footer();
+    pdf.addPage();
+    top = MARGIN;
+    if (repeatTableHeader) tableHeader();
+  };
+
+  // Venue and quote reference
+  pdf.text(quote.venue.name, MARGIN, top + 14, { size: 20, bold: true, color: ACCENT });
+  pdf.text('QUOTE', right, top + 14, { size: 18, bold: true, color: ACCENT, align: 'right' });
+  let venueTop = top + 32;
+  [...quote.venue.addressLines, quote.venue.phone, quote.venue.email].filter(Boolean).forEach(line => {
+    pdf.text(line, MARGIN, venueTop, { size: 9, color: MUTED });
+    venueTop += 12;
+  });
+  let referenceTop = top + 32;
+  [`Quote no. ${quote.number}`, `Issued ${quote.issuedOn}`, `Valid until ${quote.validUntil}`].forEach(line => {
+    pdf.text(line, right, referenceTop, { size: 9, align: 'right' });
+    referenceTop += 12;
+  });
+  top = Math.max(venueTop, referenceTop) + 8;
+  pdf.line(MARGIN, top, right, top, { width: 1, color: ACCENT });
+  top += 22;
+
+  // Client and event
+  const clientLines = [quote.client.name, quote.client.email].filter(Boolean);
+  const eventLines = [quote.event.title, quote.event.date, quote.event.time].filter(Boolean);
+  pdf.text('Client', MARGIN, top, { size: 9, bold: true, color: MUTED });
+  pdf.text('Event', pageWidth / 2, top, { size: 9, bold: true, color: MUTED });
+  top += 14;
+  const rows = Math.max(clientLines.length, eventLines.length, 1);
+  for (let i = 0; i < rows; i++) {
+    if (clientLines[i]) pdf.text(clientLines[i], MARGIN, top + i * 13, { bold: i === 0 });
+    if (eventLines[i]) pdf.text(eventLines[i], pageWidth / 2, top + i * 13, { bold: i === 0 });
+  }
+  if (clientLines.length === 0) pdf.text('(not given)', MARGIN, top, { color: MUTED });
+  top += rows * 13;
+  if (quote.event.description) {
+    wrapText(quote.event.description, right - pageWidth / 2, 9).forEach(line => {
+      pdf.text(line, pageWidth / 2, top, { size: 9, color: MUTED });
+      top += 11;
+    });
+  }
+  top += 16;
+
+  // Lines
+  tableHeader();
+  quote.lines.forEach(line => {
+    const descriptionLines = wrapText(line.description, DESCRIPTION_WIDTH, 10);
+    const notes = [line.unit, line.discount, line.converted].filter(Boolean);
+    ensureSpace(descriptionLines.length * 12 + notes.length * 10 + 8, { repeatTableHeader: true });
+
+    pdf.text(line.quantity, COLUMNS.quantity, top, { align: 'right' });
+    pdf.text(line.duration || '–', COLUMNS.duration, top);
+    pdf.text(line.unitPrice, COLUMNS.unitPrice, top, { align: 'right' });
+    pdf.text(line.vatRate, COLUMNS.vat, top, { align: 'right' });
+    pdf.text(line.amount, COLUMNS.amount - 4, top, { align: 'right' });
+    descriptionLines.forEach(text => {
+      pdf.text(text, COLUMNS.description + 4, top);
+      top += 12;
+    });
+    notes.forEach(text => {
+      pdf.text(text, COLUMNS.description + 4, top - 2, { size: 8, color: MUTED });
+      top += 10;
+    });
+    top += 4;
+    pdf.line(MARGIN, top - 8, right, top - 8, { color: '#dddddd' });
+  });
+
+  // Totals
+  ensureSpace(30 + quote.vatBreakdown.length * 14);
+  top += 6;
+  const totalRow = (label, value, { bold = false } = {}) => {
+    pdf.text(label, COLUMNS.unitPrice, top, { align: 'right', bold });
+    pdf.text(value, COLUMNS.amount - 4, top, { align: 'right', bold });
+    top += 15;
+  };
+  totalRow('Subtotal', quote.subtotal);
+  quote.vatBreakdown.forEach(entry => totalRow(entry.label, entry.vat));
+  pdf.line(COLUMNS.duration, top - 10, right, top - 10, { color: ACCENT });
+  top += 3;
+  totalRow('Total', quote.total, { bold: true });
+
+  // Terms
+  if (quote.terms.length > 0) {
+    top += 14;
+    ensureSpace(30);
+    pdf.text('Terms', MARGIN, top, { size: 10, bold: true, color: ACCENT });
+    top += 14;
+    quote.terms.forEach(term => {
+      const termLines = wrapText(term, right - MARGIN - 12, 8.5);
+      ensureSpace(termLines.length * 11);
+      pdf.text('•', MARGIN, top, { size: 8.5, color: MUTED });
+      termLines.forEach(text => {
+        pdf.text(text, MARGIN + 12, top, { size: 8.5, color: MUTED });
+        top += 11;
+      });
+      top += 2;
+    });
+  }
+
+  footer();
+  return pdf.toBlob();
+}
+
+export default {
+  nextQuoteNumber,
+  buildQuoteDocument,
+  renderQuotePdf
+};
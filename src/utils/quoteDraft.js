@@ -0,0 +1,176 @@
+import { logDebug } from './debug';
+import { calculateQuoteTotals } from './quoteCalculator';
+import { getTimeRangeHours } from './dateParser';
+
+const QUOTE_DRAFT_KEY = 'quoteDraft';
+
+// Components interested in the draft (the budget calculator) subscribe here
+// so changes made from the chat show up without a reload
+const listeners = new Set();
+
+// confirmedQuoteId is set once the quote has been confirmed and its items
+// reserved (see reservations.js). event is the calendar event the quote is
+// for and eventHours its length; hourly lines without a duration of their
+// own are priced for it. quoteNumber is issued the first time the quote
+// document is produced, and savedQuoteId links the draft to the saved quote
+// it was saved as or opened from (see savedQuotes.js).
+function emptyDraft() {
+  return {
+    eventDate: '',
+    event: null,
+    eventHours: null,
+    lines: [],
+    client: { name: '', email: '' },
+    quoteNumber: null,
+    savedQuoteId: null,
+    confirmedQuoteId: null,
+    updatedAt: null
+  };
+}
+
+/**
+ * Reads the current draft quote from localStorage.
+ * @returns {{eventDate: string, event: object|null, eventHours: number|null,
+ *   lines: Array<{itemId: string, quantity: number, duration: number|null, discount?: number}>,
+ *   client: {name: string, email: string}, quoteNumber: string|null, savedQuoteId: string|null, confirmedQuoteId: string|null, updatedAt: string|null}}
+ *   A line's duration is in its item's pricing unit (days or hours); null uses the default.
+ *   discount is the fraction taken off the line, set when it came from a package template
+ */
+export function getDraftQuote() {
+  try {
+    const stored = localStorage.getItem(QUOTE_DRAFT_KEY);
+    return stored ? { ...emptyDraft(), ...JSON.parse(stored) } : emptyDraft();
+  } catch (error) {
+    logDebug('QuoteDraft', 'Error reading draft quote from localStorage:', error);
+    return emptyDraft();
+  }
+}
+
+/**
+ * Saves the draft quote and notifies subscribers.
+ * @param {object} draft - Draft as returned by getDraftQuote
+ * @param {object} [options]
+ * @param {boolean} [options.silent=false] - Don't notify subscribers (used by the subscriber that made the change)
+ * @returns {object} The saved draft
+ */
+export function saveDraftQuote(draft, { silent = false } = {}) {
+  const saved = {
+    ...draft,
+    lines: draft.lines.filter(line => line.quantity > 0),
+    updatedAt: new Date().toISOString()
+  };
+  try {
+    localStorage.setItem(QUOTE_DRAFT_KEY, JSON.stringify(saved));
+  } catch (error) {
+    logDebug('QuoteDraft', 'Error saving draft quote to localStorage:', error);
+  }
+  if (!silent) listeners.forEach(listener => listener(saved));
+  return saved;
+}
+
+// Moves the draft to another date. The event and its hours belonged to the
+// old date; a calendar event on the new one sets them again, as picking it
+// in the budget calculator does.
+function changeDate(draft, eventDate, event) {
+  if (!eventDate || eventDate === draft.eventDate) return draft;
+  return { ...draft, eventDate, event: event || null, eventHours: event ? getTimeRangeHours(event.time) : null };
+}
+
+/**
+ * Adds items to the draft, increasing quantities of items already on it.
+ * A discounted addition to a line already on the draft averages the two
+ * discounts over the quantities, so the line total is what the two would
+ * come to separately. A duration replaces the line's own.
+ * @param {Array<{itemId: string, quantity: number, duration?: number|null, discount?: number}>} additions
+ * @param {object} [options]
+ * @param {string} [options.eventDate] - YYYY-MM-DD to set as the quote's event date
+ * @param {object|null} [options.event] - Calendar event on that date
+ * @returns {object} The updated draft
+ */
+export function addToDraftQuote(additions, { eventDate, event = null } = {}) {
+  const draft = changeDate(getDraftQuote(), eventDate, event);
+  additions.forEach(({ itemId, quantity, duration = null, discount = 0 }) => {
+    const existing = draft.lines.find(line => line.itemId === itemId);
+    if (!existing) {
+      draft.lines.push({ itemId, quantity, duration, discount });
+      return;
+    }
+    existing.discount = ((existing.discount || 0) * existing.quantity + discount * quantity) / (existing.quantity + quantity);
+    existing.quantity += quantity;
+    if (duration) existing.duration = duration;
+  });
+  return saveDraftQuote(draft);
+}
+
+/**
+ * Removes items from the draft. Without a quantity the whole line goes.
+ * @param {Array<{itemId: string, quantity: number|null}>} removals
+ * @returns {object} The updated draft
+ */
+export function removeFromDraftQuote(removals) {
+  const draft = getDraftQuote();
+  removals.forEach(({ itemId, quantity }) => {
+    const existing = draft.lines.find(line => line.itemId === itemId);
+    if (!existing) return;
+    existing.quantity = quantity ? Math.max(0, existing.quantity - quantity) : 0;
+  });
+  return saveDraftQuote(draft);
+}
+
+/**
+ * Sets the draft's event date.
+ * @param {string} eventDate - YYYY-MM-DD
+ * @param {object} [options]
+ * @param {object|null} [options.event] - Calendar event on that date
+ * @returns {object} The updated draft
+ */
+export function setDraftQuoteDate(eventDate, { event = null } = {}) {
+  return saveDraftQuote(changeDate(getDraftQuote(), eventDate, event));
+}
+
+/**
+ * Empties the draft.
+ * @returns {object} The empty draft
+ */
+export function clearDraftQuote() {
+  return saveDraftQuote(emptyDraft());
+}
+
+/**
+ * Prices the draft against the current specifications. Lines whose item
+ * has been removed from the specifications are listed separately.
+ * @param {object} draft - Draft as returned by getDraftQuote
+ * @param {SpecificationManager} specManager
+ * @returns {object} calculateQuoteTotals result plus `missingItemIds`
+ */
+export function priceDraftQuote(draft, specManager) {
+  const lines = [];
+  const missingItemIds = [];
+  draft.lines.forEach(({ itemId, quantity, duration = null, discount = 0 }) => {
+    const item = specManager.getItemById(itemId);
+    if (item) lines.push({ item, quantity, duration, discount });
+    else missingItemIds.push(itemId);
+  });
+  return { ...calculateQuoteTotals(lines, { eventHours: draft.eventHours, date: draft.eventDate }), missingItemIds };
+}
+
+/**
+ * Subscribes to draft changes.
+ * @param {function(object): void} listener - Called with the saved draft
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeToDraftQuote(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export default {
+  getDraftQuote,
+  saveDraftQuote,
+  addToDraftQuote,
+  removeFromDraftQuote,
+  setDraftQuoteDate,
+  clearDraftQuote,
+  priceDraftQuote,
+  subscribeToDraftQuote
+};
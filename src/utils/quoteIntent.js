@@ -0,0 +1,168 @@
+import { resolveSpecItems } from './specQuery';
+import { parseDateExpression } from './dateParser';
+import { PRICING_UNITS, getPricingUnit } from './quoteCalculator';
+
+const QUOTE_WORDS = /\b(quote|quotation|budget)\b/i;
+// "what's the budget for lighting" is a question, "show my budget" is about the draft
+const DRAFT_WORDS = /\b(quote|quotation|draft|my budget|our budget)\b/i;
+const ADD_COMMAND = /^\s*(?:please\s+|can you\s+|could you\s+)?(?:add|include|put|book)\b/i;
+const REMOVE_COMMAND = /\b(remove|delete|take off|take out|drop)\b/i;
+// Only as a command: "show me the new quote" and "is the budget empty?" mustn't wipe the draft
+const CLEAR_COMMAND = /^\s*(?:please\s+)?(?:clear|reset|empty|start (?:over|a new)|new)\b.*\b(?:quote|quotation|budget)\b/i;
+const QUESTION = /\?\s*$/;
+const SHOW_COMMAND = /\b(show|view|see|what'?s|what is|how much is|total|summary)\b/i;
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, single: 1, two: 2, pair: 2, couple: 2, three: 3, four: 4,
+  five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12
+};
+
+// "2 CDJ 3000", "a pair of CDJs", "6 x Mac 250", "one cherry picker"
+const QUANTITY_PREFIX = new RegExp(`^(\\d+|${Object.keys(NUMBER_WORDS).join('|')})\\s+(?:of\\s+|x\\s+)?(?:the\\s+)?(.+)$`, 'i');
+
+const DURATION_AMOUNT = `(\\d+(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).join('|')})`;
+const DURATION_UNIT = '(hours?|hrs?|days?)';
+// "4 door staff for 6 hours", "a cherry picker for 3 days"
+const DURATION_SUFFIX = new RegExp(`\\s+for\\s+${DURATION_AMOUNT}\\s+${DURATION_UNIT}$`, 'i');
+// "10 hours of door staff"
+const DURATION_PREFIX = new RegExp(`^${DURATION_AMOUNT}\\s+${DURATION_UNIT}\\s+of\\s+(.+)$`, 'i');
+
+// An item name must match at least this well to be put on a quote
+const ITEM_MATCH_SCORE = 0.5;
+
+function readNumber(text) {
+  return Number(text) || NUMBER_WORDS[text.toLowerCase()];
+}
+
+/**
+ * Takes "for 6 hours" or "10 hours of" off an item's text
+ * @param {string} part - One item's text, e.g. "4 door staff for 6 hours"
+ * @returns {{text: string, duration: {amount: number, unit: 'hours'|'days'}|null}}
+ */
+function extractDuration(part) {
+  const readUnit = unit => (/^h/i.test(unit) ? 'hours' : 'days');
+  const suffix = part.match(DURATION_SUFFIX);
+  if (suffix) {
+    return { text: part.slice(0, suffix.index), duration: { amount: readNumber(suffix[1]), unit: readUnit(suffix[2]) } };
+  }
+  const prefix = part.match(DURATION_PREFIX);
+  if (prefix) {
+    return { text: prefix[3], duration: { amount: readNumber(prefix[1]), unit: readUnit(prefix[2]) } };
+  }
+  return { text: part, duration: null };
+}
+
+/**
+ * A requested duration in the item's own duration unit. Day hire asked for
+ * in hours is charged for the days it spans; hourly items asked for in days
+ * and flat fees keep their default.
+ * @param {object} item - Specification item
+ * @param {{amount: number, unit: string}|null} duration
+ * @returns {number|null}
+ */
+function toLineDuration(item, duration) {
+  if (!duration) return null;
+  const { durationUnit } = PRICING_UNITS[getPricingUnit(item)];
+  if (durationUnit === duration.unit) return duration.amount;
+  return durationUnit === 'days' ? Math.ceil(duration.amount / 24) : null;
+}
+
+/**
+ * Splits "2 CDJ 3000 and a cherry picker for 3 days" into quantity/name
+ * pairs, with any duration, and resolves each name to a specification item
+ * @param {string} text - Item list text
+ * @param {SpecificationManager} specManager
+ * @returns {{items: Array<{itemId: string, name: string, quantity: number|null, duration: number|null}>, unresolved: string[]}}
+ *   duration is in the item's duration unit (see PRICING_UNITS)
+ */
+function parseItemList(text, specManager) {
+  const items = [];
+  const unresolved = [];
+
+  text.split(/\s*(?:,|\band\b|&|\bplus\b)\s*/i)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .forEach(part => {
+      const { text: itemText, duration } = extractDuration(part);
+      const quantityMatch = itemText.match(QUANTITY_PREFIX);
+      const quantity = quantityMatch ? readNumber(quantityMatch[1]) : null;
+      const name = quantityMatch ? quantityMatch[2] : itemText;
+
+      const [match] = resolveSpecItems(specManager, name, { limit: 1 });
+      if (match && match.score >= ITEM_MATCH_SCORE) {
+        items.push({ itemId: match.item.id, name: match.item.name, quantity, duration: toLineDuration(match.item, duration) });
+      } else {
+        unresolved.push(part);
+      }
+    });
+
+  return { items, unresolved };
+}
+
+/**
+ * Strips the command, quote wording and date from a request, leaving the items
+ * @param {string} text
+ * @param {object|null} date - Parsed date, whose phrase is removed
+ * @returns {string}
+ */
+function extractItemText(text, date) {
+  let itemText = text;
+  if (date) itemText = itemText.replace(date.phrase, ' ');
+  return itemText
+    .replace(/^\s*(?:please\s+|can you\s+|could you\s+)?(?:add|include|put|book|remove|delete|take off|take out|drop)\b/i, ' ')
+    .replace(/\b(?:to|on|onto|from|off|in|into)\s+(?:a|the|my|our|this)?\s*(?:draft\s+)?(?:quote|quotation|budget)\b/gi, ' ')
+    .replace(/\b(?:for|on)\s*$/i, ' ')
+    .replace(/[?.!]+\s*$/, '')
+    .trim();
+}
+
+/**
+ * Works out whether a chat message is a quote command, and what it asks for.
+ * @param {string} text - The user's message
+ * @param {SpecificationManager} specManager
+ * @returns {{action: 'add'|'remove'|'clear'|'show'|'date', items: Array, unresolved: string[], eventDate: string|null}|null}
+ *   null when the message isn't about a quote
+ */
+export function parseQuoteIntent(text, specManager) {
+  const mentionsQuote = QUOTE_WORDS.test(text);
+  const isAdd = ADD_COMMAND.test(text);
+  if (!mentionsQuote && !isAdd) return null;
+
+  const date = parseDateExpression(text);
+  const eventDate = date ? date.start : null;
+
+  if (CLEAR_COMMAND.test(text) && !QUESTION.test(text) && !isAdd) {
+    return { action: 'clear', items: [], unresolved: [], eventDate };
+  }
+
+  if (REMOVE_COMMAND.test(text) && mentionsQuote) {
+    const { items, unresolved } = parseItemList(extractItemText(text, date), specManager);
+    return { action: 'remove', items, unresolved, eventDate: null };
+  }
+
+  if (isAdd) {
+    const { items, unresolved } = parseItemList(extractItemText(text, date), specManager);
+    // "add a cherry picker" without mentioning a quote only counts if it names gear
+    if (!mentionsQuote && items.length === 0) return null;
+    return {
+      action: 'add',
+      items: items.map(item => ({ ...item, quantity: item.quantity || 1 })),
+      unresolved,
+      eventDate
+    };
+  }
+
+  if (eventDate && /\b(date|for)\b/i.test(text)) {
+    return { action: 'date', items: [], unresolved: [], eventDate };
+  }
+
+  if (SHOW_COMMAND.test(text) && DRAFT_WORDS.test(text)) {
+    return { action: 'show', items: [], unresolved: [], eventDate: null };
+  }
+
+  return null;
+}
+
+export default {
+  parseQuoteIntent
+};
@@ -0,0 +1,180 @@
+import { resolveSpecItems } from './specQuery';
+
+// Reconciliation between the technical bible and the specifications: the
+// PDF's "N x Item" equipment lines and prices are matched to spec items by
+// name, and anything the two disagree on, or that only one of them has, is
+// reported with the PDF page so whoever maintains the out of date one can
+// fix it.
+
+// Names are matched more strictly than questions in chat: a wrong match
+// here reports a mismatch that isn't there
+const MIN_RECONCILE_SCORE = 0.6;
+
+// Prices the extractor couldn't attach to a description
+const UNKNOWN_PRICE_ITEM = 'Unknown item';
+
+/**
+ * Best spec item for a name from the PDF
+ * @returns {{item: object, category: string, subcategory: string, score: number}|null}
+ */
+function matchSpecItem(specManager, name) {
+  const [best] = resolveSpecItems(specManager, name, { limit: 1 });
+  return best && best.score >= MIN_RECONCILE_SCORE ? best : null;
+}
+
+function pdfSource(page, offset, length) {
+  return { type: 'pdf', page, offset, length };
+}
+
+/**
+ * Which document is probably behind: the PDF if it shows a value the item
+ * used to have, otherwise there's no telling
+ * @param {object} item - Spec item
+ * @param {string} field - 'quantity' or 'cost'
+ * @param {number} pdfValue
+ * @returns {'pdf'|null}
+ */
+function guessOutOfDate(item, field, pdfValue) {
+  const previous = Array.isArray(item.previousVersions) ? item.previousVersions : [];
+  return previous.some(version => version[field] === pdfValue) ? 'pdf' : null;
+}
+
+function mismatch(entry, field, specValue, pdf) {
+  const { item, category, subcategory } = entry;
+  return {
+    itemId: item.id,
+    name: item.name,
+    category,
+    subcategory,
+    field,
+    specValue,
+    pdfValue: pdf.value,
+    pdfName: pdf.name,
+    page: pdf.page,
+    source: pdf.source,
+    lastUpdated: item.lastUpdated || null,
+    likelyOutOfDate: typeof specValue === 'number' ? guessOutOfDate(item, field, pdf.value) : 'specifications'
+  };
+}
+
+/**
+ * Compares the equipment and prices extracted from the technical bible with
+ * the specifications.
+ * @param {SpecificationManager} specManager - Loaded specification manager
+ * @param {object} extracted - From getExtractedEquipment in pdfProcessor
+ * @param {object} extracted.equipment - Quantities by name, from "N x Item" lines
+ * @param {object} extracted.pricing - Prices by description
+ * @returns {{
+ *   specsVersion: string|null,
+ *   quantityMismatches: Array<object>,
+ *   priceMismatches: Array<object>,
+ *   pdfOnly: Array<{kind: 'equipment'|'price', name: string, value: number, page: number, source: object}>,
+ *   specsOnly: Array<{itemId: string, name: string, category: string, subcategory: string, lastUpdated: string|null}>,
+ *   agreed: Array<{itemId: string, name: string, fields: string[]}>
+ * }} Mismatches have the spec and PDF values, the PDF page and which
+ *   document is likelyOutOfDate ('pdf', 'specifications' or null if unclear).
+ *   An item's PDF quantity is the total over every name that resolves to it.
+ */
+export function buildReconciliationReport(specManager, { equipment = {}, pricing = {} } = {}) {
+  const quantityMismatches = [];
+  const priceMismatches = [];
+  const pdfOnly = [];
+  const agreed = new Map();
+  const seen = new Set();
+  const byPage = (a, b) => a.page - b.page;
+
+  const agree = (entry, field) => {
+    const fields = agreed.get(entry.item.id) || { itemId: entry.item.id, name: entry.item.name, fields: [] };
+    if (!fields.fields.includes(field)) fields.fields.push(field);
+    agreed.set(entry.item.id, fields);
+  };
+
+  // Several names in the PDF can resolve to the same item, e.g. one room's
+  // "Pioneer CDJ-3000" and another's "CDJ 3000s", so quantities are added up
+  // per item before comparing
+  const counted = new Map();
+  Object.entries(equipment).forEach(([name, details]) => {
+    const pdf = {
+      name,
+      value: details.quantity,
+      page: details.pageReferences[0],
+      source: pdfSource(details.pageReferences[0], details.offset, details.length)
+    };
+    const entry = matchSpecItem(specManager, name);
+    if (!entry) {
+      pdfOnly.push({ kind: 'equipment', ...pdf });
+      return;
+    }
+    seen.add(entry.item.id);
+    const count = counted.get(entry.item.id) || { entry, lines: [] };
+    count.lines.push(pdf);
+    counted.set(entry.item.id, count);
+  });
+
+  counted.forEach(({ entry, lines }) => {
+    const [first] = lines.sort(byPage);
+    const pdf = {
+      ...first,
+      name: lines.length === 1 ? first.name : lines.map(line => `${line.value} × ${line.name}`).join(' + '),
+      value: lines.reduce((sum, line) => sum + line.value, 0)
+    };
+    if (entry.item.quantity === pdf.value) agree(entry, 'quantity');
+    else quantityMismatches.push(mismatch(entry, 'quantity', entry.item.quantity ?? null, pdf));
+  });
+
+  Object.entries(pricing).forEach(([name, details]) => {
+    if (name === UNKNOWN_PRICE_ITEM) return;
+    const pdf = {
+      name,
+      value: details.price,
+      page: details.pageReference,
+      source: pdfSource(details.pageReference, details.offset, details.length)
+    };
+    const entry = matchSpecItem(specManager, name);
+
+    // The extractor can record one price under more than one description
+    const key = `cost:${entry ? entry.item.id : name}:${pdf.page}:${pdf.value}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    if (!entry) {
+      pdfOnly.push({ kind: 'price', ...pdf });
+      return;
+    }
+    seen.add(entry.item.id);
+
+    if (entry.item.cost === pdf.value) agree(entry, 'cost');
+    else priceMismatches.push(mismatch(entry, 'cost', entry.item.cost ?? null, pdf));
+  });
+
+  // An item whose price differs under one PDF description doesn't agree
+  // because it matches under another
+  const mismatched = new Set(priceMismatches.map(row => row.itemId));
+  const agreedItems = [...agreed.values()]
+    .map(entry => ({ ...entry, fields: entry.fields.filter(field => field !== 'cost' || !mismatched.has(entry.itemId)) }))
+    .filter(entry => entry.fields.length > 0);
+
+  // Only items with a quantity or price could have been found in the PDF
+  const specsOnly = specManager.getAllItems()
+    .filter(({ item }) => !seen.has(item.id) && (typeof item.quantity === 'number' || typeof item.cost === 'number'))
+    .map(({ item, category, subcategory }) => ({
+      itemId: item.id,
+      name: item.name,
+      category,
+      subcategory,
+      lastUpdated: item.lastUpdated || null
+    }));
+
+  return {
+    specsVersion: specManager.specs?.metadata?.version || null,
+    quantityMismatches: quantityMismatches.sort(byPage),
+    priceMismatches: priceMismatches.sort(byPage),
+    pdfOnly: pdfOnly.sort(byPage),
+    specsOnly,
+    agreed: agreedItems
+  };
+}
+
+export default {
+  buildReconciliationReport
+};
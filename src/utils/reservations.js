@@ -0,0 +1,143 @@
+import { logDebug } from './debug';
+import { STORES, getItem, setItem, removeItem, getAllKeys } from './storage';
+
+// Ledger of equipment held by confirmed quotes, one entry per event date
+// holding that day's reservations. An item's quantity in the
+// specifications is how many the venue has; what's left on a date is that
+// less everything reserved on it.
+
+// Components showing availability subscribe here so a confirmation
+// anywhere updates them
+const listeners = new Set();
+
+function notify(date) {
+  listeners.forEach(listener => listener(date));
+}
+
+/**
+ * Reservations on a date.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Array<{quoteId: string, label: string, lines: Array<{itemId: string, quantity: number}>, confirmedAt: string}>>}
+ */
+export async function getReservations(date) {
+  if (!date) return [];
+  return (await getItem(STORES.RESERVATIONS, date)) || [];
+}
+
+async function saveReservations(date, reservations) {
+  if (reservations.length === 0) await removeItem(STORES.RESERVATIONS, date);
+  else await setItem(STORES.RESERVATIONS, date, reservations);
+}
+
+/**
+ * Removes a quote's reservations from every date.
+ * @param {string} quoteId
+ * @param {object} [options]
+ * @param {boolean} [options.silent=false] - Don't notify subscribers
+ * @returns {Promise<string[]>} Dates the quote was released from
+ */
+export async function releaseQuote(quoteId, { silent = false } = {}) {
+  const released = [];
+  for (const date of await getAllKeys(STORES.RESERVATIONS)) {
+    const reservations = await getReservations(date);
+    const remaining = reservations.filter(reservation => reservation.quoteId !== quoteId);
+    if (remaining.length === reservations.length) continue;
+    await saveReservations(date, remaining);
+    released.push(date);
+  }
+  if (!silent) released.forEach(notify);
+  return released;
+}
+
+/**
+ * Holds a confirmed quote's items on its event date, replacing any
+ * reservation it already had (on that date or another).
+ * @param {object} quote
+ * @param {string} quote.quoteId
+ * @param {string} quote.label - Shown to whoever else tries to book the items
+ * @param {string} quote.eventDate - YYYY-MM-DD
+ * @param {Array<{itemId: string, quantity: number}>} quote.lines
+ * @returns {Promise<object>} The reservation
+ * @throws {Error} If the quote has no event date or no items
+ */
+export async function reserveQuote({ quoteId, label, eventDate, lines }) {
+  if (!eventDate) throw new Error('A quote needs an event date before it can be confirmed');
+  const heldLines = lines.filter(line => line.quantity > 0).map(({ itemId, quantity }) => ({ itemId, quantity }));
+  if (heldLines.length === 0) throw new Error('A quote needs at least one item before it can be confirmed');
+
+  const releasedFrom = await releaseQuote(quoteId, { silent: true });
+  const reservation = { quoteId, label, lines: heldLines, confirmedAt: new Date().toISOString() };
+  await saveReservations(eventDate, [...await getReservations(eventDate), reservation]);
+  logDebug('Reservations', `Reserved ${heldLines.length} line(s) for ${label} on ${eventDate}`);
+
+  new Set([...releasedFrom, eventDate]).forEach(notify);
+  return reservation;
+}
+
+/**
+ * How many of each item are left on a date. Items without a quantity in
+ * the specifications (e.g. services) are not limited and not listed.
+ * @param {string} date - YYYY-MM-DD
+ * @param {SpecificationManager} specManager
+ * @param {object} [options]
+ * @param {string} [options.excludeQuoteId] - Leave out this quote's own reservation, e.g. when editing it
+ * @returns {Promise<Object<string, {total: number, reserved: number, available: number, holds: Array<{quoteId: string, label: string, quantity: number}>}>>} By item id
+ */
+export async function getAvailability(date, specManager, { excludeQuoteId = null } = {}) {
+  const availability = {};
+  specManager.getAllItems().forEach(({ item }) => {
+    if (typeof item.quantity !== 'number') return;
+    availability[item.id] = { total: item.quantity, reserved: 0, available: item.quantity, holds: [] };
+  });
+
+  (await getReservations(date))
+    .filter(reservation => reservation.quoteId !== excludeQuoteId)
+    .forEach(reservation => {
+      reservation.lines.forEach(({ itemId, quantity }) => {
+        const entry = availability[itemId];
+        if (!entry) return;
+        entry.reserved += quantity;
+        entry.available = entry.total - entry.reserved;
+        entry.holds.push({ quoteId: reservation.quoteId, label: reservation.label, quantity });
+      });
+    });
+
+  return availability;
+}
+
+/**
+ * Lines asking for more than is left.
+ * @param {Array<{itemId: string, quantity: number}>} lines
+ * @param {object} availability - From getAvailability
+ * @returns {Array<{itemId: string, requested: number, available: number, total: number, holds: Array<object>}>}
+ */
+export function findOverbookings(lines, availability) {
+  return lines
+    .filter(({ itemId, quantity }) => availability[itemId] && quantity > availability[itemId].available)
+    .map(({ itemId, quantity }) => ({
+      itemId,
+      requested: quantity,
+      available: Math.max(0, availability[itemId].available),
+      total: availability[itemId].total,
+      holds: availability[itemId].holds
+    }));
+}
+
+/**
+ * Subscribes to reservation changes.
+ * @param {function(string): void} listener - Called with the date that changed
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeToReservations(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export default {
+  getReservations,
+  reserveQuote,
+  releaseQuote,
+  getAvailability,
+  findOverbookings,
+  subscribeToReservations
+};
@@ -0,0 +1,374 @@
+import { logDebug } from './debug';
+import { STORES, getItem, setItem, getAllKeys } from './storage';
+import { describeDuration } from './quoteCalculator';
+import { nextQuoteNumber, QUOTE_SEQUENCE_KEY } from './quoteDocument';
+import { reserveQuote, releaseQuote, getAvailability, findOverbookings } from './reservations';
+import { getDraftQuote, saveDraftQuote } from './quoteDraft';
+
+// Quotes saved from the budget calculator, kept with every revision. Until
+// its latest revision has been sent, saving a quote updates that revision;
+// after that, the next save starts a new revision and the quote keeps its
+// status. Accepted quotes hold their equipment (see reservations.js), as
+// long as it's free on the day; moving a quote to any other status releases it.
+
+export const QUOTE_STATUSES = [
+  { value: 'draft', label: 'Draft' },
+  { value: 'sent', label: 'Sent' },
+  { value: 'accepted', label: 'Accepted' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+
+// Components listing quotes subscribe here so a save anywhere updates them
+const listeners = new Set();
+
+function notify(quote) {
+  listeners.forEach(listener => listener(quote));
+}
+
+/**
+ * What a revision records of the draft: enough to reopen it, and the
+ * prices it was quoted at
+ * @param {object} draft - From getDraftQuote
+ * @param {object} priced - From priceDraftQuote
+ * @returns {object}
+ */
+function snapshotDraft(draft, priced) {
+  return {
+    eventDate: draft.eventDate,
+    eventHours: draft.eventHours,
+    event: draft.event || null,
+    client: { name: draft.client?.name || '', email: draft.client?.email || '' },
+    lines: draft.lines.map(({ itemId, quantity, duration = null, discount = 0 }) => ({ itemId, quantity, duration, discount })),
+    pricedLines: priced.lines.map(line => ({
+      itemId: line.item.id,
+      name: line.item.name,
+      quantity: line.quantity,
+      duration: describeDuration(line),
+      unitPrice: line.unitPrice,
+      discount: line.discount,
+      currency: line.currency,
+      lineTotal: line.lineTotal
+    })),
+    totals: { subtotal: priced.subtotal, vat: priced.vat, total: priced.total, currency: priced.currency }
+  };
+}
+
+function newQuoteId() {
+  return `saved-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Revisions are compared on what the client sees
+function sameContent(a, b) {
+  const key = ({ eventDate, event, client, pricedLines, totals }) =>
+    JSON.stringify({ eventDate, eventTitle: event?.title || '', client, pricedLines, totals });
+  return key(a) === key(b);
+}
+
+/**
+ * All saved quotes, soonest event first; quotes without a date come last
+ * @returns {Promise<Array<object>>}
+ */
+export async function listSavedQuotes() {
+  const quotes = [];
+  for (const id of await getAllKeys(STORES.QUOTES)) {
+    if (id === QUOTE_SEQUENCE_KEY) continue;
+    const quote = await getItem(STORES.QUOTES, id);
+    if (quote) quotes.push(quote);
+  }
+  return quotes.sort((a, b) =>
+    (a.eventDate || '9999').localeCompare(b.eventDate || '9999') || a.number.localeCompare(b.number)
+  );
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export async function getSavedQuote(id) {
+  return id ? getItem(STORES.QUOTES, id) : null;
+}
+
+/**
+ * Latest revision of a saved quote
+ * @param {object} quote
+ * @returns {object}
+ */
+export function getLatestRevision(quote) {
+  return quote.revisions[quote.revisions.length - 1];
+}
+
+/**
+ * Whether the draft differs from the saved quote's latest revision
+ * @param {object|null} quote - Saved quote
+ * @param {object} draft - From getDraftQuote
+ * @param {object} priced - From priceDraftQuote
+ * @returns {boolean}
+ */
+export function hasUnsavedChanges(quote, draft, priced) {
+  return !quote || !sameContent(getLatestRevision(quote), snapshotDraft(draft, priced));
+}
+
+// Keeps the draft's reservation in step when it's the quote being changed
+function linkDraftReservation(quoteId, reservationId) {
+  const draft = getDraftQuote();
+  if (draft.savedQuoteId === quoteId && draft.confirmedQuoteId !== reservationId) {
+    saveDraftQuote({ ...draft, confirmedQuoteId: reservationId });
+  }
+}
+
+/**
+ * Reserves an accepted quote's equipment as its latest revision lists it
+ * @param {object} quote
+ * @param {SpecificationManager} specManager - For the stock the reservation is checked against
+ * @returns {Promise<string>} Reservation id (quoteId in reservations.js)
+ * @throws {Error} If the quote has no event date or items, or other
+ *   reservations leave too few of an item
+ */
+async function reserveAcceptedQuote(quote, specManager) {
+  if (!specManager) throw new Error(`Equipment for ${quote.number} can't be checked until the specifications have loaded`);
+  const { lines, pricedLines } = getLatestRevision(quote);
+  if (quote.eventDate) {
+    const availability = await getAvailability(quote.eventDate, specManager, { excludeQuoteId: quote.reservationId });
+    const overbookings = findOverbookings(lines, availability);
+    if (overbookings.length > 0) {
+      const names = overbookings.map(({ itemId, requested, available }) =>
+        `${pricedLines.find(line => line.itemId === itemId)?.name || itemId} (${requested} requested, ${available} left)`);
+      throw new Error(`${quote.number} would overbook ${quote.eventDate}: ${names.join(', ')}`);
+    }
+  }
+
+  const reservationId = quote.reservationId || `quote-${Date.now().toString(36)}`;
+  await reserveQuote({
+    quoteId: reservationId,
+    label: quote.eventTitle ? `${quote.number} (${quote.eventTitle})` : quote.number,
+    eventDate: quote.eventDate,
+    lines
+  });
+  linkDraftReservation(quote.id, reservationId);
+  return reservationId;
+}
+
+async function storeQuote(quote) {
+  await setItem(STORES.QUOTES, quote.id, quote);
+  notify(quote);
+  return quote;
+}
+
+/**
+ * Saves the draft quote: as a new saved quote if it hasn't been saved,
+ * otherwise into the saved quote it came from.
+ * @param {object} draft - From getDraftQuote; its savedQuoteId and quoteNumber are used if set
+ * @param {object} priced - From priceDraftQuote
+ * @param {object} [options]
+ * @param {string} [options.note] - Why this revision was made, e.g. 'Client asked for 2 more CDJs'
+ * @param {SpecificationManager} [options.specManager] - Needed to save changes to an accepted quote
+ * @returns {Promise<{quote: object, revision: number, created: boolean}>}
+ *   `created` is true when a new quote or revision was started
+ * @throws {Error} If the saved quote has been cancelled, or is accepted and
+ *   its equipment can't be reserved as changed
+ */
+export async function saveQuote(draft, priced, { note = '', specManager = null } = {}) {
+  const now = new Date().toISOString();
+  const snapshot = snapshotDraft(draft, priced);
+  const existing = await getSavedQuote(draft.savedQuoteId);
+
+  if (!existing) {
+    const number = draft.quoteNumber || await nextQuoteNumber();
+    const quote = {
+      id: newQuoteId(),
+      number,
+      status: 'draft',
+      eventDate: snapshot.eventDate,
+      eventTitle: snapshot.event?.title || '',
+      clientName: snapshot.client.name,
+      reservationId: draft.confirmedQuoteId || null,
+      createdAt: now,
+      updatedAt: now,
+      revisions: [{ revision: 1, savedAt: now, sentAt: null, note, ...snapshot }]
+    };
+    logDebug('SavedQuotes', `Saved quote ${number}`);
+    return { quote: await storeQuote(quote), revision: 1, created: true };
+  }
+
+  if (existing.status === 'cancelled') {
+    throw new Error(`Quote ${existing.number} has been cancelled. Duplicate it to quote again.`);
+  }
+
+  const latest = getLatestRevision(existing);
+  const summary = {
+    eventDate: snapshot.eventDate,
+    eventTitle: snapshot.event?.title || '',
+    clientName: snapshot.client.name,
+    reservationId: draft.confirmedQuoteId || existing.reservationId || null,
+    updatedAt: now
+  };
+  if (sameContent(latest, snapshot)) {
+    return { quote: await storeQuote({ ...existing, ...summary, updatedAt: existing.updatedAt }), revision: latest.revision, created: false };
+  }
+
+  // What was sent stays as it was sent
+  const created = Boolean(latest.sentAt);
+  const revision = created
+    ? { revision: latest.revision + 1, savedAt: now, sentAt: null, note, ...snapshot }
+    : { ...latest, ...snapshot, savedAt: now, note: note || latest.note };
+  const quote = { ...existing, ...summary, revisions: [...existing.revisions.slice(0, created ? undefined : -1), revision] };
+  if (created) logDebug('SavedQuotes', `Quote ${existing.number} revised to r${revision.revision}`);
+  // An accepted quote's reservation follows its changes
+  if (quote.status === 'accepted') {
+    quote.reservationId = await reserveAcceptedQuote(quote, specManager);
+  }
+  return { quote: await storeQuote(quote), revision: revision.revision, created };
+}
+
+/**
+ * Moves a saved quote to another status. Marking it sent (or accepted)
+ * records when its latest revision went out; accepting it reserves its
+ * equipment and any other status releases it.
+ * @param {string} id
+ * @param {string} status - One of QUOTE_STATUSES
+ * @param {object} [options]
+ * @param {SpecificationManager} [options.specManager] - Needed to accept a quote, to check its equipment is free
+ * @returns {Promise<object>} The updated quote
+ * @throws {Error} If there's no such quote or status, or an accepted quote's
+ *   equipment can't be reserved (no event date or items, or overbooked)
+ */
+export async function setQuoteStatus(id, status, { specManager = null } = {}) {
+  if (!QUOTE_STATUSES.some(entry => entry.value === status)) throw new Error(`Unknown quote status "${status}"`);
+  const quote = await getSavedQuote(id);
+  if (!quote) throw new Error('The quote no longer exists');
+
+  const now = new Date().toISOString();
+  let { revisions, reservationId } = quote;
+  if ((status === 'sent' || status === 'accepted') && !getLatestRevision(quote).sentAt) {
+    revisions = [...revisions.slice(0, -1), { ...getLatestRevision(quote), sentAt: now }];
+  }
+  if (status === 'accepted') {
+    reservationId = await reserveAcceptedQuote(quote, specManager);
+  } else if (reservationId) {
+    await releaseQuote(reservationId);
+    linkDraftReservation(quote.id, null);
+    reservationId = null;
+  }
+  return storeQuote({ ...quote, status, revisions, reservationId, updatedAt: now });
+}
+
+/**
+ * Records the reservation holding a saved quote's equipment, so cancelling
+ * the quote can release it
+ * @param {string} id
+ * @param {string|null} reservationId - Quote id passed to reserveQuote; null once released
+ * @returns {Promise<object|null>} The updated quote, or null if there's no such quote
+ */
+export async function setQuoteReservation(id, reservationId) {
+  const quote = await getSavedQuote(id);
+  if (!quote || quote.reservationId === reservationId) return quote;
+  return storeQuote({ ...quote, reservationId });
+}
+
+/**
+ * Copies a quote's latest revision into a new draft quote with its own
+ * number, e.g. to quote the same setup for another event
+ * @param {string} id
+ * @returns {Promise<object>} The new quote
+ * @throws {Error} If there's no such quote
+ */
+export async function duplicateQuote(id) {
+  const original = await getSavedQuote(id);
+  if (!original) throw new Error('The quote no longer exists');
+
+  const now = new Date().toISOString();
+  const latest = getLatestRevision(original);
+  const quote = {
+    ...original,
+    id: newQuoteId(),
+    number: await nextQuoteNumber(),
+    status: 'draft',
+    reservationId: null,
+    createdAt: now,
+    updatedAt: now,
+    revisions: [{ ...latest, revision: 1, savedAt: now, sentAt: null, note: `Copied from ${original.number} r${latest.revision}` }]
+  };
+  return storeQuote(quote);
+}
+
+/**
+ * The draft that reopens a saved quote's revision in the budget calculator
+ * @param {object} quote
+ * @param {number} [revisionNumber] - Defaults to the latest
+ * @returns {object} Draft for saveDraftQuote
+ */
+export function draftFromSavedQuote(quote, revisionNumber) {
+  const revision = quote.revisions.find(entry => entry.revision === revisionNumber) || getLatestRevision(quote);
+  return {
+    eventDate: revision.eventDate,
+    eventHours: revision.eventHours,
+    event: revision.event,
+    lines: revision.lines,
+    client: revision.client,
+    quoteNumber: quote.number,
+    savedQuoteId: quote.id,
+    confirmedQuoteId: quote.reservationId
+  };
+}
+
+/**
+ * What changed between two revisions of a quote
+ * @param {object} quote
+ * @param {number} fromRevision
+ * @param {number} toRevision
+ * @returns {{
+ *   details: Array<{field: string, before: string, after: string}>,
+ *   lines: Array<{itemId: string, name: string, change: 'added'|'removed'|'changed', before: object|null, after: object|null}>,
+ *   totals: {before: object, after: object}
+ * }}
+ */
+export function compareRevisions(quote, fromRevision, toRevision) {
+  const from = quote.revisions.find(entry => entry.revision === fromRevision);
+  const to = quote.revisions.find(entry => entry.revision === toRevision);
+  if (!from || !to) throw new Error('No such revision');
+
+  const details = [
+    { field: 'Event date', before: from.eventDate, after: to.eventDate },
+    { field: 'Event', before: from.event?.title || '', after: to.event?.title || '' },
+    { field: 'Client', before: from.client.name, after: to.client.name },
+    { field: 'Client email', before: from.client.email, after: to.client.email }
+  ].filter(entry => entry.before !== entry.after);
+
+  const lines = [];
+  const lineKey = line => JSON.stringify([line.quantity, line.duration, line.unitPrice, line.discount || 0, line.currency, line.lineTotal]);
+  from.pricedLines.forEach(before => {
+    const after = to.pricedLines.find(line => line.itemId === before.itemId);
+    if (!after) lines.push({ itemId: before.itemId, name: before.name, change: 'removed', before, after: null });
+    else if (lineKey(before) !== lineKey(after)) lines.push({ itemId: before.itemId, name: after.name, change: 'changed', before, after });
+  });
+  to.pricedLines
+    .filter(after => !from.pricedLines.some(line => line.itemId === after.itemId))
+    .forEach(after => lines.push({ itemId: after.itemId, name: after.name, change: 'added', before: null, after }));
+
+  return { details, lines, totals: { before: from.totals, after: to.totals } };
+}
+
+/**
+ * Subscribes to saved quote changes.
+ * @param {function(object): void} listener - Called with the quote that changed
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeToSavedQuotes(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export default {
+  QUOTE_STATUSES,
+  listSavedQuotes,
+  getSavedQuote,
+  getLatestRevision,
+  hasUnsavedChanges,
+  saveQuote,
+  setQuoteStatus,
+  setQuoteReservation,
+  duplicateQuote,
+  draftFromSavedQuote,
+  compareRevisions,
+  subscribeToSavedQuotes
+};
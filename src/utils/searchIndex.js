@@ -0,0 +1,215 @@
+// Lightweight full-text search used by the offline knowledge sources.
+// Documents are tokenised, stop words removed and terms stemmed into an
+// inverted index that is scored with Okapi BM25 at query time.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SNIPPET_LENGTH = 200;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by',
+  'can', 'could', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'how', 'i',
+  'if', 'in', 'into', 'is', 'it', 'its', 'me', 'much', 'my', 'of', 'on', 'or',
+  'our', 'please', 'so', 'some', 'tell', 'than', 'that', 'the', 'their', 'them',
+  'there', 'these', 'they', 'this', 'those', 'to', 'us', 'was', 'we', 'were',
+  'what', 'whats', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+  'would', 'you', 'your'
+]);
+
+/**
+ * Reduces a word to a crude stem so that "heads"/"head" and
+ * "moving"/"move" share an index entry. This is a small subset of the
+ * Porter rules; it only needs to be consistent, not linguistically exact.
+ * @param {string} word - Lower-case word
+ * @returns {string} - Stemmed word
+ */
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  let w = word;
+  if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('ies')) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us')) w = w.slice(0, -1);
+
+  if (w.length > 5 && w.endsWith('ing')) w = w.slice(0, -3);
+  else if (w.length > 4 && w.endsWith('ed')) w = w.slice(0, -2);
+  else if (w.length > 4 && w.endsWith('ly')) w = w.slice(0, -2);
+
+  if (w.length > 6 && w.endsWith('ment')) w = w.slice(0, -4);
+  else if (w.length > 6 && (w.endsWith('ation') || w.endsWith('ition'))) w = w.slice(0, -5);
+
+  // "moving" -> "mov", "move" -> "mov"; drop a trailing silent e so both meet
+  if (w.length > 3 && w.endsWith('e')) w = w.slice(0, -1);
+  // "running" -> "runn" -> "run"
+  if (w.length > 3 && /([^aeiouls])\1$/.test(w)) w = w.slice(0, -1);
+
+  return w;
+}
+
+/**
+ * Splits text into stemmed index terms with their character offsets.
+ * @param {string} text - Text to tokenise
+ * @param {object} [options]
+ * @param {boolean} [options.keepStopWords=false] - Keep stop words in the output
+ * @returns {Array<{term: string, word: string, offset: number}>}
+ */
+export function tokenize(text, { keepStopWords = false } = {}) {
+  const tokens = [];
+  if (!text) return tokens;
+
+  const wordPattern = /[a-z0-9]+(?:'[a-z]+)?/g;
+  const lower = String(text).toLowerCase();
+  let match;
+  while ((match = wordPattern.exec(lower)) !== null) {
+    const word = match[0].replace(/'/g, '');
+    if (!keepStopWords && STOP_WORDS.has(word)) continue;
+    tokens.push({ term: stem(word), word, offset: match.index });
+  }
+  return tokens;
+}
+
+/**
+ * Creates an empty search index.
+ * @returns {object} - Index structure consumed by addDocument/search
+ */
+export function createSearchIndex() {
+  return {
+    documents: [],      // { id, text, payload, length }
+    postings: new Map(), // term -> Map(docIndex -> term frequency)
+    totalLength: 0
+  };
+}
+
+/**
+ * Adds a document to the index.
+ * @param {object} index - Index created by createSearchIndex
+ * @param {object} doc
+ * @param {string} doc.id - Stable identifier for the document
+ * @param {string} doc.text - Text that is searched and used for snippets
+ * @param {object} [doc.payload] - Arbitrary data returned with each hit
+ */
+export function addDocument(index, { id, text, payload = {} }) {
+  const docIndex = index.documents.length;
+  const tokens = tokenize(text);
+
+  tokens.forEach(({ term }) => {
+    if (!index.postings.has(term)) index.postings.set(term, new Map());
+    const termPostings = index.postings.get(term);
+    termPostings.set(docIndex, (termPostings.get(docIndex) || 0) + 1);
+  });
+
+  index.documents.push({ id, text, payload, length: tokens.length });
+  index.totalLength += tokens.length;
+}
+
+/**
+ * Builds an index from a list of documents.
+ * @param {Array<object>} documents - See addDocument for the shape
+ * @returns {object} - Populated index
+ */
+export function buildSearchIndex(documents) {
+  const index = createSearchIndex();
+  documents.forEach(doc => addDocument(index, doc));
+  return index;
+}
+
+/**
+ * Picks the part of the document text with the densest run of query terms.
+ * @param {string} text - Document text
+ * @param {Set<string>} queryTerms - Stemmed query terms
+ * @returns {string} - Snippet, with ellipses where text was cut
+ */
+function buildSnippet(text, queryTerms) {
+  if (text.length <= SNIPPET_LENGTH) return text;
+
+  const hits = tokenize(text).filter(token => queryTerms.has(token.term));
+  if (hits.length === 0) return `${text.substring(0, SNIPPET_LENGTH).trim()}...`;
+
+  // Slide a window over the hits and keep the one covering the most distinct terms
+  let bestStart = hits[0].offset;
+  let bestCount = 0;
+  hits.forEach((hit, i) => {
+    const covered = new Set();
+    for (let j = i; j < hits.length && hits[j].offset - hit.offset < SNIPPET_LENGTH * 0.75; j++) {
+      covered.add(hits[j].term);
+    }
+    if (covered.size > bestCount) {
+      bestCount = covered.size;
+      bestStart = hit.offset;
+    }
+  });
+
+  // Snap both ends to word boundaries so the snippet doesn't open mid-word
+  let start = Math.max(0, bestStart - Math.floor(SNIPPET_LENGTH / 4));
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < bestStart ? space + 1 : bestStart;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+  return `${start > 0 ? '...' : ''}${text.substring(start, end).trim()}${end < text.length ? '...' : ''}`;
+}
+
+/**
+ * Searches the index and returns hits ranked by BM25 score.
+ * @param {object} index - Index created by createSearchIndex/buildSearchIndex
+ * @param {string} query - Free-text query
+ * @param {object} [options]
+ * @param {number} [options.limit=10] - Maximum number of hits
+ * @param {number} [options.minScore=0] - Drop hits scoring below this
+ * @returns {Array<{id: string, score: number, snippet: string, matchedTerms: string[], payload: object}>}
+ */
+export function search(index, query, { limit = 10, minScore = 0 } = {}) {
+  const docCount = index.documents.length;
+  if (docCount === 0) return [];
+
+  const queryTerms = new Set(tokenize(query).map(token => token.term));
+  if (queryTerms.size === 0) return [];
+
+  const avgLength = index.totalLength / docCount || 1;
+  const scores = new Map();
+  const matched = new Map();
+
+  queryTerms.forEach(term => {
+    const termPostings = index.postings.get(term);
+    if (!termPostings) return;
+
+    const idf = Math.log(1 + (docCount - termPostings.size + 0.5) / (termPostings.size + 0.5));
+    termPostings.forEach((tf, docIndex) => {
+      const { length } = index.documents[docIndex];
+      const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (length / avgLength));
+      const termScore = idf * ((tf * (BM25_K1 + 1)) / norm);
+
+      scores.set(docIndex, (scores.get(docIndex) || 0) + termScore);
+      if (!matched.has(docIndex)) matched.set(docIndex, []);
+      matched.get(docIndex).push(term);
+    });
+  });
+
+  return [...scores.entries()]
+    .filter(([, score]) => score > minScore)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([docIndex, score]) => {
+      const doc = index.documents[docIndex];
+      return {
+        id: doc.id,
+        score,
+        snippet: buildSnippet(doc.text, queryTerms),
+        matchedTerms: matched.get(docIndex),
+        payload: doc.payload
+      };
+    });
+}
+
+export default {
+  stem,
+  tokenize,
+  createSearchIndex,
+  addDocument,
+  buildSearchIndex,
+  search
+};
@@ -0,0 +1,56 @@
+// Applies the deltas served by the specifications API (see
+// server/specsApiServer.js), so a sync downloads only what changed since
+// the version this device already has.
+
+/**
+ * Applies a delta to a copy of the specifications
+ * @param {object} specs - Specifications at delta.fromVersion (not modified)
+ * @param {object} delta - { fromVersion, toVersion, metadata, upserts, removed, order, changeLog }
+ * @returns {object} Specifications at delta.toVersion
+ * @throws {Error} If the delta doesn't start from these specifications' version or refers to items they don't have
+ */
+export function applySpecDelta(specs, delta) {
+  if (specs?.metadata?.version !== delta.fromVersion) {
+    throw new Error(`Delta is from version ${delta.fromVersion}, but these specifications are version ${specs?.metadata?.version}`);
+  }
+
+  const updated = JSON.parse(JSON.stringify(specs));
+  updated.categories = updated.categories || {};
+
+  // Every item by id, whether it stays put or not; subcategories listed in
+  // delta.order are rebuilt from this
+  const items = new Map();
+  Object.values(updated.categories).forEach(subcategories => {
+    Object.values(subcategories || {}).forEach(list => {
+      (Array.isArray(list) ? list : []).forEach(item => items.set(item.id, item));
+    });
+  });
+  (delta.removed || []).forEach(id => items.delete(id));
+  (delta.upserts || []).forEach(({ item }) => items.set(item.id, item));
+
+  (delta.order || []).forEach(({ category, subcategory, ids }) => {
+    if (ids === null) {
+      if (updated.categories[category]) {
+        delete updated.categories[category][subcategory];
+        if (Object.keys(updated.categories[category]).length === 0) delete updated.categories[category];
+      }
+      return;
+    }
+    updated.categories[category] = updated.categories[category] || {};
+    updated.categories[category][subcategory] = ids.map(id => {
+      if (!items.has(id)) throw new Error(`Delta lists item "${id}", which it doesn't include`);
+      return items.get(id);
+    });
+  });
+
+  const { changeLog = {} } = delta;
+  if (changeLog.replace) updated.changeLog = changeLog.replace;
+  else if (changeLog.append && changeLog.append.length > 0) updated.changeLog = [...(updated.changeLog || []), ...changeLog.append];
+
+  updated.metadata = delta.metadata;
+  return updated;
+}
+
+export default {
+  applySpecDelta
+};
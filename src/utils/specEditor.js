@@ -0,0 +1,226 @@
+// Edits to the specifications made in the app. Each save produces a new
+// specifications object with the version bumped, the old values of changed
+// fields snapshotted into the item's previousVersions and a field-level
+// changeLog entry, the same bookkeeping that used to be done by hand in
+// specifications.json.
+
+// Bookkeeping fields the editor maintains itself
+const MANAGED_FIELDS = new Set(['id', 'previousVersions', 'dateAdded', 'lastUpdated', 'retired', 'retiredDate']);
+
+/**
+ * Next minor version, e.g. "7.2" -> "7.3", "7" -> "7.1"
+ * @param {string} version
+ * @returns {string}
+ */
+export function bumpVersion(version) {
+  const parts = String(version || '0').split('.');
+  if (parts.length === 1) return `${parts[0]}.1`;
+  const minor = Number(parts[parts.length - 1]);
+  parts[parts.length - 1] = String(Number.isNaN(minor) ? 1 : minor + 1);
+  return parts.join('.');
+}
+
+/**
+ * Turns an item name into an id, e.g. "Pioneer CDJ 3000" -> "pioneer-cdj-3000"
+ * @param {string} name
+ * @returns {string}
+ */
+export function toItemId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Turns a category or subcategory name into the key style used in the
+ * specifications, e.g. "Led screens" -> "LED_SCREENS"
+ * @param {string} name
+ * @returns {string}
+ */
+export function toCategoryKey(name) {
+  return name.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * @param {string} field
+ * @returns {boolean} Whether the field is edited by hand rather than kept by the editor
+ */
+export function isEditableField(field) {
+  return !MANAGED_FIELDS.has(field);
+}
+
+/**
+ * Reads a value typed into the editor, keeping the type of the value it
+ * replaces: numbers stay numbers, lists are comma separated. New fields
+ * holding a plain number are stored as numbers.
+ * @param {string|boolean} input - Text typed, or a checkbox state
+ * @param {*} [previous] - The field's current value
+ * @returns {*} The value to store, or undefined to remove the field
+ */
+export function parseFieldValue(input, previous) {
+  if (typeof input === 'boolean') return input;
+  const text = String(input).trim();
+  if (text === '') return undefined;
+
+  if (Array.isArray(previous)) return text.split(',').map(part => part.trim()).filter(Boolean);
+  if (typeof previous === 'number' || (previous === undefined && /^-?\d+(\.\d+)?$/.test(text))) {
+    const number = Number(text);
+    return Number.isNaN(number) ? text : number;
+  }
+  return text;
+}
+
+/**
+ * Shows a stored value in an editor input
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatFieldValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Finds an item and where it is filed
+ * @param {object} specs
+ * @param {string} id
+ * @returns {{item: object, category: string, subcategory: string, index: number}|null}
+ */
+function locateItem(specs, id) {
+  for (const [category, subcategories] of Object.entries(specs.categories || {})) {
+    for (const [subcategory, items] of Object.entries(subcategories)) {
+      if (!Array.isArray(items)) continue;
+      const index = items.findIndex(item => item.id === id);
+      if (index !== -1) return { item: items[index], category, subcategory, index };
+    }
+  }
+  return null;
+}
+
+/**
+ * Applies a batch of edits to a copy of the specifications.
+ * @param {object} specs - Current specifications (not modified)
+ * @param {Array<object>} edits - Any of:
+ *   { type: 'add', category, subcategory, item, note }
+ *   { type: 'update', itemId, changes: { field: newValue }, note } - a value of undefined removes the field
+ *   { type: 'retire', itemId, note }
+ * @param {object} options
+ * @param {string} options.author - Who made the change, for the changeLog
+ * @param {string} [options.notes] - Note for changes without their own
+ * @param {Date} [options.now=new Date()]
+ * @returns {{specs: object, entry: object}} The new specifications and the changeLog entry added to them
+ * @throws {Error} If there is nothing to save, an item doesn't exist or an id is taken
+ */
+export function applySpecEdits(specs, edits, { author, notes = '', now = new Date() } = {}) {
+  if (!author || !author.trim()) throw new Error('An author is required to save specification changes');
+  if (!edits || edits.length === 0) throw new Error('There are no changes to save');
+
+  const updated = JSON.parse(JSON.stringify(specs));
+  updated.categories = updated.categories || {};
+  const today = now.toISOString().split('T')[0];
+  const version = bumpVersion(updated.metadata?.version);
+  const changes = [];
+
+  edits.forEach(edit => {
+    const note = edit.note || notes;
+
+    if (edit.type === 'add') {
+      const category = toCategoryKey(edit.category || '');
+      const subcategory = toCategoryKey(edit.subcategory || '');
+      if (!category || !subcategory) throw new Error('New items need a category and subcategory');
+      if (!edit.item.name) throw new Error('New items need a name');
+
+      const id = edit.item.id || toItemId(edit.item.name);
+      if (locateItem(updated, id)) throw new Error(`An item with id "${id}" already exists`);
+
+      const item = { id, ...edit.item, dateAdded: today, lastUpdated: today, previousVersions: [] };
+      updated.categories[category] = updated.categories[category] || {};
+      updated.categories[category][subcategory] = updated.categories[category][subcategory] || [];
+      updated.categories[category][subcategory].push(item);
+
+      changes.push({ action: 'added', category, item: item.name, itemId: id, field: null, oldValue: null, newValue: null, notes: note });
+      return;
+    }
+
+    const location = locateItem(updated, edit.itemId);
+    if (!location) throw new Error(`No item with id "${edit.itemId}"`);
+    const { item, category } = location;
+
+    if (edit.type === 'retire') {
+      if (item.retired) return;
+      item.previousVersions = item.previousVersions || [];
+      item.previousVersions.push({ retired: false, lastUpdated: item.lastUpdated, changeNote: note || 'Retired' });
+      item.retired = true;
+      item.retiredDate = today;
+      item.lastUpdated = today;
+      changes.push({ action: 'retired', category, item: item.name, itemId: item.id, field: 'retired', oldValue: false, newValue: true, notes: note });
+      return;
+    }
+
+    if (edit.type === 'update') {
+      const changedFields = Object.entries(edit.changes || {})
+        .filter(([field, value]) => !MANAGED_FIELDS.has(field) && !sameValue(item[field], value));
+      if (changedFields.length === 0) return;
+
+      // The snapshot holds the old values of the fields that changed,
+      // as in the hand-written previousVersions entries
+      const snapshot = {};
+      changedFields.forEach(([field]) => {
+        snapshot[field] = item[field] === undefined ? null : item[field];
+      });
+      item.previousVersions = item.previousVersions || [];
+      item.previousVersions.push({ ...snapshot, lastUpdated: item.lastUpdated, changeNote: note });
+
+      changedFields.forEach(([field, value]) => {
+        changes.push({
+          action: 'updated',
+          category,
+          item: item.name,
+          itemId: item.id,
+          field,
+          oldValue: item[field] === undefined ? null : item[field],
+          newValue: value === undefined ? null : value,
+          notes: note
+        });
+        if (value === undefined) delete item[field];
+        else item[field] = value;
+      });
+      item.lastUpdated = today;
+      return;
+    }
+
+    throw new Error(`Unknown edit type "${edit.type}"`);
+  });
+
+  if (changes.length === 0) throw new Error('The edits don\'t change anything');
+
+  const entry = { date: today, version, author: author.trim(), changes };
+  updated.metadata = { ...updated.metadata, version, lastUpdated: now.toISOString() };
+  updated.changeLog = [...(updated.changeLog || []), entry];
+
+  return { specs: updated, entry };
+}
+
+/**
+ * Serializes specifications for download as a new specifications.json
+ * @param {object} specs
+ * @returns {string}
+ */
+export function exportSpecifications(specs) {
+  return `${JSON.stringify(specs, null, 2)}\n`;
+}
+
+export default {
+  bumpVersion,
+  toItemId,
+  toCategoryKey,
+  isEditableField,
+  parseFieldValue,
+  formatFieldValue,
+  applySpecEdits,
+  exportSpecifications
+};
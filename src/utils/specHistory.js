@@ -0,0 +1,148 @@
+// Builds the equipment history views from the specifications: a timeline
+// per item from its previousVersions and the changeLog, and a venue-wide
+// feed of changeLog entries.
+
+// previousVersions entries carry these besides the old field values
+const SNAPSHOT_META_FIELDS = new Set(['lastUpdated', 'changeNote']);
+
+/**
+ * The changeLog's changes for one item, flattened with their entry's date,
+ * version and author
+ * @param {object} specs
+ * @param {object} item
+ * @returns {Array<object>}
+ */
+function getItemChangeLog(specs, item) {
+  return (specs.changeLog || []).flatMap(entry =>
+    (entry.changes || [])
+      .filter(change => (change.itemId ? change.itemId === item.id : change.item === item.name))
+      .map(change => ({ ...change, date: entry.date, version: entry.version, author: entry.author }))
+  );
+}
+
+/**
+ * Builds an item's history, oldest first. Each previousVersions entry holds
+ * the old values of the fields that changed next, so a change's new values
+ * come from the next version that has the field, or the current item.
+ * Notes, authors and versions come from matching changeLog entries where
+ * there are any, otherwise from the snapshot's changeNote.
+ * @param {SpecificationManager} specManager
+ * @param {string} id - Item id
+ * @returns {Array<{date: string, kind: 'added'|'changed'|'retired', fields: Array<{field: string, oldValue: *, newValue: *}>, notes: string[], version: string|null, author: string|null}>}
+ */
+export function buildItemTimeline(specManager, id) {
+  const item = specManager.getItemById(id);
+  if (!item) return [];
+
+  // getChangeHistory lists the current version first, newest to oldest
+  const [, ...snapshots] = specManager.getChangeHistory(id);
+  snapshots.reverse();
+  const logged = getItemChangeLog(specManager.specs, item);
+  const usedLogEntries = new Set();
+
+  const valueAfter = (field, index) => {
+    const later = snapshots.slice(index + 1).find(snapshot => field in snapshot);
+    const value = later ? later[field] : item[field];
+    return value === undefined ? null : value;
+  };
+
+  const takeLogEntries = (date, fields) => {
+    const matches = logged.filter((change, i) =>
+      !usedLogEntries.has(i) && change.date === date && (!change.field || !fields || fields.includes(change.field))
+    );
+    matches.forEach(change => usedLogEntries.add(logged.indexOf(change)));
+    return matches;
+  };
+
+  const timeline = [];
+  const addedNotes = [];
+
+  snapshots.forEach((snapshot, index) => {
+    const date = index + 1 < snapshots.length ? snapshots[index + 1].lastUpdated : item.lastUpdated;
+    const fields = Object.keys(snapshot)
+      .filter(field => !SNAPSHOT_META_FIELDS.has(field))
+      .map(field => ({ field, oldValue: snapshot[field], newValue: valueAfter(field, index) }));
+    const logEntries = takeLogEntries(date, fields.map(change => change.field));
+
+    // A note on the version an item was added with describes its set-up
+    const snapshotNoteIsForAdded = snapshot.lastUpdated === item.dateAdded && logEntries.length > 0;
+    if (snapshotNoteIsForAdded && snapshot.changeNote) addedNotes.push(snapshot.changeNote);
+
+    const notes = logEntries.map(change => change.notes).filter(Boolean);
+    if (notes.length === 0 && snapshot.changeNote) notes.push(snapshot.changeNote);
+
+    timeline.push({
+      date,
+      kind: fields.some(change => change.field === 'retired' && change.newValue === true) ? 'retired' : 'changed',
+      fields,
+      notes,
+      version: logEntries[0]?.version || null,
+      author: logEntries[0]?.author || null
+    });
+  });
+
+  // changeLog entries written without a matching previousVersions snapshot
+  logged.forEach((change, i) => {
+    if (usedLogEntries.has(i) || change.action === 'added') return;
+    timeline.push({
+      date: change.date,
+      kind: change.action === 'retired' ? 'retired' : 'changed',
+      fields: change.field ? [{ field: change.field, oldValue: change.oldValue, newValue: change.newValue }] : [],
+      notes: change.notes ? [change.notes] : [],
+      version: change.version,
+      author: change.author
+    });
+  });
+
+  const addedEntry = logged.find(change => change.action === 'added');
+  if (item.dateAdded) {
+    if (addedEntry && addedEntry.notes) addedNotes.push(addedEntry.notes);
+    timeline.push({
+      date: item.dateAdded,
+      kind: 'added',
+      fields: [],
+      notes: addedNotes,
+      version: addedEntry?.version || null,
+      author: addedEntry?.author || null
+    });
+  }
+
+  return timeline.sort((a, b) => new Date(a.date) - new Date(b.date) || (a.kind === 'added' ? -1 : b.kind === 'added' ? 1 : 0));
+}
+
+/**
+ * Venue-wide feed of documented changes, newest first
+ * @param {SpecificationManager} specManager
+ * @param {object} [options]
+ * @param {number|null} [options.days=null] - Only changes from the last this many days; null for all
+ * @param {string} [options.category] - Only changes in this category, e.g. 'SOUND'
+ * @returns {Array<{date: string, version: string, author: string, category: string, item: string, itemId: string|null, action: string, field: string|null, oldValue: *, newValue: *, notes: string}>}
+ */
+export function getChangeFeed(specManager, { days = null, category = '' } = {}) {
+  const itemIdsByName = new Map(
+    specManager.getAllItems({ includeRetired: true }).map(({ item }) => [item.name, item.id])
+  );
+
+  return specManager.getRecentChanges(days).flatMap(entry =>
+    (entry.changes || [])
+      .filter(change => !category || change.category === category)
+      .map(change => ({
+        date: entry.date,
+        version: entry.version,
+        author: entry.author,
+        category: change.category,
+        item: change.item,
+        itemId: change.itemId || itemIdsByName.get(change.item) || null,
+        action: change.action || 'updated',
+        field: change.field || null,
+        oldValue: change.oldValue === undefined ? null : change.oldValue,
+        newValue: change.newValue === undefined ? null : change.newValue,
+        notes: change.notes || ''
+      }))
+  );
+}
+
+export default {
+  buildItemTimeline,
+  getChangeFeed
+};
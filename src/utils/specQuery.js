@@ -0,0 +1,371 @@
+import { tokenize } from './searchIndex';
+
+// Fields a question can ask about, with the words that point at them.
+// Order matters: more specific phrases come first so "pixel pitch" wins
+// over a bare "pitch" match elsewhere.
+const SPEC_FIELDS = [
+  { field: 'pixelPitch', label: 'pixel pitch', phrases: ['pixel pitch', 'pitch'] },
+  { field: 'resolution', label: 'resolution', phrases: ['resolution', 'pixels', 'res'] },
+  { field: 'averageDB', label: 'average sound level', phrases: ['average db', 'average level', 'average volume'] },
+  { field: 'maxDB', label: 'maximum sound level', phrases: ['max db', 'maximum db', 'db limit', 'decibel', 'db', 'how loud', 'volume', 'noise', 'sound limit'] },
+  { field: 'quantity', label: 'quantity', phrases: ['how many', 'quantity', 'number of', 'count', 'units'] },
+  { field: 'location', label: 'location', phrases: ['where', 'location', 'located', 'which room', 'which area'] },
+  { field: 'cost', label: 'cost', phrases: ['how much', 'cost', 'price', 'hire fee', 'rate', 'charge', 'fee'] },
+  { field: 'dimensions', label: 'dimensions', phrases: ['dimensions', 'how big', 'size'] },
+  { field: 'width', label: 'width', phrases: ['width', 'how wide', 'wide'] },
+  { field: 'depth', label: 'depth', phrases: ['depth', 'how deep', 'deep'] },
+  { field: 'processor', label: 'processor', phrases: ['processor', 'controller'] },
+  { field: 'configuration', label: 'configuration', phrases: ['configuration', 'layout', 'panels'] },
+  { field: 'inputs', label: 'inputs', phrases: ['inputs', 'input', 'connect', 'connection', 'hdmi', 'dvi'] },
+  { field: 'notes', label: 'notes', phrases: ['notes', 'booking', 'advance'] }
+];
+
+// An item needs at least this share of one of its names matched to count
+const MIN_MATCH_SCORE = 0.3;
+
+/**
+ * Levenshtein distance, giving up once it exceeds maxDistance
+ * @param {string} a
+ * @param {string} b
+ * @param {number} maxDistance
+ * @returns {number}
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Whether a question term and a name term refer to the same word,
+ * allowing a single typo in longer words
+ */
+function termsMatch(questionTerm, nameTerm) {
+  if (questionTerm === nameTerm) return true;
+  if (questionTerm.length >= 5 && nameTerm.length >= 5) {
+    return editDistance(questionTerm, nameTerm, 1) <= 1;
+  }
+  return false;
+}
+
+/**
+ * Lists the names an item can be referred to by: its name, its id written
+ * as words and any aliases recorded in the specifications
+ * @param {object} item - Specification item
+ * @returns {string[]}
+ */
+function getItemNames(item) {
+  const names = [];
+  if (item.name) names.push(item.name);
+  if (item.id) names.push(item.id.replace(/[-_]/g, ' '));
+  if (Array.isArray(item.aliases)) names.push(...item.aliases);
+  return names;
+}
+
+/**
+ * Finds the specification items a piece of text refers to, matching names,
+ * ids and aliases approximately
+ * @param {SpecificationManager} specManager - Loaded specification manager
+ * @param {string} text - Question or phrase, e.g. "pioneer 3000"
+ * @param {object} [options]
+ * @param {number} [options.limit=3] - Maximum number of items to return
+ * @returns {Array<{item: object, category: string, subcategory: string, score: number}>} - Best match first
+ */
+export function resolveSpecItems(specManager, text, { limit = 3 } = {}) {
+  const entries = specManager.getAllItems();
+  if (entries.length === 0) return [];
+
+  const questionTerms = [...new Set(tokenize(text).map(token => token.term))];
+  if (questionTerms.length === 0) return [];
+
+  // Weight name terms by how few items use them, so "3000" counts for more than "terrace"
+  const namedEntries = entries.map(entry => ({
+    ...entry,
+    names: getItemNames(entry.item).map(name => [...new Set(tokenize(name).map(token => token.term))])
+  }));
+  const documentFrequency = new Map();
+  namedEntries.forEach(({ names }) => {
+    new Set(names.flat()).forEach(term => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+  });
+  const weight = term => Math.log(1 + entries.length / (documentFrequency.get(term) || 1));
+
+  const matches = [];
+  namedEntries.forEach(({ item, category, subcategory, names }) => {
+    let best = 0;
+    names.forEach(nameTerms => {
+      if (nameTerms.length === 0) return;
+      const total = nameTerms.reduce((sum, term) => sum + weight(term), 0);
+      const matched = nameTerms
+        .filter(nameTerm => questionTerms.some(questionTerm => termsMatch(questionTerm, nameTerm)))
+        .reduce((sum, term) => sum + weight(term), 0);
+      best = Math.max(best, matched / total);
+    });
+
+    if (best >= MIN_MATCH_SCORE) {
+      matches.push({ item, category, subcategory, score: best });
+    }
+  });
+
+  return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Works out which item fields a question is asking about
+ * @param {string} question - The user's question
+ * @returns {Array<{field: string, label: string}>} - Fields in order of mention priority
+ */
+export function detectSpecFields(question) {
+  const words = ` ${tokenize(question, { keepStopWords: true }).map(token => token.word).join(' ')} `;
+  const fields = [];
+  SPEC_FIELDS.forEach(({ field, label, phrases }) => {
+    if (phrases.some(phrase => words.includes(` ${phrase} `))) {
+      fields.push({ field, label });
+    }
+  });
+  return fields;
+}
+
+/**
+ * The most natural phrase for asking about a field, e.g. "pixel pitch"
+ * @param {string} field - Field name
+ * @returns {string}
+ */
+export function getFieldPhrase(field) {
+  const spec = SPEC_FIELDS.find(entry => entry.field === field);
+  return spec ? spec.phrases[0] : field;
+}
+
+/**
+ * Formats a money amount with its currency
+ * @param {number} amount
+ * @param {string} [currency='GBP']
+ * @returns {string}
+ */
+export function formatCost(amount, currency = 'GBP') {
+  try {
+    return new Intl.NumberFormat('en-GB', { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+}
+
+/**
+ * Phrases a single field of an item as a sentence
+ * @param {object} item - Specification item
+ * @param {string} field - Field name
+ * @param {string} label - Human-readable field name
+ * @returns {string}
+ */
+function describeField(item, field, label) {
+  const value = item[field];
+  if (value === undefined || value === null || value === '') {
+    return `I don't have a ${label} recorded for the ${item.name}.`;
+  }
+
+  switch (field) {
+    case 'quantity':
+      return `Studio 338 has ${value} x ${item.name}${item.location ? ` on the ${item.location}` : ''}.`;
+    case 'location':
+      return `The ${item.name} ${item.quantity > 1 ? 'are' : 'is'} located on the ${value}.`;
+    case 'cost':
+      return `The ${item.name} costs ${formatCost(value, item.currency)}${item.costUnit ? ` ${item.costUnit}` : ''}${item.vatApplicable ? ' + VAT' : ''}.`;
+    case 'maxDB':
+      return `The ${item.name} limit is a maximum of ${value} dB${item.averageDB ? ` with a ${item.averageDB} dB average` : ''}.`;
+    case 'averageDB':
+      return `The ${item.name} average sound level is ${value} dB${item.maxDB ? ` (maximum ${item.maxDB} dB)` : ''}.`;
+    case 'inputs':
+      return `The ${item.name} accepts ${Array.isArray(value) ? value.join(', ') : value} inputs.`;
+    case 'notes':
+      return `Note for the ${item.name}: ${value}.`;
+    default:
+      return `The ${item.name} ${label} is ${Array.isArray(value) ? value.join(', ') : value}.`;
+  }
+}
+
+/**
+ * Summarises an item when the question doesn't ask about one field
+ * @param {object} item - Specification item
+ * @returns {string}
+ */
+function describeItem(item) {
+  const parts = [];
+  if (item.quantity !== undefined) parts.push(describeField(item, 'quantity', 'quantity'));
+  if (item.specifications) parts.push(`${item.specifications}.`);
+  if (item.resolution) parts.push(describeField(item, 'resolution', 'resolution'));
+  if (item.pixelPitch) parts.push(describeField(item, 'pixelPitch', 'pixel pitch'));
+  if (item.cost !== undefined) parts.push(describeField(item, 'cost', 'cost'));
+  if (item.maxDB !== undefined) parts.push(describeField(item, 'maxDB', 'maximum sound level'));
+  if (item.width && item.depth) parts.push(`The ${item.name} are ${item.width} wide by ${item.depth} deep.`);
+  if (item.notes) parts.push(describeField(item, 'notes', 'notes'));
+  return parts.length > 0 ? parts.join(' ') : `The ${item.name} is listed in the current specifications.`;
+}
+
+// Item fields that are bookkeeping rather than specifications
+const HIDDEN_FIELDS = new Set(['id', 'name', 'aliases', 'previousVersions', 'currency', 'costUnit', 'vatApplicable', 'retired']);
+
+const FIELD_LABELS = {
+  maxDB: 'Max dB',
+  averageDB: 'Average dB',
+  pixelPitch: 'Pixel pitch',
+  dateAdded: 'Date added',
+  lastUpdated: 'Last updated'
+};
+
+/**
+ * Turns a camelCase field name into a label, e.g. "pixelPitch" -> "Pixel pitch"
+ * @param {string} field
+ * @returns {string}
+ */
+export function getFieldLabel(field) {
+  if (FIELD_LABELS[field]) return FIELD_LABELS[field];
+  const words = field.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Lists an item's fields as label/value rows for display
+ * @param {object} item - Specification item
+ * @returns {Array<{field: string, label: string, value: string}>}
+ */
+export function getSpecFieldRows(item) {
+  return Object.entries(item)
+    .filter(([field, value]) => !HIDDEN_FIELDS.has(field) && value !== undefined && value !== null && value !== '')
+    .map(([field, value]) => {
+      let display;
+      if (field === 'cost') {
+        display = `${formatCost(value, item.currency)}${item.costUnit ? ` ${item.costUnit}` : ''}${item.vatApplicable ? ' + VAT' : ''}`;
+      } else if (Array.isArray(value)) {
+        display = value.join(', ');
+      } else if (typeof value === 'boolean') {
+        display = value ? 'Yes' : 'No';
+      } else if (typeof value === 'object') {
+        display = JSON.stringify(value);
+      } else {
+        display = String(value);
+      }
+      return { field, label: getFieldLabel(field), value: display };
+    });
+}
+
+/**
+ * Finds items kept at a location mentioned in the text, e.g. "the terrace"
+ * @param {SpecificationManager} specManager - Loaded specification manager
+ * @param {string} text - Question text
+ * @returns {{location: string, items: Array<object>}|null}
+ */
+export function findItemsAtLocation(specManager, text) {
+  const words = new Set(tokenize(text).map(token => token.term));
+  const entries = specManager.getAllItems().filter(({ item }) => item.location);
+
+  const location = [...new Set(entries.map(({ item }) => item.location))]
+    .find(place => tokenize(place).every(token => words.has(token.term)));
+  if (!location) return null;
+
+  return {
+    location,
+    items: entries.filter(({ item }) => item.location === location).map(({ item }) => item)
+  };
+}
+
+/**
+ * Finds the items of a category or subcategory named in the text,
+ * e.g. "lighting" or "dj equipment"
+ * @param {SpecificationManager} specManager - Loaded specification manager
+ * @param {string} text - Question text
+ * @returns {{title: string, category: string, subcategory: string|null, items: Array<object>}|null}
+ *   Subcategories are preferred over their category as they are more specific
+ */
+export function findItemsInCategory(specManager, text) {
+  const words = new Set(tokenize(text).map(token => token.term));
+  const mentions = name => {
+    const terms = tokenize(name.replace(/_/g, ' '));
+    return terms.length > 0 && terms.every(token => words.has(token.term));
+  };
+
+  const entries = specManager.getAllItems();
+  const subcategoryMatch = entries.find(({ subcategory }) => mentions(subcategory));
+  if (subcategoryMatch) {
+    const { category, subcategory } = subcategoryMatch;
+    return {
+      title: subcategory.replace(/_/g, ' ').toLowerCase(),
+      category,
+      subcategory,
+      items: entries.filter(entry => entry.category === category && entry.subcategory === subcategory).map(({ item }) => item)
+    };
+  }
+
+  const categoryMatch = entries.find(({ category }) => mentions(category));
+  if (categoryMatch) {
+    const { category } = categoryMatch;
+    return {
+      title: category.replace(/_/g, ' ').toLowerCase(),
+      category,
+      subcategory: null,
+      items: entries.filter(entry => entry.category === category).map(({ item }) => item)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Answers a natural-language question from the specifications
+ * @param {SpecificationManager} specManager - Loaded specification manager
+ * @param {string} question - The user's question
+ * @returns {{item: object, category: string, subcategory: string, fields: string[], score: number, answer: string}|null}
+ *   The answer for the best matching item, or null when no item fits
+ */
+export function answerSpecQuestion(specManager, question) {
+  const fields = detectSpecFields(question);
+  let [match] = resolveSpecItems(specManager, question, { limit: 1 });
+
+  // "What's the dB limit?" names no item; answer it if only one item has that field
+  if (!match && fields.length > 0) {
+    const withField = specManager.getAllItems().filter(({ item }) => item[fields[0].field] !== undefined);
+    if (withField.length === 1) {
+      match = { ...withField[0], score: MIN_MATCH_SCORE };
+    }
+  }
+  if (!match) return null;
+
+  const { item } = match;
+  // Only answer fields the item actually has, unless nothing else was asked
+  const answeredFields = fields.filter(({ field }) => item[field] !== undefined);
+  const fieldsToAnswer = answeredFields.length > 0 ? answeredFields : fields.slice(0, 1);
+
+  const answer = fieldsToAnswer.length > 0
+    ? fieldsToAnswer.map(({ field, label }) => describeField(item, field, label)).join(' ')
+    : describeItem(item);
+
+  return {
+    ...match,
+    fields: fieldsToAnswer.map(({ field }) => field),
+    answer
+  };
+}
+
+export default {
+  resolveSpecItems,
+  detectSpecFields,
+  getFieldPhrase,
+  formatCost,
+  getFieldLabel,
+  getSpecFieldRows,
+  findItemsAtLocation,
+  findItemsInCategory,
+  answerSpecQuestion
+};
@@ -0,0 +1,259 @@
+// Schema for specifications.json. Specifications are checked against it
+// when they are synced, imported or saved from the editor, and a file that
+// fails is rejected so the last good specifications stay in use.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const KEY_PATTERN = /^[A-Z0-9]+(_[A-Z0-9]+)*$/;
+
+// ISO 4217 codes we expect to see on a London venue's price list
+const CURRENCY_CODES = new Set(['GBP', 'EUR', 'USD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'AUD', 'CAD', 'JPY']);
+
+/**
+ * How each known field is checked. Fields not listed here may hold any
+ * string, number, boolean or list.
+ */
+const FIELD_RULES = {
+  id: { type: 'string', pattern: ID_PATTERN, hint: 'lower-case words joined by hyphens, e.g. "cdj-3000"' },
+  name: { type: 'string', nonEmpty: true },
+  aliases: { type: 'stringArray' },
+  quantity: { type: 'integer', min: 0 },
+  cost: { type: 'number', min: 0 },
+  currency: { type: 'currency' },
+  costUnit: { type: 'string' },
+  vatApplicable: { type: 'boolean' },
+  location: { type: 'string' },
+  notes: { type: 'string' },
+  resolution: { type: 'string', pattern: /^\d+\s*x\s*\d+$/i, hint: 'width x height in pixels, e.g. "1920x896"' },
+  pixelPitch: { type: 'string', pattern: /^\d+(\.\d+)?\s*mm$/i, hint: 'a size in mm, e.g. "3.9mm"' },
+  width: { type: 'string', pattern: /^\d+(\.\d+)?\s*(mm|cm|m)$/i, hint: 'a length with units, e.g. "18M"' },
+  depth: { type: 'string', pattern: /^\d+(\.\d+)?\s*(mm|cm|m)$/i, hint: 'a length with units, e.g. "3.2M"' },
+  maxDB: { type: 'number', min: 0 },
+  averageDB: { type: 'number', min: 0 },
+  inputs: { type: 'stringArray' },
+  dateAdded: { type: 'date' },
+  lastUpdated: { type: 'date' },
+  retired: { type: 'boolean' },
+  retiredDate: { type: 'date' },
+  previousVersions: { type: 'versions' }
+};
+
+/**
+ * Item types, picked by where the item is filed. Each lists the fields an
+ * item of that type must have; the first match applies.
+ */
+const ITEM_TYPES = [
+  { name: 'display', matches: (category) => category === 'VIDEO', required: ['resolution'] },
+  { name: 'dimensions', matches: (category, subcategory) => subcategory === 'DIMENSIONS', required: ['width', 'depth'] },
+  { name: 'restriction', matches: (category, subcategory) => subcategory === 'RESTRICTIONS', required: ['maxDB'] },
+  { name: 'priced service', matches: (category) => category === 'PLANT', required: ['cost', 'currency'] },
+  { name: 'equipment', matches: (category) => ['SOUND', 'LIGHTING', 'VIDEO'].includes(category), required: ['quantity'] }
+];
+
+// Every item needs these whatever its type
+const COMMON_REQUIRED = ['id', 'name'];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'list';
+  return typeof value;
+}
+
+/**
+ * Checks one value against a field rule
+ * @param {*} value
+ * @param {object} rule - Entry from FIELD_RULES
+ * @returns {string|null} What's wrong, or null if it's fine
+ */
+function checkValue(value, rule) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return `should be text, not ${typeOf(value)}`;
+      if (rule.nonEmpty && !value.trim()) return 'should not be empty';
+      if (rule.pattern && !rule.pattern.test(value)) return `"${value}" should be ${rule.hint}`;
+      return null;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || Number.isNaN(value)) return `should be a number, not ${typeOf(value)}${typeof value === 'string' ? ` "${value}"` : ''}`;
+      if (rule.type === 'integer' && !Number.isInteger(value)) return `should be a whole number, not ${value}`;
+      if (rule.min !== undefined && value < rule.min) return `should be at least ${rule.min}, not ${value}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `should be true or false, not ${typeOf(value)}`;
+    case 'stringArray':
+      if (!Array.isArray(value)) return `should be a list, not ${typeOf(value)}`;
+      return value.every(entry => typeof entry === 'string') ? null : 'should be a list of text';
+    case 'currency':
+      if (typeof value !== 'string') return `should be a currency code, not ${typeOf(value)}`;
+      return CURRENCY_CODES.has(value) ? null : `"${value}" is not a recognised currency code (e.g. GBP)`;
+    case 'date':
+      if (typeof value !== 'string' || !DATE_PATTERN.test(value) || Number.isNaN(new Date(value).getTime())) {
+        return `"${value}" should be a date as YYYY-MM-DD`;
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks an item's fields, including those of its previous versions
+ * @param {object} item
+ * @param {string} path - Where the item is, for messages
+ * @param {Array<object>} issues - Problems found are added here
+ * @param {object} [options]
+ * @param {boolean} [options.isSnapshot=false] - Previous versions hold only some fields
+ */
+function checkItemFields(item, path, issues, { isSnapshot = false } = {}) {
+  Object.entries(item).forEach(([field, value]) => {
+    const rule = FIELD_RULES[field];
+    // Snapshots record a removed field as null
+    if (isSnapshot && value === null) return;
+
+    if (rule && rule.type === 'versions') {
+      if (!Array.isArray(value)) {
+        issues.push({ path: `${path}.${field}`, message: `should be a list, not ${typeOf(value)}` });
+        return;
+      }
+      value.forEach((version, i) => {
+        const versionPath = `${path}.${field}[${i}]`;
+        if (typeOf(version) !== 'object') {
+          issues.push({ path: versionPath, message: 'should be an object' });
+          return;
+        }
+        if (!version.lastUpdated) issues.push({ path: versionPath, message: 'is missing lastUpdated' });
+        checkItemFields(version, versionPath, issues, { isSnapshot: true });
+      });
+      return;
+    }
+
+    const problem = rule
+      ? checkValue(value, rule)
+      : (['object', 'null'].includes(typeOf(value)) ? `has an unexpected ${typeOf(value)} value` : null);
+    if (problem) issues.push({ path: `${path}.${field}`, message: problem });
+  });
+}
+
+/**
+ * Validates a specifications object
+ * @param {object} specs - Parsed specifications.json
+ * @returns {{valid: boolean, issues: Array<{path: string, message: string}>}}
+ */
+export function validateSpecifications(specs) {
+  const issues = [];
+
+  if (typeOf(specs) !== 'object') {
+    return { valid: false, issues: [{ path: '(file)', message: 'is not a specifications object' }] };
+  }
+
+  // Metadata
+  if (typeOf(specs.metadata) !== 'object') {
+    issues.push({ path: 'metadata', message: 'is missing' });
+  } else {
+    if (typeof specs.metadata.version !== 'string' || !specs.metadata.version.trim()) {
+      issues.push({ path: 'metadata.version', message: 'is missing or not text' });
+    }
+    const { lastUpdated } = specs.metadata;
+    if (!lastUpdated) {
+      issues.push({ path: 'metadata.lastUpdated', message: 'is missing' });
+    } else if (typeof lastUpdated !== 'string' || !DATE_TIME_PATTERN.test(lastUpdated) || Number.isNaN(new Date(lastUpdated).getTime())) {
+      issues.push({ path: 'metadata.lastUpdated', message: `"${lastUpdated}" should be a date and time, e.g. 2025-05-13T10:30:00Z` });
+    }
+  }
+
+  // Items
+  const seenIds = new Map();
+  if (typeOf(specs.categories) !== 'object') {
+    issues.push({ path: 'categories', message: 'is missing' });
+  } else {
+    Object.entries(specs.categories).forEach(([category, subcategories]) => {
+      if (!KEY_PATTERN.test(category)) {
+        issues.push({ path: `categories.${category}`, message: 'category names should be upper case with underscores, e.g. SPECIAL_FX' });
+      }
+      if (typeOf(subcategories) !== 'object') {
+        issues.push({ path: `categories.${category}`, message: 'should contain subcategories' });
+        return;
+      }
+
+      Object.entries(subcategories).forEach(([subcategory, items]) => {
+        const subcategoryPath = `categories.${category}.${subcategory}`;
+        if (!KEY_PATTERN.test(subcategory)) {
+          issues.push({ path: subcategoryPath, message: 'subcategory names should be upper case with underscores, e.g. LED_SCREENS' });
+        }
+        if (!Array.isArray(items)) {
+          issues.push({ path: subcategoryPath, message: 'should be a list of items' });
+          return;
+        }
+
+        const itemType = ITEM_TYPES.find(type => type.matches(category, subcategory));
+        const required = [...COMMON_REQUIRED, ...(itemType ? itemType.required : [])];
+
+        items.forEach((item, i) => {
+          const itemPath = `${subcategoryPath}[${i}]${item && item.name ? ` (${item.name})` : ''}`;
+          if (typeOf(item) !== 'object') {
+            issues.push({ path: itemPath, message: 'should be an object' });
+            return;
+          }
+
+          required
+            .filter(field => item[field] === undefined || item[field] === null || item[field] === '')
+            .forEach(field => {
+              issues.push({
+                path: itemPath,
+                message: `is missing ${field}${itemType && itemType.required.includes(field) ? ` (required for ${itemType.name} items)` : ''}`
+              });
+            });
+          if (item.cost !== undefined && item.currency === undefined) {
+            issues.push({ path: itemPath, message: 'has a cost but no currency' });
+          }
+
+          if (typeof item.id === 'string') {
+            if (seenIds.has(item.id)) {
+              issues.push({ path: itemPath, message: `has id "${item.id}", already used by ${seenIds.get(item.id)}` });
+            } else {
+              seenIds.set(item.id, itemPath);
+            }
+          }
+
+          checkItemFields(item, itemPath, issues);
+        });
+      });
+    });
+  }
+
+  // Change log
+  if (specs.changeLog !== undefined) {
+    if (!Array.isArray(specs.changeLog)) {
+      issues.push({ path: 'changeLog', message: 'should be a list' });
+    } else {
+      specs.changeLog.forEach((entry, i) => {
+        const entryPath = `changeLog[${i}]`;
+        if (typeOf(entry) !== 'object') {
+          issues.push({ path: entryPath, message: 'should be an object' });
+          return;
+        }
+        const dateProblem = checkValue(entry.date, FIELD_RULES.dateAdded);
+        if (dateProblem) issues.push({ path: `${entryPath}.date`, message: dateProblem });
+        if (!entry.version) issues.push({ path: entryPath, message: 'is missing version' });
+        if (!Array.isArray(entry.changes)) issues.push({ path: `${entryPath}.changes`, message: 'should be a list' });
+      });
+    }
+  }
+
+  return { valid: issues.length === 0, issues };
+}
+
+/**
+ * Formats validation issues as a readable list, one per line
+ * @param {Array<{path: string, message: string}>} issues
+ * @returns {string}
+ */
+export function formatValidationIssues(issues) {
+  return issues.map(issue => `- ${issue.path} ${issue.message}`).join('\n');
+}
+
+export default {
+  validateSpecifications,
+  formatValidationIssues
+};
@@ -0,0 +1,328 @@
+import { logDebug } from './debug';
+
+// One place for everything the app keeps between sessions. Data lives in
+// named IndexedDB stores so large knowledge bases fit; where IndexedDB isn't
+// available (private browsing, old browsers) the same API falls back to
+// localStorage.
+
+const DB_NAME = 'agentTech';
+
+// Named stores. Add new ones through a migration below.
+export const STORES = {
+  SPECIFICATIONS: 'specifications',
+  CALENDAR: 'calendar',
+  PDF_CONTENT: 'pdfContent',
+  RESERVATIONS: 'reservations',
+  QUOTES: 'quotes',
+  PACKAGES: 'packages'
+};
+
+// Schema migrations, keyed by the version they upgrade to. Each receives the
+// database during `upgradeneeded` and may create or delete stores. Bump
+// DB_VERSION when adding one.
+const MIGRATIONS = {
+  1: (db) => {
+    db.createObjectStore(STORES.SPECIFICATIONS);
+    db.createObjectStore(STORES.CALENDAR);
+    db.createObjectStore(STORES.PDF_CONTENT);
+  },
+  2: (db) => {
+    db.createObjectStore(STORES.RESERVATIONS);
+  },
+  3: (db) => {
+    db.createObjectStore(STORES.QUOTES);
+  },
+  4: (db) => {
+    db.createObjectStore(STORES.PACKAGES);
+  }
+};
+const DB_VERSION = 4;
+
+// Keys each subsystem wrote straight to localStorage before this module,
+// moved into their stores the first time storage is opened
+const LEGACY_KEYS = [
+  { key: 'specifications', store: STORES.SPECIFICATIONS, to: 'specs', json: true },
+  { key: 'lastSyncTimestamp', store: STORES.SPECIFICATIONS, to: 'lastSyncTimestamp', json: false },
+  { key: 'lastSpecificationsDiff', store: STORES.SPECIFICATIONS, to: 'lastDiff', json: true },
+  { key: 'calendarCache', store: STORES.CALENDAR, to: 'events', json: true },
+  { key: 'quoteNumberSequence', store: STORES.QUOTES, to: 'numberSequence', json: true }
+];
+
+const FALLBACK_PREFIX = 'agentTech:';
+
+let backendPromise = null;
+
+/**
+ * Size of a value once serialized, in bytes
+ * @param {*} value
+ * @returns {number}
+ */
+function measure(value) {
+  const json = JSON.stringify(value) ?? '';
+  return typeof TextEncoder !== 'undefined' ? new TextEncoder().encode(json).length : json.length;
+}
+
+/**
+ * Opens the database, running any migrations it needs
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+        logDebug('Storage', `Migrating storage to version ${version}`);
+        MIGRATIONS[version](db, request.transaction);
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer version of the app in another tab upgrade the schema
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    // Another tab still has the old version open. It closes its connection on
+    // versionchange, after which this request goes ahead; falling back to
+    // localStorage instead would hide everything already stored.
+    request.onblocked = () => logDebug('Storage', 'Waiting for other tabs to close the old version of storage');
+  });
+}
+
+/**
+ * IndexedDB backend. Values are stored as { value, bytes, updatedAt } so
+ * usage can be reported per store.
+ * @param {IDBDatabase} db
+ */
+function createIndexedDbBackend(db) {
+  // Settles when the transaction does: a write can succeed as a request and
+  // still be lost when the transaction aborts, e.g. over the quota
+  const run = (store, mode, operation) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(store, mode);
+    const request = operation(transaction.objectStore(store));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onabort = () => reject(transaction.error || new Error(`Transaction on ${store} was aborted`));
+    transaction.onerror = () => reject(request.error || transaction.error);
+  });
+
+  return {
+    type: 'indexedDB',
+    async get(store, key) {
+      const record = await run(store, 'readonly', objectStore => objectStore.get(key));
+      return record ? record.value : null;
+    },
+    set(store, key, value) {
+      const record = { value, bytes: measure(value), updatedAt: new Date().toISOString() };
+      return run(store, 'readwrite', objectStore => objectStore.put(record, key));
+    },
+    remove(store, key) {
+      return run(store, 'readwrite', objectStore => objectStore.delete(key));
+    },
+    clear(store) {
+      return run(store, 'readwrite', objectStore => objectStore.clear());
+    },
+    keys(store) {
+      return run(store, 'readonly', objectStore => objectStore.getAllKeys());
+    },
+    async usage(store) {
+      const records = await run(store, 'readonly', objectStore => objectStore.getAll());
+      return { entries: records.length, bytes: records.reduce((sum, record) => sum + (record.bytes || 0), 0) };
+    }
+  };
+}
+
+/**
+ * localStorage backend with the same interface, one key per entry
+ */
+function createLocalStorageBackend() {
+  const fullKey = (store, key) => `${FALLBACK_PREFIX}${store}:${key}`;
+  const keysIn = (store) => Object.keys(localStorage).filter(key => key.startsWith(`${FALLBACK_PREFIX}${store}:`));
+
+  return {
+    type: 'localStorage',
+    async get(store, key) {
+      const stored = localStorage.getItem(fullKey(store, key));
+      return stored === null ? null : JSON.parse(stored);
+    },
+    async set(store, key, value) {
+      localStorage.setItem(fullKey(store, key), JSON.stringify(value));
+    },
+    async remove(store, key) {
+      localStorage.removeItem(fullKey(store, key));
+    },
+    async clear(store) {
+      keysIn(store).forEach(key => localStorage.removeItem(key));
+    },
+    async keys(store) {
+      return keysIn(store).map(key => key.slice(fullKey(store, '').length));
+    },
+    async usage(store) {
+      const keys = keysIn(store);
+      // localStorage holds UTF-16 strings
+      return { entries: keys.length, bytes: keys.reduce((sum, key) => sum + localStorage.getItem(key).length * 2, 0) };
+    }
+  };
+}
+
+/**
+ * Moves data the subsystems used to keep under their own localStorage keys
+ * into the stores
+ * @param {object} backend
+ */
+async function migrateLegacyKeys(backend) {
+  for (const { key, store, to, json } of LEGACY_KEYS) {
+    const stored = localStorage.getItem(key);
+    if (stored === null) continue;
+    try {
+      await backend.set(store, to, json ? JSON.parse(stored) : stored);
+      localStorage.removeItem(key);
+      logDebug('Storage', `Moved localStorage key "${key}" to ${store}/${to}`);
+    } catch (error) {
+      logDebug('Storage', `Could not move localStorage key "${key}":`, error);
+    }
+  }
+}
+
+/**
+ * Opens storage once, picking IndexedDB when it works
+ * @returns {Promise<object>} The backend in use
+ */
+function getBackend() {
+  if (!backendPromise) {
+    backendPromise = (async () => {
+      let backend;
+      try {
+        if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not available');
+        backend = createIndexedDbBackend(await openDatabase());
+      } catch (error) {
+        logDebug('Storage', `Falling back to localStorage: ${error.message}`);
+        backend = createLocalStorageBackend();
+      }
+      await migrateLegacyKeys(backend);
+      return backend;
+    })();
+  }
+  return backendPromise;
+}
+
+/**
+ * Reads a value
+ * @param {string} store - One of STORES
+ * @param {string} key
+ * @returns {Promise<*>} The value, or null if there is none or it can't be read
+ */
+export async function getItem(store, key) {
+  try {
+    const backend = await getBackend();
+    return await backend.get(store, key);
+  } catch (error) {
+    logDebug('Storage', `Error reading ${store}/${key}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Writes a value
+ * @param {string} store - One of STORES
+ * @param {string} key
+ * @param {*} value - Anything JSON serializable
+ * @returns {Promise<boolean>} Whether it was saved (false if e.g. the quota is exceeded)
+ */
+export async function setItem(store, key, value) {
+  try {
+    const backend = await getBackend();
+    await backend.set(store, key, value);
+    return true;
+  } catch (error) {
+    logDebug('Storage', `Error saving ${store}/${key}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Deletes a value
+ * @param {string} store - One of STORES
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export async function removeItem(store, key) {
+  try {
+    const backend = await getBackend();
+    await backend.remove(store, key);
+  } catch (error) {
+    logDebug('Storage', `Error removing ${store}/${key}:`, error);
+  }
+}
+
+/**
+ * Deletes everything in a store
+ * @param {string} store - One of STORES
+ * @returns {Promise<void>}
+ */
+export async function clearStore(store) {
+  try {
+    const backend = await getBackend();
+    await backend.clear(store);
+  } catch (error) {
+    logDebug('Storage', `Error clearing ${store}:`, error);
+  }
+}
+
+/**
+ * Lists the keys in a store
+ * @param {string} store - One of STORES
+ * @returns {Promise<string[]>}
+ */
+export async function getAllKeys(store) {
+  try {
+    const backend = await getBackend();
+    return await backend.keys(store);
+  } catch (error) {
+    logDebug('Storage', `Error listing ${store}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Reports how much each store holds and, where the browser says, how much
+ * space is left
+ * @returns {Promise<{backend: string, stores: object, totalBytes: number, quotaBytes: number|null, usedBytes: number|null}>}
+ */
+export async function getStorageUsage() {
+  const backend = await getBackend();
+  const stores = {};
+  let totalBytes = 0;
+  for (const store of Object.values(STORES)) {
+    try {
+      stores[store] = await backend.usage(store);
+    } catch (error) {
+      stores[store] = { entries: 0, bytes: 0 };
+    }
+    totalBytes += stores[store].bytes;
+  }
+
+  let quotaBytes = null;
+  let usedBytes = null;
+  if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+    try {
+      const estimate = await navigator.storage.estimate();
+      quotaBytes = estimate.quota ?? null;
+      usedBytes = estimate.usage ?? null;
+    } catch (error) {
+      logDebug('Storage', 'Error estimating storage quota:', error);
+    }
+  }
+
+  return { backend: backend.type, stores, totalBytes, quotaBytes, usedBytes };
+}
+
+export default {
+  STORES,
+  getItem,
+  setItem,
+  removeItem,
+  clearStore,
+  getAllKeys,
+  getStorageUsage
+};
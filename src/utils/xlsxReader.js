@@ -0,0 +1,161 @@
+// Minimal reader for .xlsx workbooks: enough to pull the cell values out of
+// the first worksheet. An .xlsx file is a zip of XML parts; entries are
+// inflated with the browser's DecompressionStream and parsed with DOMParser.
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Lists a zip file's entries
+ * @param {ArrayBuffer} buffer
+ * @returns {Map<string, {method: number, compressedSize: number, localHeaderOffset: number}>}
+ * @throws {Error} If the file isn't a zip
+ */
+function readZipDirectory(buffer) {
+  const view = new DataView(buffer);
+  let end = -1;
+  // The end record is in the last 64KB (its comment can be up to 65535 bytes)
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('The file is not an .xlsx workbook');
+
+  const entryCount = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== ZIP_CENTRAL_DIRECTORY_ENTRY) throw new Error('The workbook is damaged');
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    entries.set(name, {
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localHeaderOffset: view.getUint32(offset + 42, true)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Reads one zip entry as text
+ * @param {ArrayBuffer} buffer
+ * @param {object} entry - From readZipDirectory
+ * @returns {Promise<string>}
+ */
+async function readZipEntry(buffer, entry) {
+  const view = new DataView(buffer);
+  const { localHeaderOffset: offset } = entry;
+  if (view.getUint32(offset, true) !== ZIP_LOCAL_FILE_HEADER) throw new Error('The workbook is damaged');
+  const dataStart = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+  const data = new Uint8Array(buffer, dataStart, entry.compressedSize);
+
+  if (entry.method === 0) return new TextDecoder().decode(data);
+  if (entry.method !== 8) throw new Error(`Unsupported compression in workbook (method ${entry.method})`);
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+}
+
+function parseXml(text) {
+  return new DOMParser().parseFromString(text, 'application/xml');
+}
+
+// Elements are matched by local name so namespace prefixes don't matter
+function elements(parent, name) {
+  return Array.from(parent.getElementsByTagNameNS('*', name));
+}
+
+/**
+ * Zero-based column index from a cell reference, e.g. "C12" -> 2
+ * @param {string} reference
+ * @returns {number}
+ */
+function columnIndex(reference) {
+  const letters = reference.replace(/\d+$/, '');
+  return [...letters].reduce((index, letter) => index * 26 + (letter.charCodeAt(0) - 64), 0) - 1;
+}
+
+/**
+ * Path of the workbook's first worksheet inside the zip
+ * @param {ArrayBuffer} buffer
+ * @param {Map} entries
+ * @returns {Promise<string>}
+ */
+async function firstSheetPath(buffer, entries) {
+  const workbook = parseXml(await readZipEntry(buffer, entries.get('xl/workbook.xml')));
+  const sheet = elements(workbook, 'sheet')[0];
+  if (!sheet) throw new Error('The workbook has no worksheets');
+  const relationId = Array.from(sheet.attributes).find(attribute => attribute.localName === 'id')?.value;
+
+  const relsEntry = entries.get('xl/_rels/workbook.xml.rels');
+  if (relationId && relsEntry) {
+    const relation = elements(parseXml(await readZipEntry(buffer, relsEntry)), 'Relationship')
+      .find(element => element.getAttribute('Id') === relationId);
+    if (relation) {
+      const target = relation.getAttribute('Target');
+      return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+  }
+  return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * Reads the cell values of a workbook's first worksheet.
+ * @param {ArrayBuffer} buffer - Contents of an .xlsx file
+ * @returns {Promise<Array<Array<string|number|boolean>>>} Rows of cells, the first being row 1 of the
+ *   sheet; empty cells are '' and rows the sheet leaves out (blank ones) are empty arrays
+ * @throws {Error} If the file can't be read as a workbook
+ */
+export async function readXlsxRows(buffer) {
+  const entries = readZipDirectory(buffer);
+  if (!entries.has('xl/workbook.xml')) throw new Error('The file is not an .xlsx workbook');
+
+  // Text cells refer to this table by index; rich text is split into runs
+  const sharedStrings = entries.has('xl/sharedStrings.xml')
+    ? elements(parseXml(await readZipEntry(buffer, entries.get('xl/sharedStrings.xml'))), 'si')
+      .map(item => elements(item, 't').map(text => text.textContent).join(''))
+    : [];
+
+  const sheetPath = await firstSheetPath(buffer, entries);
+  if (!entries.has(sheetPath)) throw new Error(`The workbook is missing ${sheetPath}`);
+  const sheet = parseXml(await readZipEntry(buffer, entries.get(sheetPath)));
+
+  const rows = [];
+  elements(sheet, 'row').forEach(row => {
+    // Blank rows are usually left out of the XML, so row numbers come from r
+    const rowNumber = Number(row.getAttribute('r')) || rows.length + 1;
+    const cells = [];
+    elements(row, 'c').forEach((cell, i) => {
+      const reference = cell.getAttribute('r');
+      const index = reference ? columnIndex(reference) : i;
+      const type = cell.getAttribute('t');
+      const valueElement = elements(cell, 'v')[0];
+      const raw = valueElement ? valueElement.textContent : '';
+
+      let value;
+      if (type === 's') value = sharedStrings[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = elements(cell, 't').map(text => text.textContent).join('');
+      else if (type === 'b') value = raw === '1';
+      else if (type === 'str' || type === 'e' || raw === '') value = raw;
+      else value = Number(raw);
+
+      while (cells.length < index) cells.push('');
+      cells[index] = value;
+    });
+    while (rows.length < rowNumber - 1) rows.push([]);
+    rows[rowNumber - 1] = cells;
+  });
+  return rows;
+}
+
+export default {
+  readXlsxRows
+};